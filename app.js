@@ -16,11 +16,16 @@ require('dotenv').config();
 //Helpers & Middleware
 const { NotFoundError } = require("./expressError");
 const { authenticateJWT } = require("./middleware/auth");
+const { resolveUnits } = require("./middleware/units");
 
 //Routes
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const trailRoutes = require("./routes/trails");
+const suggestionRoutes = require("./routes/suggestions");
+const adminRoutes = require("./routes/admin");
+const tileRoutes = require("./routes/tiles");
+const routeRoutes = require("./routes/routes");
 
 const app = express();
 
@@ -30,6 +35,7 @@ app.use(cors());
 app.use(express.json());
 app.use(morgan("tiny"))
 app.use(authenticateJWT);
+app.use(resolveUnits);
 
 
 app.use(passport.initialize());
@@ -37,6 +43,10 @@ app.use(passport.initialize());
 app.use("/auth", authRoutes);
 app.use("/users", userRoutes);
 app.use("/trails", trailRoutes);
+app.use("/suggestions", suggestionRoutes);
+app.use("/admin", adminRoutes);
+app.use("/tiles", tileRoutes);
+app.use("/routes", routeRoutes);
 
 /**
  * File upload management
@@ -9,6 +9,21 @@ const SECRET_KEY = process.env.SECRET_KEY || "secret-dev";
 
 const PORT = +process.env.PORT || 3001;
 
+// Vector tiles are cached on disk here, cleared for the area of a trail when its polyline changes.
+const TILE_CACHE_FOLDER = process.env.TILE_CACHE_FOLDER
+    || require('path').join(require('os').tmpdir(), 'trail-wanderer-tiles');
+
+// Geocoding provider, point GEOCODER_URL at a self hosted Nominatim or a local stub for tests.
+// The public Nominatim server allows 1 request a second, keep GEOCODER_MIN_INTERVAL_MS at 1000 or more for it.
+const GEOCODER = {
+    provider: process.env.GEOCODER_PROVIDER || "nominatim",
+    url: process.env.GEOCODER_URL || "https://nominatim.openstreetmap.org",
+    userAgent: process.env.GEOCODER_USER_AGENT || "trail-wanderer.com (trailwanderer.web@gmail.com)",
+    minIntervalMs: process.env.GEOCODER_MIN_INTERVAL_MS ? +process.env.GEOCODER_MIN_INTERVAL_MS : 1000,
+    retryDelayMs: process.env.GEOCODER_RETRY_DELAY_MS ? +process.env.GEOCODER_RETRY_DELAY_MS : 1000,
+    cacheDays: process.env.GEOCODER_CACHE_DAYS ? +process.env.GEOCODER_CACHE_DAYS : 30
+};
+
 // Use dev database, testing database, or via env var, production database
 function getDatabaseName() {
     if (process.env.NODE_ENV === "test") {
@@ -28,5 +43,7 @@ console.log("---");
 module.exports = {
     SECRET_KEY,
     PORT,
+    TILE_CACHE_FOLDER,
+    GEOCODER,
     getDatabaseName,
 };
\ No newline at end of file
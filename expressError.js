@@ -42,11 +42,18 @@ class DatabaseError extends ExpressError {
     }
 }
 
+class BadGatewayError extends ExpressError {
+    constructor(message = "An upstream service did not respond. Please try again.") {
+        super(message, 502)
+    }
+}
+
 module.exports = {
     ExpressError,
     NotFoundError,
     UnauthorizedError,
     BadRequestError,
     ForbiddenError,
-    DatabaseError
+    DatabaseError,
+    BadGatewayError
 };
\ No newline at end of file
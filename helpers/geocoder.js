@@ -0,0 +1,206 @@
+//Geocoding service. Lookups are cached in geocode_cache and provider requests share one throttle,
+//so repeated searches never reach the provider and it is never sent more than 1 request per GEOCODER.minIntervalMs.
+const axios = require('axios');
+const pool = require('../dbPool');
+const { GEOCODER } = require('../config');
+const { BadRequestError, BadGatewayError } = require('../expressError');
+
+const maxAttempts = 3;
+const requestTimeoutMs = 10000;
+
+/**
+ * Geocoding providers, picked with GEOCODER.provider. Each builds the search and reverse requests and
+ * normalizes either response to [{name, displayName, lat, lng, category, type, city, county, state, country, boundingBox, sourceId}].
+ */
+const providers = new Map([
+    ["nominatim", {
+        search: query => ({
+            url: `${GEOCODER.url.replace(/\/+$/, "")}/search`,
+            params: { q: query, format: "jsonv2", addressdetails: 1 }
+        }),
+        // zoom 10 resolves to city level, the most detail a trailhead lookup needs
+        reverse: (lat, lng) => ({
+            url: `${GEOCODER.url.replace(/\/+$/, "")}/reverse`,
+            params: { lat, lon: lng, format: "jsonv2", addressdetails: 1, zoom: 10 }
+        }),
+        normalize: data => {
+            let places;
+            if (Array.isArray(data)) {
+                places = data;
+            } else if (data && data.error) {
+                // reverse lookups with nothing at the point
+                places = [];
+            } else if (data && data.lat !== undefined) {
+                places = [data];
+            } else {
+                throw new BadGatewayError("Unexpected response from the geocoding service.");
+            }
+            return places.map(place => {
+                const address = place.address || {};
+                const bbox = place.boundingbox;
+                return {
+                    name: place.name || String(place.display_name).split(",")[0],
+                    displayName: place.display_name,
+                    lat: Number(place.lat),
+                    lng: Number(place.lon),
+                    category: place.category || place.class || null,
+                    type: place.type || null,
+                    city: address.city || address.town || address.village || address.hamlet || null,
+                    county: address.county || null,
+                    state: address.state || null,
+                    country: address.country_code ? address.country_code.toUpperCase() : null,
+                    boundingBox: bbox
+                        ? { minLat: Number(bbox[0]), maxLat: Number(bbox[1]), minLng: Number(bbox[2]), maxLng: Number(bbox[3]) }
+                        : null,
+                    sourceId: place.osm_type ? `${place.osm_type}/${place.osm_id}` : null
+                };
+            });
+        }
+    }]
+]);
+
+// Earliest time the next provider request may start, shared by every caller in this process.
+let nextRequestAt = 0;
+
+/**
+ * Looks up places matching a free text query, e.g. "Bear Creek Trail AL".
+ * Results are cached by provider and query for GEOCODER.cacheDays, including empty results.
+ *
+ * @param {string} query
+ * @returns {Promise<Array<Object>>} Normalized results, see providers.
+ * @throws {BadRequestError} If the query is empty.
+ * @throws {BadGatewayError} If the provider fails after retrying.
+ */
+async function geocode(query) {
+    const normalizedQuery = String(query || "").trim().replace(/\s+/g, " ").toLowerCase();
+    if (!normalizedQuery) {
+        throw new BadRequestError("A search query is required.");
+    }
+
+    return await lookup(normalizedQuery, provider => provider.search(normalizedQuery));
+}
+
+/**
+ * Looks up the place at a point. Points are rounded to 5 decimals (about a meter) before
+ * the lookup so repeat lookups of the same point share a cache entry.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object|null>} Normalized result, see providers, or null if nothing is found at the point.
+ * @throws {BadRequestError} If the point is not a valid lat / lng.
+ * @throws {BadGatewayError} If the provider fails after retrying.
+ */
+async function reverseGeocode(lat, lng) {
+    const [roundedLat, roundedLng] = [lat, lng].map(value => Math.round(Number(value) * 1e5) / 1e5);
+    if (!Number.isFinite(roundedLat) || !Number.isFinite(roundedLng)
+        || Math.abs(roundedLat) > 90 || Math.abs(roundedLng) > 180) {
+        throw new BadRequestError(`${lat},${lng} is not a valid lat / lng.`);
+    }
+
+    const results = await lookup(`reverse:${roundedLat},${roundedLng}`, provider => provider.reverse(roundedLat, roundedLng));
+    return results[0] || null;
+}
+
+/**
+ * Returns cached results for the key, or requests them from the provider and caches them.
+ */
+async function lookup(cacheKey, buildRequest) {
+    const provider = providers.get(GEOCODER.provider);
+    if (!provider) {
+        throw new Error(`Unknown geocoding provider ${GEOCODER.provider}`);
+    }
+
+    const cached = await getCached(cacheKey);
+    if (cached) return cached;
+
+    const results = provider.normalize(await requestWithRetry(buildRequest(provider)));
+    await setCached(cacheKey, results);
+    return results;
+}
+
+/**
+ * Sends the provider request, retrying network errors, 429s and 5xx responses with exponential backoff.
+ * A Retry-After header from the provider is honoured when it asks for a longer wait.
+ */
+async function requestWithRetry({ url, params }) {
+
+    for (let attempt = 1; ; attempt++) {
+        await throttle();
+        try {
+            const response = await axios.get(url, {
+                params,
+                timeout: requestTimeoutMs,
+                headers: {
+                    'Accept': 'application/json',
+                    'User-Agent': GEOCODER.userAgent
+                }
+            });
+            return response.data;
+        } catch (e) {
+            const status = e.response && e.response.status;
+            const retryable = !status || status === 429 || status >= 500;
+            if (!retryable || attempt >= maxAttempts) {
+                console.error('Error querying geocoding service:', e.message);
+                throw new BadGatewayError(`Geocoding service error: ${e.message}`);
+            }
+
+            const retryAfterMs = e.response ? Number(e.response.headers['retry-after']) * 1000 || 0 : 0;
+            await sleep(Math.max(GEOCODER.retryDelayMs * 2 ** (attempt - 1), retryAfterMs));
+        }
+    }
+}
+
+/**
+ * Waits until this caller's turn to reach the provider. Each caller reserves the next slot
+ * before waiting, so concurrent requests are spaced out instead of all firing together.
+ */
+async function throttle() {
+    const now = Date.now();
+    const startAt = Math.max(now, nextRequestAt);
+    nextRequestAt = startAt + GEOCODER.minIntervalMs;
+    await sleep(startAt - now);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Cache reads and writes never fail a lookup, errors are logged and the provider is used instead.
+ */
+async function getCached(query) {
+    const db = await pool.connect();
+    try {
+        const result = await db.query(`
+                SELECT results
+                FROM geocode_cache
+                WHERE provider = $1
+                AND query = $2
+                AND created_at > CURRENT_TIMESTAMP - make_interval(days => $3)
+            `, [GEOCODER.provider, query, GEOCODER.cacheDays]);
+        return result.rows.length > 0 ? result.rows[0].results : null;
+    } catch (e) {
+        console.error('Error reading geocode cache:', e);
+        return null;
+    } finally {
+        db.release();
+    }
+}
+
+async function setCached(query, results) {
+    const db = await pool.connect();
+    try {
+        await db.query(`
+                INSERT INTO geocode_cache (provider, query, results)
+                VALUES ($1, $2, $3)
+                ON CONFLICT (provider, query)
+                DO UPDATE SET results = EXCLUDED.results, created_at = CURRENT_TIMESTAMP
+            `, [GEOCODER.provider, query, JSON.stringify(results)]);
+    } catch (e) {
+        console.error('Error writing geocode cache:', e);
+    } finally {
+        db.release();
+    }
+}
+
+module.exports = { geocode, reverseGeocode };
@@ -0,0 +1,165 @@
+// Points the geocoder at a local Nominatim stub with short waits so retries and the throttle are quick to test.
+process.env.GEOCODER_URL = "http://127.0.0.1:5055";
+process.env.GEOCODER_MIN_INTERVAL_MS = "50";
+process.env.GEOCODER_RETRY_DELAY_MS = "10";
+
+const http = require('http');
+const db = require('../dbPool');
+const { geocode, reverseGeocode } = require('./geocoder');
+const { BadRequestError, BadGatewayError } = require('../expressError');
+
+const nominatimPlace = {
+    osm_type: "way",
+    osm_id: 123,
+    lat: "34.7001",
+    lon: "-86.5902",
+    category: "highway",
+    type: "path",
+    name: "Bear Creek Trail",
+    display_name: "Bear Creek Trail, Madison County, Alabama, United States",
+    address: { county: "Madison County", state: "Alabama", country_code: "us" },
+    boundingbox: ["34.69", "34.71", "-86.60", "-86.58"]
+};
+
+let server;
+let requests;
+let respond;
+
+beforeAll(done => {
+    process.env.NODE_ENV = 'test';
+    server = http.createServer((req, res) => {
+        requests.push({ url: req.url, at: Date.now(), userAgent: req.headers['user-agent'] });
+        respond(req, res);
+    });
+    server.listen(5055, '127.0.0.1', done);
+});
+
+beforeEach(async () => {
+    requests = [];
+    respond = (req, res) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify([nominatimPlace]));
+    };
+    await db.query('DELETE FROM geocode_cache');
+});
+
+afterAll(async () => {
+    await db.query('DELETE FROM geocode_cache');
+    await new Promise(resolve => server.close(resolve));
+    await db.end();
+});
+
+describe('geocode', () => {
+    test('should return normalized results', async () => {
+        const results = await geocode('Bear Creek Trail AL');
+
+        expect(results).toEqual([{
+            name: "Bear Creek Trail",
+            displayName: "Bear Creek Trail, Madison County, Alabama, United States",
+            lat: 34.7001,
+            lng: -86.5902,
+            category: "highway",
+            type: "path",
+            city: null,
+            county: "Madison County",
+            state: "Alabama",
+            country: "US",
+            boundingBox: { minLat: 34.69, maxLat: 34.71, minLng: -86.60, maxLng: -86.58 },
+            sourceId: "way/123"
+        }]);
+        expect(requests[0].url).toContain('/search?q=bear+creek+trail+al');
+        expect(requests[0].userAgent).toContain('trail-wanderer');
+    });
+
+    test('should serve repeated queries from the cache', async () => {
+        await geocode('Bear Creek Trail AL');
+        const cached = await geocode('  bear creek   TRAIL al ');
+
+        expect(requests).toHaveLength(1);
+        expect(cached[0].name).toBe("Bear Creek Trail");
+    });
+
+    test('should space out concurrent requests', async () => {
+        await Promise.all([geocode('first trail'), geocode('second trail'), geocode('third trail')]);
+
+        expect(requests).toHaveLength(3);
+        expect(requests[1].at - requests[0].at).toBeGreaterThanOrEqual(45);
+        expect(requests[2].at - requests[1].at).toBeGreaterThanOrEqual(45);
+    });
+
+    test('should retry server errors', async () => {
+        respond = (req, res) => {
+            if (requests.length === 1) {
+                res.writeHead(503);
+                return res.end();
+            }
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify([nominatimPlace]));
+        };
+
+        const results = await geocode('retry trail');
+        expect(requests).toHaveLength(2);
+        expect(results).toHaveLength(1);
+    });
+
+    test('should throw BadGatewayError after three failed attempts', async () => {
+        respond = (req, res) => {
+            res.writeHead(429);
+            res.end();
+        };
+
+        try {
+            await geocode('busy trail');
+        } catch (err) {
+            expect(err instanceof BadGatewayError).toBeTruthy();
+        }
+        expect(requests).toHaveLength(3);
+    });
+
+    test('should not retry client errors', async () => {
+        respond = (req, res) => {
+            res.writeHead(400);
+            res.end();
+        };
+
+        try {
+            await geocode('bad trail');
+        } catch (err) {
+            expect(err instanceof BadGatewayError).toBeTruthy();
+        }
+        expect(requests).toHaveLength(1);
+    });
+
+    test('should reverse geocode a point to a single normalized result', async () => {
+        respond = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ...nominatimPlace, address: { ...nominatimPlace.address, city: "Huntsville" } }));
+        };
+
+        const result = await reverseGeocode(34.700012345, -86.590212345);
+        expect(requests[0].url).toContain('/reverse?lat=34.70001&lon=-86.59021');
+        expect(result).toMatchObject({ city: "Huntsville", state: "Alabama", country: "US" });
+
+        // the rounded point is cached
+        await reverseGeocode(34.700008, -86.590209);
+        expect(requests).toHaveLength(1);
+    });
+
+    test('should return null when nothing is found at the point', async () => {
+        respond = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: "Unable to geocode" }));
+        };
+
+        expect(await reverseGeocode(0, -140)).toBeNull();
+    });
+
+    test('should throw BadRequestError for an empty query', async () => {
+        try {
+            await geocode('   ');
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+        expect(requests).toHaveLength(0);
+    });
+});
@@ -1,25 +1,65 @@
-//Use OSM API to get map data
-const axios = require('axios')
+//Trail map lookups, geocoded through helpers/geocoder so requests are cached and throttled
+const { geocode, reverseGeocode } = require('./geocoder');
+const { states } = require('./objectMaps');
 
+const stateCodes = new Set(states.values());
 
 
+/**
+ * Finds places matching a trail name in a state.
+ *
+ * @param {string} trailName
+ * @param {string} [state] - State name or abbreviation to narrow the search.
+ * @returns {Promise<Array<Object>>} Normalized geocoder results [{name, displayName, lat, lng, ...}]
+ */
 async function searchTrailByName(trailName, state) {
-    const nominatimUrl = `https://nominatim.openstreetmap.org/search?q=${encodeURIComponent(trailName)}+${encodeURIComponent(state)}&format=json&addressdetails=1`;
-
-    try {
-        const response = await axios.get(nominatimUrl, {
-            headers: {
-                'Content-Type': 'application/json',
-                'User-Agent': 'trail-wanderer.com (trailwanderer.web@gmail.com)'
-            }
-        });
-        return response.data;
-    } catch (error) {
-        console.error('Error querying Nominatim API:', error);
-        throw error;
+    return await geocode([trailName, state].filter(Boolean).join(" "));
+}
+
+/**
+ * City and state at a point, e.g. a trailhead.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Promise<Object|null>} {city, state} - state is the two letter code, either can be null
+ *  (e.g. outside a city, or outside the US). null if nothing is found at the point.
+ */
+async function locatePoint(lat, lng) {
+    const place = await reverseGeocode(lat, lng);
+    if (!place) return null;
+    return { city: place.city, state: toStateCode(place.state) };
+}
+
+/**
+ * Two letter code for a state name or code, case insensitive, "alabama" -> "AL".
+ * @returns {string|null} null if it is not a US state.
+ */
+function toStateCode(state) {
+    if (!state) return null;
+    const trimmed = String(state).trim();
+    if (stateCodes.has(trimmed.toUpperCase())) return trimmed.toUpperCase();
+    for (const [name, code] of states) {
+        if (name.toLowerCase() === trimmed.toLowerCase()) return code;
     }
+    return null;
+}
+
+/**
+ * Deep links that open driving directions to a point in common map apps.
+ *
+ * @param {number} lat
+ * @param {number} lng
+ * @returns {Object} {google, apple, waze}
+ */
+function directionsLinks(lat, lng) {
+    const destination = `${lat},${lng}`;
+    return {
+        google: `https://www.google.com/maps/dir/?api=1&destination=${destination}`,
+        apple: `https://maps.apple.com/?daddr=${destination}&dirflg=d`,
+        waze: `https://waze.com/ul?ll=${destination}&navigate=yes`
+    };
 }
 
 
 
-module.exports = { searchTrailByName };
\ No newline at end of file
+module.exports = { searchTrailByName, locatePoint, toStateCode, directionsLinks };
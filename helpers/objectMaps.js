@@ -78,7 +78,8 @@ const jsToSqlFilters = new Map([
     ["maxAvgGradePercent", "ts.avg_grade_percent"],
     ["maxGradePercent", "ts.max_grade_percent"],
     ["maxGradeDegree", "ts.max_grade_degree"],
-    ["rating", "r.rating"]
+    ["rating", "r.avg_rating"],
+    ["minRating", "r.avg_rating"]
 ]);
 
 
@@ -0,0 +1,79 @@
+//Keyset pagination helpers. A cursor is the position of the last row on a page, encoded as
+//base64url JSON so clients treat it as an opaque string and pass it back as ?cursor=
+const { BadRequestError } = require("../expressError");
+
+const maxPageLimit = 100;
+
+// Cursor value checks for decodeCursor, the values end up as query parameters so anything
+// Postgres would fail to cast is rejected here. Sort values are strings as selected with ::text.
+const cursorTypes = {
+    integer: value => Number.isSafeInteger(value),
+    string: value => typeof value === "string",
+    numeric: value => typeof value === "string"
+        && /^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(value) && Number.isFinite(Number(value)),
+    date: value => typeof value === "string"
+        && /^\d{4}-\d{2}-\d{2}$/.test(value) && isCalendarDate(value),
+    timestamp: value => typeof value === "string"
+        && /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/.test(value)
+        && isCalendarDate(value.slice(0, 10)) && !isNaN(Date.parse(value))
+};
+
+function isCalendarDate(value) {
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
+/**
+ * @param {object} position - Sort values of the last row on the page, e.g. {id: 12}.
+ * @returns {string} Cursor for the next page.
+ */
+function encodeCursor(position) {
+    return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+/**
+ * @param {string} cursor - From encodeCursor.
+ * @param {object} shape - Type of each key the position must have, see cursorTypes.
+ *  A type ending in "?" also allows null.
+ * @example decodeCursor(cursor, { sort: "string", value: "numeric?", id: "integer" })
+ * @returns {object} The position the cursor was encoded from.
+ * @throws {BadRequestError} If the cursor was not made by encodeCursor, is missing a key or has a value of the wrong type.
+ */
+function decodeCursor(cursor, shape) {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    } catch (e) {
+        throw new BadRequestError("Invalid cursor.");
+    }
+    if (!position || typeof position !== "object") {
+        throw new BadRequestError("Invalid cursor.");
+    }
+    for (const [key, type] of Object.entries(shape)) {
+        const nullable = type.endsWith("?");
+        const isType = cursorTypes[nullable ? type.slice(0, -1) : type];
+        const value = position[key];
+        if (!(key in position) || (value === null ? !nullable : !isType(value))) {
+            throw new BadRequestError("Invalid cursor.");
+        }
+    }
+    return position;
+}
+
+/**
+ * Validates a page size from the query string.
+ * @param {string|number} limit
+ * @param {number|null} defaultLimit - Used when limit is not given, null for no limit.
+ * @returns {number|null}
+ * @throws {BadRequestError} If limit is not an integer from 1 to maxPageLimit.
+ */
+function pageLimit(limit, defaultLimit) {
+    if (limit === undefined || limit === null || limit === "") return defaultLimit;
+    const pageSize = Number(limit);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > maxPageLimit) {
+        throw new BadRequestError(`Limit must be between 1 and ${maxPageLimit}.`);
+    }
+    return pageSize;
+}
+
+module.exports = { maxPageLimit, encodeCursor, decodeCursor, pageLimit };
@@ -0,0 +1,53 @@
+const { encodeCursor, decodeCursor, pageLimit } = require('./pagination');
+const { BadRequestError } = require('../expressError');
+
+describe('encodeCursor / decodeCursor', () => {
+    test('should round trip a position', () => {
+        const cursor = encodeCursor({ sort: 'name:ASC', value: 'trail 1', id: 1 });
+
+        expect(cursor).toMatch(/^[\w-]+$/);
+        expect(decodeCursor(cursor, { sort: 'string', value: 'string?', id: 'integer' })).toEqual({ sort: 'name:ASC', value: 'trail 1', id: 1 });
+    });
+
+    test('should throw BadRequestError for a cursor that is not JSON', () => {
+        expect(() => decodeCursor('not-a-cursor', { id: 'integer' })).toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for a cursor missing a key', () => {
+        expect(() => decodeCursor(encodeCursor({ id: 1 }), { date: 'date', id: 'integer' })).toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for values of the wrong type', () => {
+        const shape = { sort: 'string', value: 'numeric?', id: 'integer' };
+
+        expect(() => decodeCursor(encodeCursor({ sort: 'distance:ASC', value: 'trail 1', id: 1 }), shape)).toThrow(BadRequestError);
+        expect(() => decodeCursor(encodeCursor({ sort: 'distance:ASC', value: '1e400', id: 1 }), shape)).toThrow(BadRequestError);
+        expect(() => decodeCursor(encodeCursor({ sort: 'distance:ASC', value: '4.2', id: '1' }), shape)).toThrow(BadRequestError);
+        expect(() => decodeCursor(encodeCursor({ date: '2024-02-30', id: 1 }), { date: 'date', id: 'integer' })).toThrow(BadRequestError);
+        expect(() => decodeCursor(encodeCursor({ value: '1' }), { value: 'timestamp' })).toThrow(BadRequestError);
+    });
+
+    test('should allow null only for nullable types', () => {
+        expect(decodeCursor(encodeCursor({ value: null, id: 3 }), { value: 'numeric?', id: 'integer' })).toEqual({ value: null, id: 3 });
+        expect(() => decodeCursor(encodeCursor({ value: null }), { value: 'numeric' })).toThrow(BadRequestError);
+        expect(decodeCursor(encodeCursor({ value: '2024-01-01 10:00:00.123-05' }), { value: 'timestamp' }))
+            .toEqual({ value: '2024-01-01 10:00:00.123-05' });
+    });
+});
+
+describe('pageLimit', () => {
+    test('should use the default when no limit is given', () => {
+        expect(pageLimit(undefined, 10)).toBe(10);
+        expect(pageLimit('', null)).toBeNull();
+    });
+
+    test('should parse limits from the query string', () => {
+        expect(pageLimit('25', 10)).toBe(25);
+    });
+
+    test('should throw BadRequestError for limits out of range', () => {
+        expect(() => pageLimit('0', 10)).toThrow(BadRequestError);
+        expect(() => pageLimit('101', 10)).toThrow(BadRequestError);
+        expect(() => pageLimit('ten', 10)).toThrow(BadRequestError);
+    });
+});
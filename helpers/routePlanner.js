@@ -0,0 +1,196 @@
+//Chains trail polylines into multi-trail routes, trails join where their ends meet within joinToleranceMeters
+const { BadRequestError } = require('../expressError');
+const { trackStats, distanceBetween } = require('./tracks');
+
+// Farthest apart two trail ends can be and still be walked as one route.
+const joinToleranceMeters = 50;
+// Farthest the start point can be from the end of the trail the route starts on.
+const maxStartDistanceMeters = 1000;
+// Legs tried when searching for a target distance before settling for the closest route found.
+const maxSearchSteps = 10000;
+// A route within 2% of the target distance is close enough to stop searching.
+const targetDistanceMargin = 0.02;
+
+/**
+ * A trail walked in one direction, reversed legs run from the trail's last point to its first.
+ */
+function trailLeg(trail, reversed) {
+    const coordinates = reversed ? [...trail.coordinates].reverse() : trail.coordinates;
+    return {
+        trail,
+        reversed,
+        coordinates,
+        from: coordinates[0],
+        to: coordinates[coordinates.length - 1]
+    };
+}
+
+function lineLength(coordinates) {
+    return coordinates.slice(1).reduce((total, position, idx) => total + distanceBetween(coordinates[idx], position), 0);
+}
+
+/**
+ * Legs the route can start with, those starting nearest the start point first.
+ */
+function startingLegs(legs, start) {
+    const startPosition = [start.lng, start.lat];
+    return legs
+        .map(leg => ({ leg, startDistance: distanceBetween(startPosition, leg.from) }))
+        .filter(({ startDistance }) => startDistance <= maxStartDistanceMeters)
+        .sort((a, b) => a.startDistance - b.startDistance)
+        .map(({ leg }) => leg);
+}
+
+/**
+ * Joins trails into a route in the order given, each trail is walked in whichever
+ * direction starts where the previous one ended.
+ *
+ * @param {array} trails - [{id, name, coordinates, elevationGain, elevationLoss}] in route order.
+ * @param {object} start - {lat, lng}, the route starts on the end of the first trail nearest this point.
+ * @returns {array} Legs [{trail, reversed, coordinates, from, to}].
+ * @throws {BadRequestError} If the first trail does not start near the start point or a trail does not
+ *  connect to the one before it.
+ */
+function chainTrails(trails, start) {
+    const firstLegs = startingLegs([trailLeg(trails[0], false), trailLeg(trails[0], true)], start);
+    if (firstLegs.length === 0) {
+        throw new BadRequestError(`Trail ${trails[0].id} does not start within ${maxStartDistanceMeters} meters of the start point.`);
+    }
+
+    // either end of the first trail may be near the start, try both before giving up
+    let error;
+    for (const first of firstLegs) {
+        try {
+            return joinTrails(first, trails.slice(1));
+        } catch (e) {
+            if (!(e instanceof BadRequestError)) throw e;
+            error = error || e;
+        }
+    }
+    throw error;
+}
+
+function joinTrails(first, trails) {
+    const legs = [first];
+    for (const trail of trails) {
+        const previous = legs[legs.length - 1];
+        const next = [trailLeg(trail, false), trailLeg(trail, true)]
+            .map(leg => ({ leg, gap: distanceBetween(previous.to, leg.from) }))
+            .filter(({ gap }) => gap <= joinToleranceMeters)
+            .sort((a, b) => a.gap - b.gap)[0];
+
+        if (!next) {
+            throw new BadRequestError(`Trail ${trail.id} does not connect to trail ${previous.trail.id} within ${joinToleranceMeters} meters.`);
+        }
+        legs.push(next.leg);
+    }
+    return legs;
+}
+
+/**
+ * Searches connected trails for the route closest to a target distance. Each trail is used at most once.
+ * The search stops at the first route within 2% of the target or after maxSearchSteps legs,
+ * returning the closest route found.
+ *
+ * @param {array} trails - Candidate trails [{id, name, coordinates, elevationGain, elevationLoss}].
+ * @param {object} start - {lat, lng}, the route starts on a trail end near this point.
+ * @param {number} targetMeters - Distance to aim for.
+ * @returns {array} Legs [{trail, reversed, coordinates, from, to}].
+ * @throws {BadRequestError} If no trail starts near the start point.
+ */
+function findRoute(trails, start, targetMeters) {
+    const legs = trails.flatMap(trail => [trailLeg(trail, false), trailLeg(trail, true)]);
+    legs.forEach(leg => { leg.meters = lineLength(leg.coordinates); });
+
+    const firstLegs = startingLegs(legs, start);
+    if (firstLegs.length === 0) {
+        throw new BadRequestError(`No trail starts within ${maxStartDistanceMeters} meters of the start point.`);
+    }
+
+    // legs that can follow each leg
+    const nextLegs = new Map(legs.map(leg => [
+        leg,
+        legs.filter(next => next.trail !== leg.trail && distanceBetween(leg.to, next.from) <= joinToleranceMeters)
+    ]));
+
+    let best = null;
+    let steps = 0;
+    const offTarget = meters => Math.abs(meters - targetMeters);
+    const finished = () => steps >= maxSearchSteps || offTarget(best.meters) <= targetMeters * targetDistanceMargin;
+
+    const search = (route, meters, usedTrailIds) => {
+        steps++;
+        if (!best || offTarget(meters) < offTarget(best.meters)) {
+            best = { route, meters };
+        }
+        // adding trails only makes a route longer
+        if (meters >= targetMeters || finished()) return;
+
+        for (const next of nextLegs.get(route[route.length - 1])) {
+            if (usedTrailIds.has(next.trail.id)) continue;
+            usedTrailIds.add(next.trail.id);
+            search([...route, next], meters + next.meters, usedTrailIds);
+            usedTrailIds.delete(next.trail.id);
+            if (finished()) return;
+        }
+    };
+
+    for (const first of firstLegs) {
+        search([first], first.meters, new Set([first.trail.id]));
+        if (finished()) break;
+    }
+
+    return best.route;
+}
+
+function sumStats(stats) {
+    return {
+        imperial: Math.round(stats.reduce((total, stat) => total + stat.imperial, 0)),
+        metric: Math.round(stats.reduce((total, stat) => total + stat.metric, 0))
+    };
+}
+
+/**
+ * Combined line and stats for a route. Elevation gain / loss are measured from the line when every
+ * trail has elevation in its polyline, otherwise they are the sum of each trail's stats (gain and loss
+ * swap on reversed legs), or null when a trail has neither.
+ *
+ * @param {array} legs - From chainTrails or findRoute.
+ * @returns {object} {legs: [{trailId, name, reversed}], coordinates, distance: {imperial, metric},
+ *  elevationGain: {imperial, metric}, elevationLoss: {imperial, metric}, elevationSource: "polyline" | "stats" | null}
+ */
+function routeSummary(legs) {
+    const hasElevation = legs.every(leg => leg.coordinates.every(position => position.length === 3));
+    const coordinates = [];
+    for (const leg of legs) {
+        const line = hasElevation ? leg.coordinates : leg.coordinates.map(([lng, lat]) => [lng, lat]);
+        const previous = coordinates[coordinates.length - 1];
+        // trails that share an end point only need it once
+        const joined = previous && previous[0] === line[0][0] && previous[1] === line[0][1];
+        coordinates.push(...(joined ? line.slice(1) : line));
+    }
+    const stats = trackStats(coordinates);
+
+    let elevationGain = null;
+    let elevationLoss = null;
+    let elevationSource = null;
+    if (hasElevation) {
+        ({ elevationGain, elevationLoss } = stats);
+        elevationSource = "polyline";
+    } else if (legs.every(({ trail }) => trail.elevationGain && trail.elevationLoss)) {
+        elevationGain = sumStats(legs.map(({ trail, reversed }) => reversed ? trail.elevationLoss : trail.elevationGain));
+        elevationLoss = sumStats(legs.map(({ trail, reversed }) => reversed ? trail.elevationGain : trail.elevationLoss));
+        elevationSource = "stats";
+    }
+
+    return {
+        legs: legs.map(({ trail, reversed }) => ({ trailId: trail.id, name: trail.name, reversed })),
+        coordinates,
+        distance: stats.distance,
+        elevationGain,
+        elevationLoss,
+        elevationSource
+    };
+}
+
+module.exports = { joinToleranceMeters, maxStartDistanceMeters, chainTrails, findRoute, routeSummary };
@@ -0,0 +1,101 @@
+const { chainTrails, findRoute, routeSummary } = require('./routePlanner');
+const { BadRequestError } = require('../expressError');
+
+// Three trails along 34.70N, about 915 meters each. Trail 3 is drawn east to west and ends
+// about 20 meters from the east end of trail 2. Trail 4 is miles away.
+const trail1 = {
+    id: 1, name: "Trail 1",
+    coordinates: [[-86.60, 34.70, 200], [-86.59, 34.70, 250]],
+    elevationGain: { imperial: 164, metric: 50 }, elevationLoss: { imperial: 0, metric: 0 }
+};
+const trail2 = {
+    id: 2, name: "Trail 2",
+    coordinates: [[-86.59, 34.70, 250], [-86.58, 34.70, 230]],
+    elevationGain: { imperial: 0, metric: 0 }, elevationLoss: { imperial: 66, metric: 20 }
+};
+const trail3 = {
+    id: 3, name: "Trail 3",
+    coordinates: [[-86.57, 34.70], [-86.58, 34.7002]],
+    elevationGain: { imperial: 33, metric: 10 }, elevationLoss: { imperial: 98, metric: 30 }
+};
+const trail4 = {
+    id: 4, name: "Trail 4",
+    coordinates: [[-86.40, 34.90], [-86.39, 34.90]],
+    elevationGain: null, elevationLoss: null
+};
+
+const westEnd = { lat: 34.7001, lng: -86.6001 };
+
+describe('chainTrails', () => {
+    test('should walk each trail in the direction that connects', () => {
+        const legs = chainTrails([trail1, trail2, trail3], westEnd);
+
+        expect(legs.map(leg => [leg.trail.id, leg.reversed])).toEqual([[1, false], [2, false], [3, true]]);
+        expect(legs[2].coordinates[0]).toEqual([-86.58, 34.7002]);
+    });
+
+    test('should start on the trail end nearest the start point', () => {
+        const legs = chainTrails([trail2, trail1], { lat: 34.70, lng: -86.58 });
+
+        expect(legs.map(leg => [leg.trail.id, leg.reversed])).toEqual([[2, true], [1, true]]);
+    });
+
+    test('should throw BadRequestError when trails do not connect', () => {
+        expect(() => chainTrails([trail1, trail4], westEnd)).toThrow(BadRequestError);
+        expect(() => chainTrails([trail1, trail4], westEnd)).toThrow("Trail 4 does not connect to trail 1");
+    });
+
+    test('should throw BadRequestError when the start point is far from the first trail', () => {
+        expect(() => chainTrails([trail4], westEnd)).toThrow(BadRequestError);
+    });
+});
+
+describe('findRoute', () => {
+    test('should chain trails to the route closest to the target distance', () => {
+        const legs = findRoute([trail4, trail3, trail2, trail1], westEnd, 1830);
+
+        expect(legs.map(leg => leg.trail.id)).toEqual([1, 2]);
+    });
+
+    test('should use every connected trail for a long target', () => {
+        const legs = findRoute([trail1, trail2, trail3, trail4], westEnd, 10000);
+
+        expect(legs.map(leg => [leg.trail.id, leg.reversed])).toEqual([[1, false], [2, false], [3, true]]);
+    });
+
+    test('should throw BadRequestError when no trail starts near the start point', () => {
+        expect(() => findRoute([trail4], westEnd, 5000)).toThrow(BadRequestError);
+    });
+});
+
+describe('routeSummary', () => {
+    test('should measure elevation from the line when every trail has elevation', () => {
+        const summary = routeSummary(chainTrails([trail1, trail2], westEnd));
+
+        expect(summary.legs).toEqual([
+            { trailId: 1, name: "Trail 1", reversed: false },
+            { trailId: 2, name: "Trail 2", reversed: false }
+        ]);
+        expect(summary.coordinates).toEqual([[-86.60, 34.70, 200], [-86.59, 34.70, 250], [-86.58, 34.70, 230]]);
+        expect(summary.distance.metric).toBeCloseTo(1.83, 1);
+        expect(summary.elevationGain).toEqual({ imperial: 164, metric: 50 });
+        expect(summary.elevationLoss).toEqual({ imperial: 66, metric: 20 });
+        expect(summary.elevationSource).toBe("polyline");
+    });
+
+    test('should sum trail stats, swapping gain and loss on reversed trails', () => {
+        const summary = routeSummary(chainTrails([trail1, trail2, trail3], westEnd));
+
+        expect(summary.coordinates.every(position => position.length === 2)).toBe(true);
+        expect(summary.elevationGain).toEqual({ imperial: 262, metric: 80 });
+        expect(summary.elevationLoss).toEqual({ imperial: 99, metric: 30 });
+        expect(summary.elevationSource).toBe("stats");
+    });
+
+    test('should leave elevation null when a trail has none', () => {
+        const summary = routeSummary(chainTrails([trail4], { lat: 34.90, lng: -86.40 }));
+
+        expect(summary.elevationGain).toBeNull();
+        expect(summary.elevationSource).toBeNull();
+    });
+});
@@ -0,0 +1,88 @@
+//On disk cache for trail vector tiles, stored as <TILE_CACHE_FOLDER>/<layer>/<z>/<x>/<y>.mvt
+const fs = require('fs/promises');
+const path = require('path');
+const { TILE_CACHE_FOLDER } = require('../config');
+
+const MAX_ZOOM = 22;
+
+function tilePath(layer, z, x, y) {
+    return path.join(TILE_CACHE_FOLDER, layer, `${z}`, `${x}`, `${y}.mvt`);
+}
+
+/**
+ * Reads a cached tile.
+ * @returns {Buffer|null} The tile, or null if it is not cached.
+ */
+async function getTile(layer, z, x, y) {
+    try {
+        return await fs.readFile(tilePath(layer, z, x, y));
+    } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+    }
+}
+
+/**
+ * Writes a tile to the cache. Failures are logged, the tile can be rebuilt next request.
+ */
+async function setTile(layer, z, x, y, tile) {
+    const file = tilePath(layer, z, x, y);
+    try {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // write then rename so a request never reads a partial tile
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, tile);
+        await fs.rename(tempFile, file);
+    } catch (e) {
+        console.error('Error caching tile:', e);
+    }
+}
+
+/**
+ * Removes every cached tile, at every zoom, that overlaps a bounding box.
+ * Used when a trail's polyline is added, changed or deleted, pass the old and new extent.
+ *
+ * @param {string} layer - Tile layer, "trails".
+ * @param {object} bbox - {minLng, minLat, maxLng, maxLat}
+ */
+async function invalidateBbox(layer, { minLng, minLat, maxLng, maxLat }) {
+    for (let z = 0; z <= MAX_ZOOM; z++) {
+        const zoomDir = path.join(TILE_CACHE_FOLDER, layer, `${z}`);
+        const [minX, maxY] = lngLatToTile(minLng, minLat, z);
+        const [maxX, minY] = lngLatToTile(maxLng, maxLat, z);
+
+        // only walk the tiles that were cached, a trail spans thousands of tiles at high zoom
+        for (const xDir of await readDir(zoomDir)) {
+            const x = Number(xDir);
+            if (x < minX || x > maxX) continue;
+            for (const yFile of await readDir(path.join(zoomDir, xDir))) {
+                const y = Number(path.basename(yFile, '.mvt'));
+                if (y < minY || y > maxY) continue;
+                await fs.rm(path.join(zoomDir, xDir, yFile), { force: true });
+            }
+        }
+    }
+}
+
+async function readDir(dir) {
+    try {
+        return await fs.readdir(dir);
+    } catch (e) {
+        if (e.code === 'ENOENT') return [];
+        throw e;
+    }
+}
+
+/**
+ * Slippy map tile containing a point.
+ * @returns {array} [x, y]
+ */
+function lngLatToTile(lng, lat, z) {
+    const n = 2 ** z;
+    const latRad = Math.max(Math.min(lat, 85.0511), -85.0511) * Math.PI / 180;
+    const x = Math.floor((lng + 180) / 360 * n);
+    const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
+    return [Math.min(Math.max(x, 0), n - 1), Math.min(Math.max(y, 0), n - 1)];
+}
+
+module.exports = { MAX_ZOOM, getTile, setTile, invalidateBbox, lngLatToTile };
@@ -0,0 +1,259 @@
+//Parses uploaded GPX / KML / GeoJSON tracks and computes trail stats from them
+const { BadRequestError } = require('../expressError');
+
+const trackFormats = ["gpx", "kml", "geojson"];
+
+const earthRadiusMeters = 6371008.8;
+const feetPerMeter = 3.28084;
+const metersPerMile = 1609.344;
+// Shortest stretch of trail the max grade is measured over, so GPS noise between close points is ignored.
+const minGradeDistanceMeters = 100;
+
+/**
+ * Parses a track file to a single line.
+ *
+ * @param {Buffer|string} file - Uploaded file contents.
+ * @param {string} [fileName] - Original file name, the extension picks the format. Without one the content is sniffed.
+ * @returns {array} [[lng, lat, ele], ...] - ele (meters) is only included when every point has one.
+ * @throws {BadRequestError} If the file is not a supported format, is malformed, has more than one
+ *  line / segment or fewer than two points.
+ */
+function parseTrack(file, fileName = "") {
+    const text = file.toString("utf8").replace(/^\uFEFF/, "").trim();
+    const format = trackFormat(text, fileName);
+
+    let points;
+    if (format === "gpx") {
+        points = parseGpx(text);
+    } else if (format === "kml") {
+        points = parseKml(text);
+    } else {
+        points = parseGeoJson(text);
+    }
+
+    return validatePoints(points);
+}
+
+function trackFormat(text, fileName) {
+    const extension = fileName.split(".").pop().toLowerCase();
+    if (fileName.includes(".") && extension === "json") return "geojson";
+    if (fileName.includes(".") && trackFormats.includes(extension)) return extension;
+    if (fileName.includes(".")) {
+        throw new BadRequestError(`Track files must be one of: ${trackFormats.join(", ")}`);
+    }
+
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<gpx\b/.test(text)) return "gpx";
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<kml\b/.test(text)) return "kml";
+    if (text.startsWith("{")) return "geojson";
+    throw new BadRequestError(`Track files must be one of: ${trackFormats.join(", ")}`);
+}
+
+function stripXmlComments(text) {
+    return text.replace(/<!--[\s\S]*?-->/g, "");
+}
+
+function parseGpx(text) {
+    const xml = stripXmlComments(text);
+    if (!/<gpx\b[\s\S]*<\/gpx>/.test(xml)) {
+        throw new BadRequestError("Malformed GPX file: missing <gpx> element.");
+    }
+
+    let segments = [...xml.matchAll(/<trkseg\b[^>]*>([\s\S]*?)<\/trkseg>/g)].map(match => match[1]);
+    if (segments.length === 0) {
+        // route files have no segments, each <rte> is one line
+        segments = [...xml.matchAll(/<rte\b[^>]*>([\s\S]*?)<\/rte>/g)].map(match => match[1]);
+    }
+    if (segments.length === 0) {
+        throw new BadRequestError("GPX file has no track or route.");
+    }
+    if (segments.length > 1) {
+        throw new BadRequestError(`GPX file has ${segments.length} track segments, a trail must be a single segment.`);
+    }
+
+    return [...segments[0].matchAll(/<(trkpt|rtept)\b([^>]*?)(?:\/>|>([\s\S]*?)<\/\1>)/g)].map(match => {
+        const [, , attributes, body = ""] = match;
+        const lat = attributes.match(/\blat\s*=\s*["']([^"']*)["']/);
+        const lon = attributes.match(/\blon\s*=\s*["']([^"']*)["']/);
+        const ele = body.match(/<ele>([^<]*)<\/ele>/);
+        if (!lat || !lon) {
+            throw new BadRequestError("Malformed GPX file: track points need lat and lon.");
+        }
+        return [lon[1], lat[1], ele ? ele[1] : undefined];
+    });
+}
+
+function parseKml(text) {
+    const xml = stripXmlComments(text);
+    if (!/<kml\b[\s\S]*<\/kml>/.test(xml)) {
+        throw new BadRequestError("Malformed KML file: missing <kml> element.");
+    }
+
+    const lines = [...xml.matchAll(/<LineString\b[^>]*>([\s\S]*?)<\/LineString>/g)].map(match => {
+        const coordinates = match[1].match(/<coordinates>([\s\S]*?)<\/coordinates>/);
+        if (!coordinates) {
+            throw new BadRequestError("Malformed KML file: LineString has no coordinates.");
+        }
+        return coordinates[1].trim().split(/\s+/).map(tuple => tuple.split(","));
+    });
+    const tracks = [...xml.matchAll(/<gx:Track\b[^>]*>([\s\S]*?)<\/gx:Track>/g)].map(match => (
+        [...match[1].matchAll(/<gx:coord>([^<]*)<\/gx:coord>/g)].map(coord => coord[1].trim().split(/\s+/))
+    ));
+
+    const found = [...lines, ...tracks];
+    if (found.length === 0) {
+        throw new BadRequestError("KML file has no LineString or gx:Track.");
+    }
+    if (found.length > 1) {
+        throw new BadRequestError(`KML file has ${found.length} lines, a trail must be a single line.`);
+    }
+    return found[0];
+}
+
+function parseGeoJson(text) {
+    let geojson;
+    try {
+        geojson = JSON.parse(text);
+    } catch (e) {
+        throw new BadRequestError(`Malformed GeoJSON file: ${e.message}`);
+    }
+
+    let geometries;
+    if (geojson && geojson.type === "FeatureCollection" && Array.isArray(geojson.features)) {
+        geometries = geojson.features.map(feature => feature && feature.geometry);
+    } else if (geojson && geojson.type === "Feature") {
+        geometries = [geojson.geometry];
+    } else {
+        geometries = [geojson];
+    }
+
+    const lines = [];
+    for (const geometry of geometries) {
+        if (!geometry || !Array.isArray(geometry.coordinates)) {
+            throw new BadRequestError("Malformed GeoJSON file: every feature needs a geometry with coordinates.");
+        }
+        if (geometry.type === "LineString") {
+            lines.push(geometry.coordinates);
+        } else if (geometry.type === "MultiLineString") {
+            lines.push(...geometry.coordinates);
+        } else {
+            throw new BadRequestError(`GeoJSON ${geometry.type} geometries are not supported, upload a LineString.`);
+        }
+    }
+
+    if (lines.length === 0) {
+        throw new BadRequestError("GeoJSON file has no LineString.");
+    }
+    if (lines.length > 1) {
+        throw new BadRequestError(`GeoJSON file has ${lines.length} lines, a trail must be a single line.`);
+    }
+    if (!lines[0].every(Array.isArray)) {
+        throw new BadRequestError("Malformed GeoJSON file: coordinates must be [lng, lat] positions.");
+    }
+    return lines[0];
+}
+
+/**
+ * Converts parsed values to numbers and checks they are real positions.
+ * Elevation is dropped from every point unless every point has one.
+ */
+function validatePoints(points) {
+    if (points.length < 2) {
+        throw new BadRequestError("Tracks need at least two points.");
+    }
+
+    const coordinates = points.map(([lng, lat, ele]) => {
+        const position = [Number(lng), Number(lat)];
+        if (String(lng).trim() === "" || String(lat).trim() === "" || !position.every(Number.isFinite)
+            || position[0] < -180 || position[0] > 180 || position[1] < -90 || position[1] > 90) {
+            throw new BadRequestError(`Malformed track: ${lng},${lat} is not a valid position.`);
+        }
+        if (ele !== undefined && String(ele).trim() !== "" && Number.isFinite(Number(ele))) {
+            position.push(Number(ele));
+        }
+        return position;
+    });
+
+    const hasElevation = coordinates.every(position => position.length === 3);
+    return hasElevation ? coordinates : coordinates.map(([lng, lat]) => [lng, lat]);
+}
+
+/**
+ * Great circle distance in meters between two [lng, lat] positions.
+ */
+function distanceBetween([lng1, lat1], [lng2, lat2]) {
+    const toRad = degrees => degrees * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLng = toRad(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * earthRadiusMeters * Math.asin(Math.sqrt(a));
+}
+
+function round(value, decimals = 0) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+}
+
+function gradeStat(percent) {
+    return {
+        percent: round(percent, 2),
+        degree: round(Math.atan(percent / 100) * 180 / Math.PI, 2)
+    };
+}
+
+/**
+ * Trail stats for a track in the shape Trail.updateTrailStats takes.
+ * Elevation and grade stats are only included when the track has elevation.
+ * Average grade is total climb and descent over distance, max grade is the steepest
+ * stretch of at least 100 meters.
+ *
+ * @param {array} coordinates - [[lng, lat, ele], ...] from parseTrack, ele in meters.
+ * @returns {object} {distance: {imperial, metric}, elevationHigh, elevationLow, elevationGain,
+ *  elevationLoss, avgGrade: {percent, degree}, maxGrade: {percent, degree}}
+ */
+function trackStats(coordinates) {
+    const segmentLengths = coordinates.slice(1).map((position, idx) => distanceBetween(coordinates[idx], position));
+    const meters = segmentLengths.reduce((total, length) => total + length, 0);
+
+    const stats = {
+        distance: { imperial: round(meters / metersPerMile, 2), metric: round(meters / 1000, 2) }
+    };
+
+    if (coordinates[0].length < 3) return stats;
+
+    const elevations = coordinates.map(position => position[2]);
+    let gain = 0;
+    let loss = 0;
+    let maxGrade = 0;
+    let windowStart = 0;
+    let windowLength = 0;
+
+    for (let idx = 1; idx < elevations.length; idx++) {
+        const change = elevations[idx] - elevations[idx - 1];
+        if (change > 0) gain += change;
+        else loss -= change;
+
+        windowLength += segmentLengths[idx - 1];
+        if (windowLength >= minGradeDistanceMeters) {
+            const grade = Math.abs(elevations[idx] - elevations[windowStart]) / windowLength * 100;
+            maxGrade = Math.max(maxGrade, grade);
+            windowStart = idx;
+            windowLength = 0;
+        }
+    }
+
+    const elevationStat = value => ({ imperial: round(value * feetPerMeter), metric: round(value) });
+    const avgGrade = meters > 0 ? (gain + loss) / meters * 100 : 0;
+
+    return {
+        ...stats,
+        elevationHigh: elevationStat(elevations.reduce((high, ele) => Math.max(high, ele))),
+        elevationLow: elevationStat(elevations.reduce((low, ele) => Math.min(low, ele))),
+        elevationGain: elevationStat(gain),
+        elevationLoss: elevationStat(loss),
+        avgGrade: gradeStat(avgGrade),
+        // tracks shorter than the window still get a max grade
+        maxGrade: gradeStat(Math.max(maxGrade, avgGrade))
+    };
+}
+
+module.exports = { trackFormats, parseTrack, trackStats, distanceBetween };
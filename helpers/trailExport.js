@@ -0,0 +1,125 @@
+//Builds GPX and KML files from trails returned by Trail.getFullTrailsByIds / User.getWishList
+const { statUnits } = require('./units');
+
+const exportTypes = {
+    gpx: "application/gpx+xml",
+    kml: "application/vnd.google-earth.kml+xml"
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+/**
+ * File name for an export, "Bear Creek Loop" -> "bear-creek-loop.gpx"
+ */
+function exportFileName(name, extension) {
+    const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+    return `${slug || "trail"}.${extension}`;
+}
+
+/**
+ * Summary of a trail's stats for the description of a track, in the units the stats were retrieved in.
+ * @example "Distance: 4.2 mi, Elevation gain: 500 ft, Type: Out & Back, Difficulty: Moderate"
+ */
+function statsSummary(trail) {
+    const stats = trail.stats || {};
+    const labels = stats.units || statUnits("imperial");
+    const summary = [];
+
+    if (stats.distance != null) summary.push(`Distance: ${stats.distance} ${labels.distance}`);
+    if (stats.elevationGain != null) summary.push(`Elevation gain: ${stats.elevationGain} ${labels.elevationGain}`);
+    if (stats.elevationHigh != null) summary.push(`High point: ${stats.elevationHigh} ${labels.elevationHigh}`);
+    if (stats.type) summary.push(`Type: ${stats.type}`);
+    if (trail.difficulty) summary.push(`Difficulty: ${trail.difficulty}`);
+
+    return summary.join(", ");
+}
+
+function trailDescription(trail) {
+    return [trail.description, statsSummary(trail)].filter(Boolean).join("\n\n");
+}
+
+/**
+ * GPX 1.1 file with one track per trail. Trails without a polyline are included as a track
+ * with no segments so the file still lists every trail requested.
+ *
+ * @param {array} trails - Trails from Trail.getFullTrailsByIds, coordinates are [lng, lat] or [lng, lat, ele (meters)].
+ * @param {string} [name] - Name of the file, defaults to the first trail's name.
+ * @returns {string} GPX document.
+ */
+function trailsToGpx(trails, name = trails[0] && trails[0].name) {
+    const tracks = trails.map(trail => {
+        const coordinates = trail.coordinates || [];
+        const points = coordinates
+            .map(([lng, lat, ele]) => ele == null
+                ? `        <trkpt lat="${lat}" lon="${lng}"/>`
+                : `        <trkpt lat="${lat}" lon="${lng}"><ele>${ele}</ele></trkpt>`)
+            .join("\n");
+
+        return [
+            `  <trk>`,
+            `    <name>${escapeXml(trail.name)}</name>`,
+            `    <desc>${escapeXml(trailDescription(trail))}</desc>`,
+            trail.stats && trail.stats.type ? `    <type>${escapeXml(trail.stats.type)}</type>` : null,
+            coordinates.length > 0 ? `    <trkseg>\n${points}\n    </trkseg>` : null,
+            `  </trk>`
+        ].filter(Boolean).join("\n");
+    });
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<gpx version="1.1" creator="Trail Wanderer" xmlns="http://www.topografix.com/GPX/1/1">`,
+        `  <metadata>`,
+        `    <name>${escapeXml(name || "Trails")}</name>`,
+        `    <time>${new Date().toISOString()}</time>`,
+        `  </metadata>`,
+        ...tracks,
+        `</gpx>`,
+        ``
+    ].join("\n");
+}
+
+/**
+ * KML 2.2 file with the trail as a single LineString placemark, stats are added as ExtendedData.
+ *
+ * @param {object} trail - Trail from Trail.getFullTrailsByIds, coordinates are [lng, lat] or [lng, lat, ele (meters)].
+ * @returns {string} KML document.
+ */
+function trailToKml(trail) {
+    const stats = trail.stats || {};
+    const labels = stats.units || {};
+    const data = Object.entries(stats)
+        .filter(([key, value]) => key !== "units" && value != null)
+        .map(([key, value]) => {
+            const label = labels[key] ? ` ${labels[key]}` : "";
+            return `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}${escapeXml(label)}</value></Data>`;
+        });
+    const coordinates = (trail.coordinates || []).map(position => position.join(",")).join(" ");
+
+    return [
+        `<?xml version="1.0" encoding="UTF-8"?>`,
+        `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+        `  <Document>`,
+        `    <name>${escapeXml(trail.name)}</name>`,
+        `    <Placemark>`,
+        `      <name>${escapeXml(trail.name)}</name>`,
+        `      <description>${escapeXml(trailDescription(trail))}</description>`,
+        data.length > 0 ? `      <ExtendedData>\n${data.join("\n")}\n      </ExtendedData>` : null,
+        `      <LineString>`,
+        `        <tessellate>1</tessellate>`,
+        `        <coordinates>${coordinates}</coordinates>`,
+        `      </LineString>`,
+        `    </Placemark>`,
+        `  </Document>`,
+        `</kml>`,
+        ``
+    ].filter(line => line !== null).join("\n");
+}
+
+module.exports = { exportTypes, exportFileName, trailsToGpx, trailToKml };
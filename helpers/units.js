@@ -0,0 +1,89 @@
+const { BadRequestError } = require("../expressError");
+
+const units = ["imperial", "metric"];
+
+// Label for each stat returned by Trail.getStatsByIds, by system of measure.
+const statUnitLabels = {
+    imperial: {
+        distance: "mi",
+        elevationHigh: "ft",
+        elevationLow: "ft",
+        elevationGain: "ft",
+        elevationLoss: "ft",
+        avgGradePercent: "%",
+        avgGradeDegree: "deg",
+        maxGradePercent: "%",
+        maxGradeDegree: "deg"
+    },
+    metric: {
+        distance: "km",
+        elevationHigh: "m",
+        elevationLow: "m",
+        elevationGain: "m",
+        elevationLoss: "m",
+        avgGradePercent: "%",
+        avgGradeDegree: "deg",
+        maxGradePercent: "%",
+        maxGradeDegree: "deg"
+    }
+};
+
+// Meters in one mile / kilometer, used for PostGIS geography distances.
+const metersPerDistanceUnit = {
+    imperial: 1609.344,
+    metric: 1000
+};
+
+// Elevation unit (feet / meters) in one meter.
+const elevationUnitsPerMeter = {
+    imperial: 3.28084,
+    metric: 1
+};
+
+/**
+ * Validates a system of measure, case insensitive.
+ *
+ * @param {string} unit - imperial or metric.
+ * @returns {string} The unit in lower case.
+ * @throws {BadRequestError} If the unit is not imperial or metric.
+ */
+function normalizeUnit(unit) {
+    const normalized = String(unit).toLowerCase();
+    if (!units.includes(normalized)) {
+        throw new BadRequestError(`Units must be one of: ${units.join(", ")}`);
+    }
+    return normalized;
+}
+
+/**
+ * Unit labels for the stats of a trail.
+ *
+ * @param {string} unit - imperial or metric.
+ * @returns {Object} {distance: "mi", elevationHigh: "ft", ..., maxGradeDegree: "deg"}
+ */
+function statUnits(unit) {
+    return { ...statUnitLabels[normalizeUnit(unit)] };
+}
+
+/**
+ * Converts a distance in miles (imperial) or kilometers (metric) to meters.
+ */
+function distanceToMeters(distance, unit) {
+    return distance * metersPerDistanceUnit[normalizeUnit(unit)];
+}
+
+/**
+ * Converts meters to miles (imperial) or kilometers (metric), rounded to 2 decimals.
+ */
+function metersToDistance(meters, unit) {
+    return Math.round(meters / metersPerDistanceUnit[normalizeUnit(unit)] * 100) / 100;
+}
+
+/**
+ * Converts meters to feet (imperial) or meters (metric), rounded to 1 decimal.
+ */
+function metersToElevation(meters, unit) {
+    return Math.round(meters * elevationUnitsPerMeter[normalizeUnit(unit)] * 10) / 10;
+}
+
+module.exports = { units, normalizeUnit, statUnits, distanceToMeters, metersToDistance, metersToElevation };
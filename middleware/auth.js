@@ -2,28 +2,40 @@
 
 const jwt = require("jsonwebtoken");
 const { SECRET_KEY } = require("../config");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
+const User = require("../models/User");
 
 
 
 /** Middleware: Authenticate user.
  *
- * If a token was provided, verify it, and, if valid, store the token payload
- * on res.locals (this will include the username and isAdmin field.)
+ * If a token was provided, verify it, and, if valid, store the token payload (id and username)
+ * on res.locals along with the user's current role and units from the users row.
+ * The token of a deactivated or deleted user is ignored.
  *
  * It's not an error if no token was provided or if the token is not valid.
  */
 
-function authenticateJWT(req, res, next) {
+async function authenticateJWT(req, res, next) {
+    const authHeader = req.headers && req.headers.authorization;
+    if (!authHeader) return next();
+
+    let payload;
+    try {
+        const token = authHeader.replace(/^[Bb]earer /, "").trim();
+        payload = jwt.verify(token, SECRET_KEY);
+    } catch (e) {
+        return next();
+    };
+
     try {
-        const authHeader = req.headers && req.headers.authorization;
-        if (authHeader) {
-            const token = authHeader.replace(/^[Bb]earer /, "").trim();
-            res.locals.user = jwt.verify(token, SECRET_KEY);
+        const user = await User.findById(payload.id);
+        if (user && user.active) {
+            res.locals.user = { ...payload, role: user.role, units: user.unitPreference };
         };
         return next();
     } catch (e) {
-        return next();
+        return next(e);
     };
 };
 
@@ -65,26 +77,43 @@ function ensureCurrUser(req, res, next) {
     };
 };
 
-//*****Not in use, implement for admin console / dashboard****** */
-// /** Middleware to use when they be logged in as an admin user.
-//  *
-//  *  If not, raises Unauthorized.
-//  */
-
-// function ensureAdmin(req, res, next) {
-//     try {
-//         if (!res.local.user || !res.locals.user.isAdmin) {
-//             throw new UnauthorizedError();
-//         };
-//         return next();
-//     } catch (e) {
-//         return next(e);
-//     };
-// };
+/** Middleware factory to use when they must be logged in with one of the given roles.
+ *  The role is the user's current role, set by authenticateJWT.
+ *
+ *  If not logged in, raises Unauthorized. If logged in without a matching role, raises Forbidden.
+ *
+ *  @example router.patch('/:id', requireRole("moderator", "admin"), ...)
+ */
+
+function requireRole(...roles) {
+    return function (req, res, next) {
+        try {
+            const user = res.locals.user;
+            if (!user) {
+                throw new UnauthorizedError();
+            };
+            if (!roles.includes(user.role)) {
+                throw new ForbiddenError();
+            };
+            return next();
+        } catch (e) {
+            return next(e);
+        };
+    };
+};
+
+
+/** Middleware to use when they must be logged in as an admin user, used by the admin console.
+ *
+ *  If not, raises Unauthorized / Forbidden.
+ */
+
+const ensureAdmin = requireRole("admin");
 
 module.exports = {
     authenticateJWT,
     ensureLoggedIn,
-    // ensureAdmin,
+    ensureAdmin,
     ensureCurrUser,
+    requireRole,
 }
\ No newline at end of file
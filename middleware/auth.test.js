@@ -1,12 +1,17 @@
 
 const jwt = require("jsonwebtoken");
-const { UnauthorizedError } = require("../expressError");
+const { UnauthorizedError, ForbiddenError } = require("../expressError");
 const { SECRET_KEY } = require("../config");
 const {
     authenticateJWT,
     ensureLoggedIn,
     ensureCurrUser,
+    ensureAdmin,
+    requireRole,
 } = require("./auth");
+const User = require("../models/User");
+
+jest.mock("../models/User");
 
 beforeAll(async () => {
     process.env.NODE_ENV = 'test';
@@ -24,38 +29,86 @@ describe("Middleware", () => {
             locals: {}
         };
         next = jest.fn();
+        jest.clearAllMocks();
     });
 
     describe("authenticateJWT", () => {
-        test("works: valid token", () => {
-            const token = jwt.sign({ username: "testuser", isAdmin: false }, SECRET_KEY);
+        test("works: valid token", async () => {
+            User.findById.mockResolvedValue({ id: 1, username: "testuser", active: true, role: "user" });
+            const token = jwt.sign({ id: 1, username: "testuser" }, SECRET_KEY);
             req.headers = { authorization: `Bearer ${token}` };
 
-            authenticateJWT(req, res, next);
+            await authenticateJWT(req, res, next);
 
             expect(res.locals.user).toEqual(expect.objectContaining({
+                id: 1,
                 username: "testuser",
-                isAdmin: false
+                role: "user"
             }));
-            expect(next).toHaveBeenCalled();
+            expect(User.findById).toHaveBeenCalledWith(1);
+            expect(next).toHaveBeenCalledWith();
         });
 
 
-        test("works: no header", () => {
-            authenticateJWT(req, res, next);
+        test("works: no header", async () => {
+            await authenticateJWT(req, res, next);
 
             expect(res.locals.user).toBeUndefined();
+            expect(User.findById).not.toHaveBeenCalled();
             expect(next).toHaveBeenCalled();
         });
 
-        test("works: invalid token", () => {
+        test("works: invalid token", async () => {
             req.headers = { authorization: `Bearer invalidtoken` };
 
-            authenticateJWT(req, res, next);
+            await authenticateJWT(req, res, next);
 
             expect(res.locals.user).toBeUndefined();
             expect(next).toHaveBeenCalled();
         });
+
+        test("works: token of a deactivated user is ignored", async () => {
+            User.findById.mockResolvedValue({ id: 1, username: "testuser", active: false, role: "user" });
+            const token = jwt.sign({ id: 1, username: "testuser" }, SECRET_KEY);
+            req.headers = { authorization: `Bearer ${token}` };
+
+            await authenticateJWT(req, res, next);
+
+            expect(res.locals.user).toBeUndefined();
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test("works: token of a deleted user is ignored", async () => {
+            User.findById.mockResolvedValue(null);
+            const token = jwt.sign({ id: 1, username: "testuser" }, SECRET_KEY);
+            req.headers = { authorization: `Bearer ${token}` };
+
+            await authenticateJWT(req, res, next);
+
+            expect(res.locals.user).toBeUndefined();
+        });
+
+        test("works: units follow the current unit preference", async () => {
+            User.findById.mockResolvedValue({ id: 1, username: "testuser", active: true, role: "user", unitPreference: "metric" });
+            const token = jwt.sign({ id: 1, username: "testuser" }, SECRET_KEY);
+            req.headers = { authorization: `Bearer ${token}` };
+
+            await authenticateJWT(req, res, next);
+
+            expect(res.locals.user.units).toBe("metric");
+        });
+
+        test("works: demoted user gets their current role", async () => {
+            User.findById.mockResolvedValue({ id: 2, username: "moduser", active: true, role: "user" });
+            const token = jwt.sign({ id: 2, username: "moduser" }, SECRET_KEY);
+            req.headers = { authorization: `Bearer ${token}` };
+
+            await authenticateJWT(req, res, next);
+            requireRole("moderator", "admin")(req, res, next);
+
+            expect(res.locals.user.role).toBe("user");
+            expect(next).toHaveBeenLastCalledWith(expect.any(ForbiddenError));
+        });
     });
 
     describe("ensureLoggedIn", () => {
@@ -110,5 +163,54 @@ describe("Middleware", () => {
             expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
         });
     });
-});
 
+    describe("requireRole", () => {
+        test("works: user has one of the roles", () => {
+            res.locals.user = { username: "moduser", role: "moderator" };
+
+            requireRole("moderator", "admin")(req, res, next);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test("forbidden: user does not have the role", () => {
+            res.locals.user = { username: "testuser", role: "user" };
+
+            requireRole("moderator", "admin")(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+        });
+
+        test("forbidden: token without a role", () => {
+            res.locals.user = { username: "testuser" };
+
+            requireRole("moderator")(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+        });
+
+        test("unauth: not logged in", () => {
+            requireRole("admin")(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.any(UnauthorizedError));
+        });
+    });
+
+    describe("ensureAdmin", () => {
+        test("works: admin", () => {
+            res.locals.user = { username: "admin", role: "admin" };
+
+            ensureAdmin(req, res, next);
+
+            expect(next).toHaveBeenCalledWith();
+        });
+
+        test("forbidden: moderator", () => {
+            res.locals.user = { username: "moduser", role: "moderator" };
+
+            ensureAdmin(req, res, next);
+
+            expect(next).toHaveBeenCalledWith(expect.any(ForbiddenError));
+        });
+    });
+});
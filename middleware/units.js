@@ -0,0 +1,30 @@
+"use strict";
+
+const { normalizeUnit } = require("../helpers/units");
+
+/** Middleware: Resolve the system of measure for the response.
+ *
+ * Uses the units query parameter (?units=metric) when provided, otherwise the
+ * logged in user's current unit preference (see authenticateJWT), otherwise imperial.
+ * Stores the result on res.locals.units.
+ *
+ * If the units query parameter is not imperial or metric, raises BadRequest.
+ */
+
+function resolveUnits(req, res, next) {
+    try {
+        if (req.query.units !== undefined) {
+            res.locals.units = normalizeUnit(req.query.units);
+        } else if (res.locals.user && res.locals.user.units) {
+            res.locals.units = normalizeUnit(res.locals.user.units);
+        } else {
+            res.locals.units = "imperial";
+        }
+        return next();
+    } catch (e) {
+        return next(e);
+    }
+}
+
+
+module.exports = { resolveUnits };
@@ -0,0 +1,39 @@
+const { BadRequestError } = require("../expressError");
+const { resolveUnits } = require("./units");
+
+describe("resolveUnits", () => {
+    let res;
+    let next;
+
+    beforeEach(() => {
+        res = {
+            locals: {}
+        };
+        next = jest.fn();
+    });
+
+    test("defaults to imperial", () => {
+        resolveUnits({ query: {} }, res, next);
+        expect(res.locals.units).toBe("imperial");
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    test("uses the user's unit preference", () => {
+        res.locals.user = { id: 1, username: "test", units: "metric" };
+        resolveUnits({ query: {} }, res, next);
+        expect(res.locals.units).toBe("metric");
+    });
+
+    test("query parameter overrides the user's preference", () => {
+        res.locals.user = { id: 1, username: "test", units: "metric" };
+        resolveUnits({ query: { units: "Imperial" } }, res, next);
+        expect(res.locals.units).toBe("imperial");
+        expect(next).toHaveBeenCalledWith();
+    });
+
+    test("bad request for unknown units", () => {
+        resolveUnits({ query: { units: "furlongs" } }, res, next);
+        expect(next).toHaveBeenCalledWith(expect.any(BadRequestError));
+        expect(res.locals.units).toBeUndefined();
+    });
+});
@@ -0,0 +1,179 @@
+"use strict"
+
+const pool = require("../dbPool");
+const { DatabaseError } = require("../expressError");
+const { units } = require("../helpers/units");
+
+/**
+ * Evaluators for each badges.rule_type. Each returns the user's current value for the rule,
+ * the badge is earned once the value reaches the badge's threshold.
+ * Evaluators run on the provided client and receive the badge's params.
+ */
+const ruleEvaluators = new Map([
+    // Distinct trails completed. params: {}
+    ["trail_count", async (db, userId) => {
+        const result = await db.query(`
+                SELECT COUNT(DISTINCT trail_id)::int AS value
+                FROM completed_trails
+                WHERE user_id = $1
+            `, [userId]);
+        return result.rows[0].value;
+    }],
+    // Distinct completed trails with a feature. params: {feature}
+    ["feature_count", async (db, userId, { feature }) => {
+        const result = await db.query(`
+                SELECT COUNT(DISTINCT ct.trail_id)::int AS value
+                FROM completed_trails ct
+                JOIN trail_features tf ON ct.trail_id = tf.trail_id
+                JOIN features f ON tf.feature_id = f.id
+                WHERE ct.user_id = $1
+                AND LOWER(f.feature_name) = LOWER($2)
+            `, [userId, feature]);
+        return result.rows[0].value;
+    }],
+    // Distinct states hiked in. params: {}
+    ["state_count", async (db, userId) => {
+        const result = await db.query(`
+                SELECT COUNT(DISTINCT t.state)::int AS value
+                FROM completed_trails ct
+                JOIN trails t ON ct.trail_id = t.id
+                WHERE ct.user_id = $1
+            `, [userId]);
+        return result.rows[0].value;
+    }],
+    // Distinct completed trails of a difficulty. params: {difficulty}
+    ["difficulty_count", async (db, userId, { difficulty }) => {
+        const result = await db.query(`
+                SELECT COUNT(DISTINCT ct.trail_id)::int AS value
+                FROM completed_trails ct
+                JOIN trails t ON ct.trail_id = t.id
+                WHERE ct.user_id = $1
+                AND LOWER(t.difficulty) = LOWER($2)
+            `, [userId, difficulty]);
+        return result.rows[0].value;
+    }],
+    // Most elevation gained across the trails completed on a single day. params: {unit}
+    ["day_elevation_gain", async (db, userId, { unit = "imperial" }) => {
+        if (!units.includes(unit)) {
+            throw new Error(`Unknown unit ${unit} in day_elevation_gain badge`);
+        }
+        const result = await db.query(`
+                SELECT COALESCE(MAX(day_gain), 0) AS value
+                FROM (
+                    SELECT SUM(ts.elevation_gain_${unit}) AS day_gain
+                    FROM completed_trails ct
+                    JOIN trail_stats ts ON ct.trail_id = ts.trail_id
+                    WHERE ct.user_id = $1
+                    GROUP BY ct.date_completed
+                ) days
+            `, [userId]);
+        return result.rows[0].value;
+    }]
+]);
+
+class Badge {
+
+    /**
+     * Evaluates every badge rule for the user and awards the badges they have newly earned.
+     * Badges already earned are kept even if the completions behind them are removed.
+     *
+     * @param {number} userId
+     * @returns {Promise<Array<Object>>} Newly earned badges [{code, name, description, earnedAt}]
+     * @throws {DatabaseError} If the badges cannot be evaluated.
+     */
+    static async awardBadges(userId) {
+        const db = await pool.connect();
+        try {
+            const unearned = await db.query(`
+                    SELECT b.id, b.code, b.rule_type, b.params, b.threshold
+                    FROM badges b
+                    WHERE NOT EXISTS (
+                        SELECT 1 FROM user_badges ub
+                        WHERE ub.badge_id = b.id AND ub.user_id = $1
+                    )
+                    ORDER BY b.id
+                `, [userId]);
+
+            const awarded = [];
+            for (const badge of unearned.rows) {
+                const value = await evaluate(db, userId, badge);
+                if (value < badge.threshold) continue;
+
+                const result = await db.query(`
+                        WITH inserted AS (
+                            INSERT INTO user_badges (user_id, badge_id)
+                            VALUES ($1, $2)
+                            ON CONFLICT DO NOTHING
+                            RETURNING badge_id, earned_at
+                        )
+                        SELECT b.code, b.name, b.description, i.earned_at AS "earnedAt"
+                        FROM inserted i
+                        JOIN badges b ON i.badge_id = b.id
+                    `, [userId, badge.id]);
+
+                awarded.push(...result.rows);
+            }
+
+            return awarded;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error awarding badges for user ${userId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Every badge with the user's earned date, or their progress toward it when not yet earned.
+     *
+     * @param {number} userId
+     * @returns {Promise<Array<Object>>}
+     * @example [
+     *      { code: "first-trail", name: "First Steps", description, earned: true, earnedAt: "2024-06-01T...", progress: { value: 3, threshold: 1 } },
+     *      { code: "states-5", name: "State Hopper", description, earned: false, earnedAt: null, progress: { value: 2, threshold: 5 } }
+     *  ]
+     * @throws {DatabaseError} If the badges cannot be retrieved.
+     */
+    static async getForUser(userId) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT b.id, b.code, b.name, b.description, b.rule_type, b.params, b.threshold,
+                    ub.earned_at AS "earnedAt"
+                    FROM badges b
+                    LEFT JOIN user_badges ub ON b.id = ub.badge_id AND ub.user_id = $1
+                    ORDER BY ub.earned_at IS NULL, ub.earned_at, b.id
+                `, [userId]);
+
+            const badges = [];
+            for (const badge of result.rows) {
+                const value = await evaluate(db, userId, badge);
+                badges.push({
+                    code: badge.code,
+                    name: badge.name,
+                    description: badge.description,
+                    earned: badge.earnedAt !== null,
+                    earnedAt: badge.earnedAt,
+                    progress: { value: Math.min(value, badge.threshold), threshold: badge.threshold }
+                });
+            }
+
+            return badges;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving badges for user ${userId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+}
+
+async function evaluate(db, userId, badge) {
+    const evaluator = ruleEvaluators.get(badge.rule_type);
+    if (!evaluator) {
+        throw new Error(`No evaluator for badge rule ${badge.rule_type}`);
+    }
+    return Number(await evaluator(db, userId, badge.params));
+}
+
+module.exports = Badge;
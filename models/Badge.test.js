@@ -0,0 +1,65 @@
+const db = require('../dbPool');
+const Badge = require('./Badge');
+const User = require('./User');
+
+let user;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    user = await User.create({
+        username: 'badgehiker',
+        password: 'password',
+        firstName: 'Badge',
+        lastName: 'Hiker',
+        email: 'badgehiker@example.com',
+        profileImagePath: '/images/badgehiker.jpg',
+        acctType: 'local'
+    });
+});
+
+afterAll(async () => {
+    await db.query('DELETE FROM user_badges');
+    await db.query('DELETE FROM completed_trails');
+    await db.query('DELETE FROM users');
+    await db.end();
+});
+
+describe('Badge.awardBadges', () => {
+    test('should award nothing before any completions', async () => {
+        const awarded = await Badge.awardBadges(user.id);
+        expect(awarded).toEqual([]);
+    });
+
+    test('should award first trail and first difficult badges from addCompleted', async () => {
+        // Trail 3 is Difficult
+        const entry = await User.addCompleted(user.id, 3);
+        expect(entry.newBadges.map(b => b.code)).toEqual(['first-trail', 'first-difficult']);
+    });
+
+    test('should not award a badge twice', async () => {
+        const entry = await User.addCompleted(user.id, 3);
+        expect(entry.newBadges).toEqual([]);
+    });
+
+    test('should award states badge after hiking in 5 states', async () => {
+        for (const trailId of [1, 2, 4]) {
+            await User.addCompleted(user.id, trailId);
+        }
+        const entry = await User.addCompleted(user.id, 5);
+        expect(entry.newBadges.map(b => b.code)).toContain('states-5');
+    });
+});
+
+describe('Badge.getForUser', () => {
+    test('should list earned badges first with progress for unearned badges', async () => {
+        const badges = await Badge.getForUser(user.id);
+        const earned = badges.filter(b => b.earned);
+        expect(badges.slice(0, earned.length)).toEqual(earned);
+
+        const waterfalls = badges.find(b => b.code === 'waterfalls-10');
+        expect(waterfalls.earned).toBe(false);
+        expect(waterfalls.earnedAt).toBeNull();
+        expect(waterfalls.progress.threshold).toBe(10);
+        expect(waterfalls.progress.value).toBeLessThan(10);
+    });
+});
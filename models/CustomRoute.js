@@ -0,0 +1,481 @@
+"use strict"
+
+const pool = require("../dbPool");
+const {
+    NotFoundError,
+    BadRequestError,
+    DatabaseError
+} = require("../expressError");
+const { normalizeUnit, statUnits, distanceToMeters } = require("../helpers/units");
+const { chainTrails, findRoute, routeSummary } = require("../helpers/routePlanner");
+
+// Most trails searched when planning to a target distance, nearest the start point first.
+const maxCandidateTrails = 200;
+
+// completed_routes columns for a hike log entry, moving_time is in minutes.
+const routeLogData = `
+    id,
+    to_char(date_completed, 'YYYY-MM-DD') AS "dateCompleted",
+    moving_time AS "movingTime",
+    notes,
+    companions,
+    is_public AS "isPublic"
+`
+
+// Trail polylines and elevation stats for the route planner, see toPlannerTrail.
+const trailLineData = `
+    t.id,
+    t.name,
+    ST_AsGeoJSON(tp.polyline)::json AS geometry,
+    ts.elevation_gain_imperial AS "elevationGainImperial",
+    ts.elevation_gain_metric AS "elevationGainMetric",
+    ts.elevation_loss_imperial AS "elevationLossImperial",
+    ts.elevation_loss_metric AS "elevationLossMetric"
+`
+
+class CustomRoute {
+
+    /**
+     * Plans a route of connected trails from a start point, either through the trails given
+     * in order or by searching nearby trails for a route close to a target distance.
+     * Trails connect where their ends meet within 50 meters, see helpers/routePlanner.js.
+     *
+     * @param {object} plan - {start: {lat, lng}, trailIds} or {start: {lat, lng}, targetDistance}
+     *  targetDistance is in miles (imperial) or kilometers (metric).
+     * @param {string} [unit="imperial"] - imperial or metric.
+     * @returns {Promise<Object>} {start, legs: [{trailId, name, reversed}], geometry: {type: "LineString", coordinates},
+     *  distance, elevationGain, elevationLoss, elevationSource, units: {distance, elevationGain, elevationLoss}}
+     * @throws {BadRequestError} If the trails do not connect or no trail starts near the start point.
+     * @throws {NotFoundError} If a trail is not found or has no polyline.
+     * @throws {DatabaseError} If the trails cannot be retrieved.
+     */
+    static async plan({ start, trailIds, targetDistance }, unit = "imperial") {
+        const som = normalizeUnit(unit);
+        const db = await pool.connect();
+        try {
+            let legs;
+            if (trailIds) {
+                const trails = await this.getTrailLines(trailIds, db);
+                legs = chainTrails(trails, start);
+            } else {
+                const targetMeters = distanceToMeters(targetDistance, som);
+                const trails = await this.getTrailLinesNear(start, targetMeters, db);
+                legs = findRoute(trails, start, targetMeters);
+            }
+
+            const summary = routeSummary(legs);
+            return {
+                start: { lat: start.lat, lng: start.lng },
+                legs: summary.legs,
+                geometry: { type: "LineString", coordinates: summary.coordinates },
+                distance: summary.distance[som],
+                elevationGain: summary.elevationGain && summary.elevationGain[som],
+                elevationLoss: summary.elevationLoss && summary.elevationLoss[som],
+                elevationSource: summary.elevationSource,
+                units: routeUnits(som)
+            };
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error planning route: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Saves a route to a user's account. The route is planned again from the trails given
+     * so the saved line and stats always match the trails.
+     *
+     * @param {number} userId
+     * @param {object} data - {name, start: {lat, lng}, trailIds} matching schemas/newRoute.json
+     * @param {string} [unit="imperial"] - imperial or metric, for the route returned.
+     * @returns {Promise<Object>} The saved route, see get.
+     * @throws {BadRequestError} If the trails do not connect.
+     * @throws {NotFoundError} If a trail is not found or has no polyline.
+     */
+    static async create(userId, { name, start, trailIds }, unit = "imperial") {
+        const db = await pool.connect();
+        let routeId;
+        try {
+            const trails = await this.getTrailLines(trailIds, db);
+            const summary = routeSummary(chainTrails(trails, start));
+            const { distance, elevationGain, elevationLoss } = summary;
+
+            const result = await db.query(`
+                    INSERT INTO custom_routes
+                    (user_id, name, trail_ids, reversed, start_point, route_line,
+                     distance_imperial, distance_metric,
+                     elevation_gain_imperial, elevation_gain_metric,
+                     elevation_loss_imperial, elevation_loss_metric,
+                     elevation_source)
+                    VALUES ($1, $2, $3, $4, ST_SetSRID(ST_MakePoint($5, $6), 4326),
+                            ST_SetSRID(ST_GeomFromGeoJSON($7), 4326),
+                            $8, $9, $10, $11, $12, $13, $14)
+                    RETURNING id
+                `, [
+                userId,
+                name,
+                summary.legs.map(leg => leg.trailId),
+                summary.legs.map(leg => leg.reversed),
+                start.lng,
+                start.lat,
+                JSON.stringify({ type: "LineString", coordinates: summary.coordinates }),
+                distance.imperial,
+                distance.metric,
+                elevationGain && elevationGain.imperial,
+                elevationGain && elevationGain.metric,
+                elevationLoss && elevationLoss.imperial,
+                elevationLoss && elevationLoss.metric,
+                summary.elevationSource
+            ]);
+            routeId = result.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error saving route for user ${userId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        return await this.get(userId, routeId, unit);
+    }
+
+    /**
+     * A route saved by the user.
+     *
+     * @param {number} userId - Routes are only returned to the user who saved them.
+     * @param {number} routeId
+     * @param {string} [unit="imperial"] - imperial or metric.
+     * @returns {Promise<Object>} {id, name, start, legs: [{trailId, name, reversed}], geometry, distance, elevationGain,
+     *  elevationLoss, elevationSource, units, isWishList, isComplete, log: [{id, dateCompleted, movingTime, notes, companions, isPublic}], createdAt}
+     *  Legs for trails that have since been deleted have a null name.
+     * @throws {NotFoundError} If the user has no route with the id.
+     */
+    static async get(userId, routeId, unit = "imperial") {
+        if (isNaN(Number(routeId))) {
+            throw new BadRequestError("Route ids must be a number.");
+        }
+
+        const routes = await this.getRoutes(userId, unit, routeId);
+        if (routes.length === 0) {
+            throw new NotFoundError(`Route ${routeId} not found.`);
+        }
+        return routes[0];
+    }
+
+    /**
+     * Every route saved by the user, newest first.
+     *
+     * @param {number} userId
+     * @param {string} [unit="imperial"] - imperial or metric.
+     * @returns {Promise<Array>} Routes, see get.
+     */
+    static async getForUser(userId, unit = "imperial") {
+        return await this.getRoutes(userId, unit);
+    }
+
+    static async getRoutes(userId, unit, routeId = null) {
+        const som = normalizeUnit(unit);
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT id,
+                           name,
+                           ST_Y(start_point) AS "startLat",
+                           ST_X(start_point) AS "startLng",
+                           trail_ids AS "trailIds",
+                           reversed,
+                           ST_AsGeoJSON(route_line)::json AS geometry,
+                           distance_${som} AS distance,
+                           elevation_gain_${som} AS "elevationGain",
+                           elevation_loss_${som} AS "elevationLoss",
+                           elevation_source AS "elevationSource",
+                           on_wishlist AS "isWishList",
+                           created_at AS "createdAt"
+                    FROM custom_routes
+                    WHERE user_id = $1
+                    AND ($2::int IS NULL OR id = $2)
+                    ORDER BY created_at DESC, id DESC
+                `, [userId, routeId]);
+
+            if (result.rows.length === 0) return [];
+
+            const routeIds = result.rows.map(route => route.id);
+            const trailIds = [...new Set(result.rows.flatMap(route => route.trailIds))];
+            const [namesResult, logResult] = await Promise.all([
+                db.query(`SELECT id, name FROM trails WHERE id = ANY($1::int[])`, [trailIds]),
+                db.query(`
+                        SELECT route_id, ${routeLogData}
+                        FROM completed_routes
+                        WHERE route_id = ANY($1::int[])
+                        ORDER BY date_completed DESC, id DESC
+                    `, [routeIds])
+            ]);
+
+            const trailNames = new Map(namesResult.rows.map(trail => [trail.id, trail.name]));
+            const logMap = new Map();
+            logResult.rows.forEach(({ route_id, ...entry }) => {
+                if (!logMap.has(route_id)) logMap.set(route_id, []);
+                logMap.get(route_id).push(entry);
+            });
+
+            return result.rows.map(({ startLat, startLng, trailIds, reversed, ...route }) => {
+                const log = logMap.get(route.id) || [];
+                return {
+                    id: route.id,
+                    name: route.name,
+                    start: { lat: startLat, lng: startLng },
+                    legs: trailIds.map((trailId, idx) => ({
+                        trailId,
+                        name: trailNames.get(trailId) || null,
+                        reversed: reversed[idx]
+                    })),
+                    geometry: route.geometry,
+                    distance: route.distance,
+                    elevationGain: route.elevationGain,
+                    elevationLoss: route.elevationLoss,
+                    elevationSource: route.elevationSource,
+                    units: routeUnits(som),
+                    isWishList: route.isWishList,
+                    isComplete: log.length > 0,
+                    log,
+                    createdAt: route.createdAt
+                };
+            });
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving routes for user ${userId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Deletes a saved route along with its completion log.
+     *
+     * @param {number} userId
+     * @param {number} routeId
+     * @returns {Promise<number>} Id of the deleted route.
+     * @throws {NotFoundError} If the user has no route with the id.
+     */
+    static async remove(userId, routeId) {
+        if (isNaN(Number(routeId))) {
+            throw new BadRequestError("Route ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    DELETE FROM custom_routes
+                    WHERE id = $1
+                    AND user_id = $2
+                    RETURNING id
+                `, [routeId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Route ${routeId} not found.`);
+            }
+            return result.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error deleting route ${routeId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Adds a saved route to, or removes it from, the user's wish list.
+     *
+     * @param {number} userId
+     * @param {number} routeId
+     * @param {boolean} onWishList
+     * @returns {Promise<number>} routeId
+     * @throws {NotFoundError} If the user has no route with the id.
+     */
+    static async setWishList(userId, routeId, onWishList) {
+        if (isNaN(Number(routeId))) {
+            throw new BadRequestError("Route ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    UPDATE custom_routes
+                    SET on_wishlist = $3
+                    WHERE id = $1
+                    AND user_id = $2
+                    RETURNING id
+                `, [routeId, userId, onWishList]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Route ${routeId} not found.`);
+            }
+            return result.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error updating wish list for route ${routeId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Logs a completion of a saved route, a route can be completed any number of times.
+     * Route completions are logged on the route only, they do not complete its trails.
+     *
+     * @param {number} userId
+     * @param {number} routeId
+     * @param {Object} [log] {dateCompleted, movingTime, notes, companions, isPublic} matching schemas/completedTrail.json
+     * @returns {Promise<Object>} The log entry {id, dateCompleted, movingTime, notes, companions, isPublic}
+     * @throws {NotFoundError} If the user has no route with the id.
+     */
+    static async addCompleted(userId, routeId, log = {}) {
+        if (isNaN(Number(routeId))) {
+            throw new BadRequestError("Route ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const { dateCompleted = null, movingTime = null, notes = null, companions = [], isPublic = false } = log;
+
+            // the insert only selects the route when it belongs to the user
+            const result = await db.query(`
+                    INSERT INTO completed_routes
+                    (route_id, date_completed, moving_time, notes, companions, is_public)
+                    SELECT id, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7
+                    FROM custom_routes
+                    WHERE id = $1
+                    AND user_id = $2
+                    RETURNING ${routeLogData}
+                `, [routeId, userId, dateCompleted, movingTime, notes, companions, isPublic]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Route ${routeId} not found.`);
+            }
+            return result.rows[0];
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error logging completion of route ${routeId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Removes every completion of a saved route.
+     *
+     * @param {number} userId
+     * @param {number} routeId
+     * @returns {Promise<number>} routeId
+     * @throws {NotFoundError} If the user has not completed the route.
+     */
+    static async deleteCompleted(userId, routeId) {
+        if (isNaN(Number(routeId))) {
+            throw new BadRequestError("Route ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    DELETE FROM completed_routes cr
+                    USING custom_routes r
+                    WHERE cr.route_id = r.id
+                    AND r.id = $1
+                    AND r.user_id = $2
+                    RETURNING cr.route_id
+                `, [routeId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Route ${routeId} not found on completed list.`);
+            }
+            return result.rows[0].route_id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error removing route ${routeId} from completed list: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Polylines and elevation stats of the trails, in the order given.
+     * Runs on the provided client.
+     *
+     * @throws {NotFoundError} If a trail is not found or has no polyline.
+     */
+    static async getTrailLines(trailIds, db) {
+        const result = await db.query(`
+                SELECT ${trailLineData}
+                FROM trail_polylines tp
+                JOIN trails t ON tp.trail_id = t.id
+                LEFT JOIN trail_stats ts ON ts.trail_id = t.id
+                WHERE t.id = ANY($1::int[])
+            `, [trailIds]);
+
+        const trails = new Map(result.rows.map(row => [row.id, toPlannerTrail(row)]));
+        return trailIds.map(trailId => {
+            if (!trails.has(Number(trailId))) {
+                throw new NotFoundError(`Trail ${trailId} not found or has no polyline.`);
+            }
+            return trails.get(Number(trailId));
+        });
+    }
+
+    /**
+     * Polylines and elevation stats of the trails within targetMeters of the start point, nearest first.
+     * A route can not reach a trail farther away than its length. Runs on the provided client.
+     */
+    static async getTrailLinesNear(start, targetMeters, db) {
+        // Matches the trail_polylines_geography_idx expression index
+        const result = await db.query(`
+                SELECT ${trailLineData}
+                FROM trail_polylines tp
+                JOIN trails t ON tp.trail_id = t.id
+                LEFT JOIN trail_stats ts ON ts.trail_id = t.id
+                WHERE ST_DWithin(tp.polyline::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3)
+                ORDER BY ST_Distance(tp.polyline::geography, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography)
+                LIMIT $4
+            `, [start.lng, start.lat, targetMeters, maxCandidateTrails]);
+
+        return result.rows.map(toPlannerTrail);
+    }
+}
+
+/**
+ * Trail in the shape helpers/routePlanner.js takes, elevation stats are null unless both units are stored.
+ */
+function toPlannerTrail(row) {
+    const stat = (imperial, metric) => (imperial !== null && metric !== null ? { imperial, metric } : null);
+    return {
+        id: row.id,
+        name: row.name,
+        coordinates: row.geometry.coordinates,
+        elevationGain: stat(row.elevationGainImperial, row.elevationGainMetric),
+        elevationLoss: stat(row.elevationLossImperial, row.elevationLossMetric)
+    };
+}
+
+function routeUnits(som) {
+    const { distance, elevationGain, elevationLoss } = statUnits(som);
+    return { distance, elevationGain, elevationLoss };
+}
+
+module.exports = CustomRoute;
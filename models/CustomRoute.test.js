@@ -0,0 +1,158 @@
+const db = require('../dbPool');
+const CustomRoute = require('./CustomRoute');
+const User = require('./User');
+const { NotFoundError, BadRequestError } = require('../expressError');
+
+let hiker;
+let otherHiker;
+
+// Trails 1 and 2 meet at -86.59, trail 3 is drawn toward the east end of trail 2 so it is walked reversed.
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    await db.query(`
+        INSERT INTO trail_polylines (trail_id, polyline)
+        VALUES (1, ST_GeomFromText('LINESTRING Z(-86.60 34.70 200, -86.59 34.70 250)', 4326)),
+               (2, ST_GeomFromText('LINESTRING Z(-86.59 34.70 250, -86.58 34.70 230)', 4326)),
+               (3, ST_GeomFromText('LINESTRING(-86.57 34.70, -86.58 34.7002)', 4326)),
+               (4, ST_GeomFromText('LINESTRING(-86.40 34.90, -86.39 34.90)', 4326))
+    `);
+    hiker = await User.create({
+        username: 'router',
+        password: 'password',
+        firstName: 'Rou',
+        lastName: 'Ter',
+        email: 'router@example.com',
+        profileImagePath: '/images/router.jpg',
+        acctType: 'local'
+    });
+    otherHiker = await User.create({
+        username: 'otherrouter',
+        password: 'password',
+        firstName: 'Oth',
+        lastName: 'Er',
+        email: 'otherrouter@example.com',
+        profileImagePath: '/images/otherrouter.jpg',
+        acctType: 'local'
+    });
+});
+
+afterAll(async () => {
+    await db.query('DELETE FROM custom_routes');
+    await db.query('DELETE FROM trail_polylines WHERE trail_id IN (1, 2, 3, 4)');
+    await db.query(`DELETE FROM users WHERE username IN ('router', 'otherrouter')`);
+    await db.end();
+});
+
+describe('CustomRoute.plan', () => {
+    test('should chain trails in order, reversing trails as needed', async () => {
+        const route = await CustomRoute.plan({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2, 3] });
+
+        expect(route.legs).toEqual([
+            { trailId: 1, name: 'Trail 1', reversed: false },
+            { trailId: 2, name: 'Trail 2', reversed: false },
+            { trailId: 3, name: 'Trail 3', reversed: true }
+        ]);
+        expect(route.geometry.type).toBe('LineString');
+        expect(route.units).toEqual({ distance: 'mi', elevationGain: 'ft', elevationLoss: 'ft' });
+    });
+
+    test('should measure elevation from 3D polylines in metric units', async () => {
+        const route = await CustomRoute.plan({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] }, 'metric');
+
+        expect(route.distance).toBeCloseTo(1.83, 1);
+        expect(route.elevationGain).toBe(50);
+        expect(route.elevationLoss).toBe(20);
+        expect(route.elevationSource).toBe('polyline');
+    });
+
+    test('should find a route close to a target distance', async () => {
+        const route = await CustomRoute.plan({ start: { lat: 34.7, lng: -86.6 }, targetDistance: 1.83 }, 'metric');
+
+        expect(route.legs.map(leg => leg.trailId)).toEqual([1, 2]);
+    });
+
+    test('should throw BadRequestError when trails do not connect', async () => {
+        try {
+            await CustomRoute.plan({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 4] });
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test('should throw NotFoundError for a trail without a polyline', async () => {
+        try {
+            await CustomRoute.plan({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 5] });
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('CustomRoute saved routes', () => {
+    let route;
+
+    beforeAll(async () => {
+        route = await CustomRoute.create(hiker.id, { name: 'Creek loop', start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2, 3] });
+    });
+
+    test('should save the planned route', async () => {
+        expect(route).toMatchObject({
+            name: 'Creek loop',
+            start: { lat: 34.7, lng: -86.6 },
+            isWishList: false,
+            isComplete: false,
+            log: []
+        });
+        expect(route.legs.map(leg => leg.reversed)).toEqual([false, false, true]);
+        expect(route.geometry.coordinates.length).toBeGreaterThan(2);
+    });
+
+    test('should only return routes to the user who saved them', async () => {
+        expect(await CustomRoute.getForUser(hiker.id)).toHaveLength(1);
+        expect(await CustomRoute.getForUser(otherHiker.id)).toEqual([]);
+        try {
+            await CustomRoute.get(otherHiker.id, route.id);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+
+    test('should add and remove the route from the wishlist', async () => {
+        await CustomRoute.setWishList(hiker.id, route.id, true);
+        expect((await CustomRoute.get(hiker.id, route.id)).isWishList).toBe(true);
+
+        await CustomRoute.setWishList(hiker.id, route.id, false);
+        expect((await CustomRoute.get(hiker.id, route.id)).isWishList).toBe(false);
+    });
+
+    test('should log completions of the route', async () => {
+        const entry = await CustomRoute.addCompleted(hiker.id, route.id, { dateCompleted: '2024-06-01', movingTime: 95 });
+        expect(entry).toMatchObject({ dateCompleted: '2024-06-01', movingTime: 95, companions: [], isPublic: false });
+
+        const saved = await CustomRoute.get(hiker.id, route.id);
+        expect(saved.isComplete).toBe(true);
+        expect(saved.log).toHaveLength(1);
+
+        expect(await CustomRoute.deleteCompleted(hiker.id, route.id)).toBe(route.id);
+        expect((await CustomRoute.get(hiker.id, route.id)).log).toEqual([]);
+    });
+
+    test("should not log completions of another user's route", async () => {
+        try {
+            await CustomRoute.addCompleted(otherHiker.id, route.id);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+
+    test('should delete the route', async () => {
+        const saved = await CustomRoute.create(hiker.id, { name: 'Out and back', start: { lat: 34.7, lng: -86.6 }, trailIds: [1] });
+
+        expect(await CustomRoute.remove(hiker.id, saved.id)).toBe(saved.id);
+        try {
+            await CustomRoute.get(hiker.id, saved.id);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
@@ -0,0 +1,321 @@
+"use strict"
+
+const pool = require("../dbPool");
+const {
+    NotFoundError,
+    BadRequestError,
+    ForbiddenError,
+    DatabaseError
+} = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+
+const allReviewData = `
+    r.id,
+    r.trail_id AS "trailId",
+    r.user_id AS "userId",
+    u.username,
+    u.profile_image_path AS "profileImagePath",
+    r.body,
+    to_char(r.visit_date, 'YYYY-MM-DD') AS "visitDate",
+    r.conditions,
+    COALESCE(h.helpful_count, 0)::int AS "helpfulCount",
+    r.created_at AS "createdAt",
+    r.updated_at AS "updatedAt"
+`
+
+const reviewJoins = `
+    FROM reviews r
+    JOIN users u ON r.user_id = u.id
+    LEFT JOIN (
+        SELECT review_id, COUNT(*) AS helpful_count
+        FROM review_helpful_votes
+        GROUP BY review_id
+    ) h ON r.id = h.review_id
+`
+
+// Sort options for Review.findByTrail, newest is the default.
+const reviewSorts = new Map([
+    ["newest", `r.created_at DESC, r.id DESC`],
+    ["helpful", `"helpfulCount" DESC, r.created_at DESC, r.id DESC`]
+]);
+
+// Maps updateReview.json keys to reviews columns for sqlForPartialUpdate
+const reviewJsToSql = {
+    visitDate: "visit_date"
+};
+
+class Review {
+
+    /**
+     * Adds a review for a trail.
+     *
+     * @param {number} trailId
+     * @param {number} userId - Author of the review.
+     * @param {object} data - {body, visitDate, conditions}, matching schemas/newReview.json
+     * @returns {Promise<Object>} The stored review.
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {DatabaseError} If the review fails to save.
+     */
+    static async create(trailId, userId, { body, visitDate = null, conditions = [] }) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    INSERT INTO reviews
+                    (trail_id, user_id, body, visit_date, conditions)
+                    VALUES ($1,$2,$3,$4,$5)
+                    RETURNING id
+                `, [trailId, userId, body, visitDate, conditions]);
+
+            return await this.get(result.rows[0].id);
+        } catch (e) {
+            console.error(e);
+            if (e.code === '23503') {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+            throw new DatabaseError(`Error saving review for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Gets a single review.
+     *
+     * @param {number} id - Review id.
+     * @returns {Promise<Object>} The review.
+     * @throws {NotFoundError} If the review is not found.
+     */
+    static async get(id) {
+        if (isNaN(Number(id))) {
+            throw new BadRequestError("Review ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT ${allReviewData}
+                    ${reviewJoins}
+                    WHERE r.id = $1
+                `, [id]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Review ${id} not found.`);
+            }
+
+            return result.rows[0];
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error retrieving review ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Lists the reviews for a trail a page at a time.
+     *
+     * @param {number} trailId
+     * @param {object} options - {page = 1, limit = 10, sort = "newest"}, sort is newest or helpful.
+     * @returns {Promise<Object>} {totalCount, reviews: [...]}
+     * @throws {BadRequestError} If the sort, page or limit is not valid.
+     * @throws {DatabaseError} If there is an error retrieving reviews.
+     */
+    static async findByTrail(trailId, { page = 1, limit = 10, sort = "newest" } = {}) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+        if (!reviewSorts.has(sort)) {
+            throw new BadRequestError(`Sort must be one of: ${[...reviewSorts.keys()].join(", ")}`);
+        }
+        page = Number(page);
+        limit = Number(limit);
+        if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1 || limit > 50) {
+            throw new BadRequestError("Page must be 1 or more and limit between 1 and 50.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const countResult = await db.query(`
+                    SELECT COUNT(*)::int AS total_count
+                    FROM reviews
+                    WHERE trail_id = $1
+                `, [trailId]);
+
+            const result = await db.query(`
+                    SELECT ${allReviewData}
+                    ${reviewJoins}
+                    WHERE r.trail_id = $1
+                    ORDER BY ${reviewSorts.get(sort)}
+                    LIMIT $2 OFFSET $3
+                `, [trailId, limit, (page - 1) * limit]);
+
+            return {
+                totalCount: countResult.rows[0].total_count,
+                reviews: result.rows
+            };
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving reviews for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Edits a review, only the author can edit their review.
+     *
+     * @param {number} trailId - Trail the review is on.
+     * @param {number} id - Review id.
+     * @param {number} userId - User making the edit.
+     * @param {object} data - Any of {body, visitDate, conditions}, matching schemas/updateReview.json
+     * @returns {Promise<Object>} The updated review.
+     * @throws {NotFoundError} If the review is not found on the trail.
+     * @throws {ForbiddenError} If the review belongs to another user.
+     */
+    static async update(trailId, id, userId, data) {
+        const db = await pool.connect();
+        try {
+            await verifyAuthor(db, trailId, id, userId);
+
+            const { setCols, values } = sqlForPartialUpdate(data, reviewJsToSql);
+            await db.query(`
+                    UPDATE reviews
+                    SET ${setCols},
+                    updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $${values.length + 1}
+                `, [...values, id]);
+
+            return await this.get(id);
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof ForbiddenError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error updating review ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Deletes a review, only the author can delete their review. Helpful votes are removed with it.
+     *
+     * @param {number} trailId - Trail the review is on.
+     * @param {number} id - Review id.
+     * @param {number} userId - User deleting the review.
+     * @returns {Promise<number>} Id of the deleted review.
+     * @throws {NotFoundError} If the review is not found on the trail.
+     * @throws {ForbiddenError} If the review belongs to another user.
+     */
+    static async remove(trailId, id, userId) {
+        const db = await pool.connect();
+        try {
+            await verifyAuthor(db, trailId, id, userId);
+
+            const result = await db.query(`
+                    DELETE FROM reviews
+                    WHERE id = $1
+                    RETURNING id
+                `, [id]);
+
+            return result.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof ForbiddenError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error deleting review ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Marks a review as helpful for a user. Voting twice has no effect, authors cannot vote on their own review.
+     *
+     * @param {number} id - Review id.
+     * @param {number} userId - User voting.
+     * @returns {Promise<Object>} The review with the updated helpfulCount.
+     * @throws {NotFoundError} If the review is not found.
+     * @throws {BadRequestError} If the user wrote the review.
+     */
+    static async addHelpfulVote(id, userId) {
+        const review = await this.get(id);
+        if (review.userId === userId) {
+            throw new BadRequestError("You cannot vote on your own review.");
+        }
+
+        const db = await pool.connect();
+        try {
+            await db.query(`
+                    INSERT INTO review_helpful_votes
+                    (review_id, user_id)
+                    VALUES ($1,$2)
+                    ON CONFLICT DO NOTHING
+                `, [id, userId]);
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error saving vote for review ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        return await this.get(id);
+    }
+
+    /**
+     * Removes a user's helpful vote from a review.
+     *
+     * @param {number} id - Review id.
+     * @param {number} userId - User removing their vote.
+     * @returns {Promise<Object>} The review with the updated helpfulCount.
+     * @throws {NotFoundError} If the review is not found.
+     */
+    static async removeHelpfulVote(id, userId) {
+        await this.get(id);
+
+        const db = await pool.connect();
+        try {
+            await db.query(`
+                    DELETE FROM review_helpful_votes
+                    WHERE review_id = $1
+                    AND user_id = $2
+                `, [id, userId]);
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error removing vote for review ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        return await this.get(id);
+    }
+}
+
+/**
+ * Checks a review exists on the trail and was written by the user.
+ * @throws {NotFoundError} If the review is not found on the trail.
+ * @throws {ForbiddenError} If the review belongs to another user.
+ */
+async function verifyAuthor(db, trailId, id, userId) {
+    if (isNaN(Number(trailId)) || isNaN(Number(id))) {
+        throw new BadRequestError("Trail and review ids must be a number.");
+    }
+
+    const result = await db.query(`SELECT user_id FROM reviews WHERE id = $1 AND trail_id = $2`, [id, trailId]);
+    if (result.rows.length === 0) {
+        throw new NotFoundError(`Review ${id} not found on trail ${trailId}.`);
+    }
+    if (result.rows[0].user_id !== userId) {
+        throw new ForbiddenError("You can only change your own reviews.");
+    }
+}
+
+module.exports = Review;
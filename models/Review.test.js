@@ -0,0 +1,205 @@
+const db = require('../dbPool');
+const Review = require('./Review');
+const Trail = require('./Trail');
+const User = require('./User');
+const { NotFoundError, BadRequestError, ForbiddenError } = require('../expressError');
+
+let author;
+let reader;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    author = await User.create({
+        username: 'reviewer',
+        password: 'password',
+        firstName: 'Re',
+        lastName: 'Viewer',
+        email: 'reviewer@example.com',
+        profileImagePath: '/images/reviewer.jpg',
+        acctType: 'local'
+    });
+    reader = await User.create({
+        username: 'reader',
+        password: 'password',
+        firstName: 'Rea',
+        lastName: 'Der',
+        email: 'reader@example.com',
+        profileImagePath: '/images/reader.jpg',
+        acctType: 'local'
+    });
+});
+
+afterAll(async () => {
+    await db.query('DELETE FROM reviews');
+    await db.query('DELETE FROM users');
+    await db.end();
+});
+
+describe('Review.create', () => {
+    test('should store a review with conditions', async () => {
+        const review = await Review.create(1, author.id, {
+            body: 'Muddy but worth it',
+            visitDate: '2024-04-02',
+            conditions: ['muddy', 'downed trees']
+        });
+
+        expect(review).toMatchObject({
+            trailId: 1,
+            userId: author.id,
+            username: 'reviewer',
+            body: 'Muddy but worth it',
+            visitDate: '2024-04-02',
+            conditions: ['muddy', 'downed trees'],
+            helpfulCount: 0
+        });
+    });
+
+    test('should throw NotFoundError if the trail does not exist', async () => {
+        try {
+            await Review.create(9999, author.id, { body: 'Nowhere' });
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('Review.findByTrail and helpful votes', () => {
+    let older;
+    let newer;
+
+    beforeAll(async () => {
+        await db.query('DELETE FROM reviews');
+        older = await Review.create(2, author.id, { body: 'Older review' });
+        await db.query(`UPDATE reviews SET created_at = created_at - INTERVAL '1 day' WHERE id = $1`, [older.id]);
+        newer = await Review.create(2, author.id, { body: 'Newer review' });
+    });
+
+    test('should list newest first by default', async () => {
+        const result = await Review.findByTrail(2);
+        expect(result.totalCount).toBe(2);
+        expect(result.reviews.map(r => r.id)).toEqual([newer.id, older.id]);
+    });
+
+    test('should page results', async () => {
+        const result = await Review.findByTrail(2, { page: 2, limit: 1 });
+        expect(result.totalCount).toBe(2);
+        expect(result.reviews.map(r => r.id)).toEqual([older.id]);
+    });
+
+    test('should sort by most helpful', async () => {
+        const voted = await Review.addHelpfulVote(older.id, reader.id);
+        expect(voted.helpfulCount).toBe(1);
+
+        // voting twice does not count twice
+        const votedAgain = await Review.addHelpfulVote(older.id, reader.id);
+        expect(votedAgain.helpfulCount).toBe(1);
+
+        const result = await Review.findByTrail(2, { sort: 'helpful' });
+        expect(result.reviews.map(r => r.id)).toEqual([older.id, newer.id]);
+    });
+
+    test('should remove a helpful vote', async () => {
+        const review = await Review.removeHelpfulVote(older.id, reader.id);
+        expect(review.helpfulCount).toBe(0);
+    });
+
+    test('should not let authors vote on their own review', async () => {
+        try {
+            await Review.addHelpfulVote(newer.id, author.id);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test('should throw BadRequestError for an unknown sort', async () => {
+        try {
+            await Review.findByTrail(2, { sort: 'oldest' });
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe('Review.update and Review.remove', () => {
+    let review;
+
+    beforeAll(async () => {
+        review = await Review.create(3, author.id, { body: 'Before edit', conditions: ['dry'] });
+    });
+
+    test('should let the author edit their review', async () => {
+        const updated = await Review.update(3, review.id, author.id, { body: 'After edit', conditions: ['snow'] });
+        expect(updated).toMatchObject({ body: 'After edit', conditions: ['snow'] });
+    });
+
+    test('should throw ForbiddenError when editing another user\'s review', async () => {
+        try {
+            await Review.update(3, review.id, reader.id, { body: 'Not mine' });
+        } catch (err) {
+            expect(err instanceof ForbiddenError).toBeTruthy();
+        }
+    });
+
+    test('should throw NotFoundError when the review is on another trail', async () => {
+        try {
+            await Review.update(4, review.id, author.id, { body: 'Wrong trail' });
+            throw new Error('expected NotFoundError');
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+
+        try {
+            await Review.remove(4, review.id, author.id);
+            throw new Error('expected NotFoundError');
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+
+    test('should throw ForbiddenError when deleting another user\'s review', async () => {
+        try {
+            await Review.remove(3, review.id, reader.id);
+        } catch (err) {
+            expect(err instanceof ForbiddenError).toBeTruthy();
+        }
+    });
+
+    test('should let the author delete their review', async () => {
+        const deleted = await Review.remove(3, review.id, author.id);
+        expect(deleted).toBe(review.id);
+
+        try {
+            await Review.get(review.id);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('Recent conditions in Trail.getFullTrailsByIds', () => {
+    test('should summarize conditions from the last 30 days only', async () => {
+        await db.query('DELETE FROM reviews WHERE trail_id = 4');
+        await Review.create(4, author.id, { body: 'Snowy', conditions: ['snow', 'ice'] });
+        await Review.create(4, reader.id, { body: 'Still snowy', conditions: ['snow'] });
+        await Review.create(4, reader.id, { body: 'Last summer', visitDate: '2020-07-01', conditions: ['bugs'] });
+
+        const [trail] = await Trail.getFullTrailsByIds([4]);
+        expect(trail.recentConditions.reviewCount).toBe(2);
+        expect(trail.recentConditions.conditions.map(c => [c.condition, c.count])).toEqual([['snow', 2], ['ice', 1]]);
+    });
+
+    test('should return an empty summary for trails without recent reviews', async () => {
+        const [trail] = await Trail.getFullTrailsByIds([5]);
+        expect(trail.recentConditions).toEqual({ reviewCount: 0, conditions: [] });
+    });
+});
+
+describe('User.delete', () => {
+    test('should delete the user\'s reviews', async () => {
+        await Review.create(6, reader.id, { body: 'Going away' });
+        await User.delete('reader');
+
+        const result = await db.query(`SELECT id FROM reviews WHERE user_id = $1`, [reader.id]);
+        expect(result.rows).toHaveLength(0);
+    });
+});
@@ -9,24 +9,73 @@ const {
 } = require("../expressError");
 
 const { sqlForPartialUpdate } = require("../helpers/sql");
+const { normalizeUnit, statUnits, metersToDistance, metersToElevation } = require("../helpers/units");
+const { trackStats } = require("../helpers/tracks");
+const { locatePoint, toStateCode } = require("../helpers/maps");
+const tileCache = require("../helpers/tileCache");
 const User = require("./User");
-
+const TrailPoint = require("./TrailPoint");
+
+// Maps updateTrail.json keys to trails columns for sqlForPartialUpdate
+const trailJsToSql = {
+    trailName: "name",
+    dogs: "dogs_allowed",
+    landManager: "land_manager"
+};
+
+// Stats stored as <column>_imperial / <column>_metric
+const statsJsToSql = new Map([
+    ["distance", "distance"],
+    ["elevationHigh", "elevation_high"],
+    ["elevationLow", "elevation_low"],
+    ["elevationGain", "elevation_gain"],
+    ["elevationLoss", "elevation_loss"]
+]);
+
+// Grades stored as <column>_percent / <column>_degree
+const gradesJsToSql = new Map([
+    ["avgGrade", "avg_grade"],
+    ["maxGrade", "max_grade"]
+]);
+
+// Most trails returned for a map viewport before asking the user to zoom in.
+const maxBboxTrails = 500;
+
+// Points an elevation profile can be sampled at, GET /trails/:id/elevation-profile?samples=
+const defaultProfileSamples = 200;
+const maxProfileSamples = 1000;
+
+// Tables with a trail_id foreign key that does not cascade, cleared before a trail is deleted.
+const trailDependentTables = [
+    "trail_stats",
+    "trail_images",
+    "trail_features",
+    "trail_polylines",
+    "ratings",
+    "wanted_trails",
+    "completed_trails"
+];
 
 
 class Trail {
 
     /**
-   * Retrieves the full details of a trail by its ID, including stats and features.
+   * Retrieves the full details of a trail by its ID, including stats, features, ratings, recent review conditions
+   * and its points (trailheads, parking, ...) as a GeoJSON FeatureCollection.
+   * Trails are returned in the same order as the ids provided.
    *
    * @param {number} trailId - The ID of the trail to retrieve.
+   * @param {number} [userId] - Adds isWishList / isComplete for the user.
+   * @param {string} [unit="imperial"] - imperial or metric, stats include a units object labelling each stat.
    * @returns {Promise<Object>} A promise that resolves to an object containing the trail details, including stats and features.
    * @throws {NotFoundError} If the trail with the specified ID is not found.
    * @throws {DatabaseError} If there is an error retrieving the trail data from the database.
    */
-    static async getFullTrailsByIds(rawTrailIds, userId = null) {
+    static async getFullTrailsByIds(rawTrailIds, userId = null, unit = "imperial") {
 
         const db = await pool.connect();
         try {
+            const systemOfMeasure = normalizeUnit(unit);
             const trailIds = rawTrailIds.map((id) => {
                 if (isNaN(Number(id))) {
                     throw new BadRequestError("Trail ids must be a number.")
@@ -45,18 +94,22 @@ class Trail {
                     description,
                     land_manager AS "landManager"
             FROM trails WHERE id = ANY($1::int[])
+            ORDER BY array_position($1::int[], id)
         `, [trailIds]);
 
             const trails = trailResult.rows;
 
             if (trails.length > 0) {
                 const trailAttributes = await Promise.all([
-                    this.getStatsByIds(trailIds),
+                    this.getStatsByIds(trailIds, systemOfMeasure),
                     this.getTrailFeaturesByIds(trailIds),
                     this.getTrailImagesByIds(trailIds),
                     this.getTrailCoordsByIds(trailIds),
                     userId ? User.isOnWishList(userId, trailIds) : Promise.resolve(null),
-                    userId ? User.isOnCompletedList(userId, trailIds) : Promise.resolve(null)
+                    userId ? User.isOnCompletedList(userId, trailIds) : Promise.resolve(null),
+                    this.getRatingsByIds(trailIds),
+                    this.getRecentConditionsByIds(trailIds),
+                    TrailPoint.getByTrailIds(trailIds)
                 ]);
 
                 const statsMap = new Map(trailAttributes[0].map(stat => [stat.trail_id, stat]));
@@ -66,6 +119,10 @@ class Trail {
                     ? new Map(trailAttributes[3].map(coord => [coord.trail_id, coord.geojson.coordinates]))
                     : null;
 
+                const ratingsMap = new Map(trailAttributes[6].map(rating => [rating.trail_id, rating]));
+                const conditionsMap = trailAttributes[7];
+                const pointsMap = trailAttributes[8];
+
                 const wishListMap = userId && trailAttributes[4] && trailAttributes[4].length > 0
                     ? new Map(trailIds.map(id => (
                         trailAttributes[4].includes(id) ? [id, true] : [id, false]
@@ -81,6 +138,7 @@ class Trail {
                 trails.forEach(trail => {
                     trail.stats = statsMap.get(trail.id) || {};
                     delete trail.stats.trail_id;
+                    trail.stats.units = statUnits(systemOfMeasure);
                     trail.features = featuresMap.get(trail.id) || [];
                     delete trail.features.trail_id;
                     trail.imagePaths = imagesMap.get(trail.id) || [];
@@ -88,6 +146,11 @@ class Trail {
                     trail.coordinates = coordMap ? coordMap.get(trail.id) : [];
                     trail.isWishList = wishListMap ? wishListMap.get(trail.id) : false;
                     trail.isComplete = completedListMap ? completedListMap.get(trail.id) : false;
+                    const rating = ratingsMap.get(trail.id);
+                    trail.avgRating = rating ? rating.avgRating : null;
+                    trail.ratingCount = rating ? rating.ratingCount : 0;
+                    trail.recentConditions = conditionsMap.get(trail.id) || { reviewCount: 0, conditions: [] };
+                    trail.points = pointsMap.get(trail.id) || { type: "FeatureCollection", features: [] };
                 });
 
                 return trails;
@@ -134,7 +197,732 @@ class Trail {
         }
     }
 
+    /**
+     * Retrieves a trail in the same shape used to update it (schemas/updateTrail.json),
+     * stats are returned in both imperial and metric.
+     * Used to compare suggested edits against the current trail data.
+     *
+     * @param {number} trailId
+     * @returns {Promise<Object>} {trailName, city, state, difficulty, dogs, description, landManager, features, stats}
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {DatabaseError} If there is an error retrieving the trail.
+     */
+    static async getEditableTrail(trailId) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                SELECT t.name AS "trailName",
+                       t.city,
+                       t.state,
+                       t.difficulty,
+                       t.dogs_allowed AS "dogs",
+                       t.description,
+                       t.land_manager AS "landManager",
+                       ts.type,
+                       ts.distance_imperial,
+                       ts.distance_metric,
+                       ts.elevation_high_imperial,
+                       ts.elevation_high_metric,
+                       ts.elevation_low_imperial,
+                       ts.elevation_low_metric,
+                       ts.elevation_gain_imperial,
+                       ts.elevation_gain_metric,
+                       ts.elevation_loss_imperial,
+                       ts.elevation_loss_metric,
+                       ts.avg_grade_percent,
+                       ts.avg_grade_degree,
+                       ts.max_grade_percent,
+                       ts.max_grade_degree
+                FROM trails t
+                LEFT JOIN trail_stats ts ON t.id = ts.trail_id
+                WHERE t.id = $1
+            `, [trailId]);
+
+            const row = result.rows[0];
+            if (!row) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+
+            const stats = { type: row.type };
+            for (const [key, column] of statsJsToSql) {
+                stats[key] = { imperial: row[`${column}_imperial`], metric: row[`${column}_metric`] };
+            }
+            for (const [key, column] of gradesJsToSql) {
+                stats[key] = { percent: row[`${column}_percent`], degree: row[`${column}_degree`] };
+            }
+
+            const featureRows = await this.getTrailFeaturesByIds([Number(trailId)]);
+
+            return {
+                trailName: row.trailName,
+                city: row.city,
+                state: row.state,
+                difficulty: row.difficulty,
+                dogs: row.dogs,
+                description: row.description,
+                landManager: row.landManager,
+                features: featureRows.length > 0 ? featureRows[0].features : [],
+                stats
+            };
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error retrieving trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Adds a new trail, its stats and features to the database in a single transaction.
+     * Features that do not exist yet are created in the features table.
+     *
+     * @param {object} trailData - Trail object matching schemas/newTrail.json
+     * @returns {Promise<Object>} Full trail object, same shape as getFullTrailsByIds.
+     * @throws {BadRequestError} If a trail with the same name already exists in the state.
+     * @throws {DatabaseError} If there is an error saving to the database.
+     */
+    static async addTrail(trailData) {
+        const {
+            trailName,
+            city,
+            state,
+            difficulty,
+            dogs,
+            description,
+            landManager,
+            stats,
+            features
+        } = trailData;
+
+        const db = await pool.connect();
+        let trailId;
+        try {
+            await db.query('BEGIN');
+
+            const isExistingTrailResult = await db.query(`
+                    SELECT id FROM trails
+                    WHERE LOWER(name) = LOWER($1)
+                    AND UPPER(state) = UPPER($2)
+                `, [trailName, state]);
+
+            if (isExistingTrailResult.rows.length > 0) {
+                throw new BadRequestError("Trail already exists. If information needs to be updated, please suggest an edit instead.");
+            }
+
+            const trailInsert = await db.query(`
+                    INSERT INTO trails
+                        (
+                            name,
+                            city,
+                            state,
+                            difficulty,
+                            dogs_allowed,
+                            description,
+                            land_manager
+                        )
+                    VALUES ($1,$2,$3,$4,$5,$6,$7)
+                    RETURNING id
+                `, [trailName, city, state.toUpperCase(), difficulty, dogs, description, landManager]);
+
+            trailId = trailInsert.rows[0].id;
+
+            await this.addTrailStats(stats, trailId, db);
+
+            for (const feature of uniqueFeatureNames(features)) {
+                const featureId = await this.addFeature(feature, db);
+                await this.addFeatureToTrail(featureId, trailId, db);
+            }
+
+            await db.query('COMMIT');
+        } catch (e) {
+            await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof BadRequestError) {
+                throw e;
+            }
+            if (e.code === '23505') {
+                throw new BadRequestError("Trail already exists. If information needs to be updated, please suggest an edit instead.");
+            }
+            throw new DatabaseError(`Error adding trail: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        const [trail] = await this.getFullTrailsByIds([trailId]);
+        return trail;
+    }
+
+
+    /**
+     * Updates any single data point up to all data points for a trail in a single transaction.
+     * Trail fields are partially updated, stats are partially updated and the
+     * feature list, if provided, replaces the trail's current features.
+     * Cached tiles over the trail's polyline are cleared once the update commits.
+     * When a client is provided the update runs in the caller's transaction instead, and
+     * the caller clears the tiles after it commits.
+     *
+     * @param {object} trailData - object of trail data to update, matching schemas/updateTrail.json
+     * @param {number} trailId - Id of trail to update
+     * @param {object} [client] - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @returns {Promise<Object>} Full trail object with the updated data, undefined when run on a
+     * client since the update is not visible until the caller commits.
+     * @throws {BadRequestError} If there is no data to update or the name / state is already in use.
+     * @throws {NotFoundError} If trailId is not found.
+     * @throws {DatabaseError} If trail update fails to save.
+     */
+    static async updateTrail(trailData, trailId, client = null) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const { stats, features, link, ...trailFields } = trailData;
+
+        if (!stats && !features && Object.keys(trailFields).length === 0) {
+            throw new BadRequestError("No data");
+        }
+
+        if (trailFields.state) {
+            trailFields.state = trailFields.state.toUpperCase();
+        }
+
+        // name for the duplicate name error, the current name when the trail is not renamed
+        let trailName = trailFields.trailName;
+        let polylineExtent;
+        const db = client || await pool.connect();
+        try {
+            if (!client) await db.query('BEGIN');
+
+            const isTrailQuery = await db.query(`
+                    SELECT id, name FROM trails
+                    WHERE id = $1
+                    FOR UPDATE
+                `, [trailId]);
+
+            if (isTrailQuery.rows.length === 0) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+            trailName = trailName || isTrailQuery.rows[0].name;
+
+            if (Object.keys(trailFields).length > 0) {
+                const { setCols, values } = sqlForPartialUpdate(trailFields, trailJsToSql);
+                const trailIdIdx = "$" + (values.length + 1);
+
+                await db.query(`
+                        UPDATE trails
+                        SET ${setCols}
+                        WHERE id = ${trailIdIdx}
+                    `, [...values, trailId]);
+            }
+
+            if (stats) {
+                await this.updateTrailStats(stats, trailId, db);
+            }
+
+            if (features) {
+                await this.updateTrailFeatures(features, trailId, db);
+            }
+
+            if (!client) {
+                polylineExtent = await this.getPolylineExtent(trailId, db);
+                await db.query('COMMIT');
+            }
+        } catch (e) {
+            if (!client) await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            if (e.code === '23505') {
+                throw new BadRequestError(`A trail named ${trailName} already exists in that state.`);
+            }
+            throw new DatabaseError(`Trail ${trailId} update did not process: ${e.message}`);
+        } finally {
+            if (!client) db.release();
+        }
+
+        if (client) return;
+        await this.invalidateTiles(polylineExtent);
+        const [trail] = await this.getFullTrailsByIds([trailId]);
+        return trail;
+    }
+
+    /**
+     * Deletes a trail and every row that references it in a single transaction.
+     * trail_stats, trail_images, trail_features, trail_polylines, ratings,
+     * wanted_trails and completed_trails rows for the trail are removed first.
+     * Saved routes that use the trail are deleted too, with their completions, since
+     * custom_routes.trail_ids is an array and has no foreign key to cascade from.
+     *
+     * Cached vector tiles covering the trail's polyline are cleared once the delete commits.
+     *
+     * @param {number} trailId - Id of the trail to delete.
+     * @returns {Promise<Object>} {id, name} of the deleted trail.
+     * @throws {NotFoundError} If trailId is not found.
+     * @throws {DatabaseError} If the delete fails.
+     */
+    static async deleteTrail(trailId) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        let polylineExtent;
+        let result;
+        try {
+            await db.query('BEGIN');
+
+            polylineExtent = await this.getPolylineExtent(trailId, db);
+            for (const table of trailDependentTables) {
+                await db.query(`DELETE FROM ${table} WHERE trail_id = $1`, [trailId]);
+            }
+            await db.query(`DELETE FROM custom_routes WHERE trail_ids @> ARRAY[$1]::int[]`, [trailId]);
+
+            result = await db.query(`
+                    DELETE FROM trails
+                    WHERE id = $1
+                    RETURNING id, name
+                `, [trailId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+
+            await db.query('COMMIT');
+        } catch (e) {
+            await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Trail ${trailId} was not deleted: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        await this.invalidateTiles(polylineExtent);
+        return result.rows[0];
+    }
     //             ***********TRAIL COORDS************
+
+    /**
+     * Builds a Mapbox Vector Tile of trail polylines with id, name, difficulty, type,
+     * distanceMi and distanceKm attributes. Tiles are served from the on disk cache when present.
+     *
+     * @param {number} z - Zoom, 0 - 22.
+     * @param {number} x - Tile column.
+     * @param {number} y - Tile row.
+     * @returns {Promise<Object>} {tile: Buffer (empty when no trails), cached: boolean}
+     * @throws {BadRequestError} If z / x / y are not a valid tile.
+     * @throws {DatabaseError} If the tile cannot be built.
+     */
+    static async getTrailTile(z, x, y) {
+        [z, x, y] = [z, x, y].map(Number);
+        if (![z, x, y].every(Number.isInteger) || z < 0 || z > tileCache.MAX_ZOOM
+            || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+            throw new BadRequestError(`Tile ${z}/${x}/${y} is not valid.`);
+        }
+
+        const cachedTile = await tileCache.getTile("trails", z, x, y);
+        if (cachedTile) {
+            return { tile: cachedTile, cached: true };
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    WITH bounds AS (
+                        SELECT ST_TileEnvelope($1, $2, $3) AS geom
+                    ),
+                    tile_trails AS (
+                        SELECT ST_AsMVTGeom(ST_Transform(tp.polyline, 3857), bounds.geom) AS geom,
+                               t.id,
+                               t.name,
+                               t.difficulty,
+                               ts.type,
+                               ts.distance_imperial AS "distanceMi",
+                               ts.distance_metric AS "distanceKm"
+                        FROM trail_polylines tp
+                        JOIN trails t ON tp.trail_id = t.id
+                        LEFT JOIN trail_stats ts ON tp.trail_id = ts.trail_id
+                        CROSS JOIN bounds
+                        WHERE ST_Intersects(tp.polyline, ST_Transform(bounds.geom, 4326))
+                    )
+                    SELECT ST_AsMVT(tile_trails.*, 'trails', 4096, 'geom') AS tile
+                    FROM tile_trails
+                `, [z, x, y]);
+
+            const tile = result.rows[0].tile || Buffer.alloc(0);
+            await tileCache.setTile("trails", z, x, y, tile);
+            return { tile, cached: false };
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error building tile ${z}/${x}/${y}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Stores a trail's polyline, replacing any existing one, and recomputes its stats from the track.
+     * Distance is always recomputed, elevation and grade stats only when the track has elevation.
+     * The trail's type and any stats the track cannot provide are kept. Cached vector tiles
+     * covering the old and new polyline are cleared once the change commits, then the trailhead
+     * is reverse geocoded to fill or check the trail's city and state (see reconcileLocation).
+     *
+     * @param {number} trailId
+     * @param {array} coordinates - [[lng, lat, ele], ...] from helpers/tracks parseTrack, ele in meters.
+     * @param {string} [unit="imperial"] - imperial or metric for the returned trail.
+     * @returns {Promise<Object>} The full updated trail.
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {DatabaseError} If the polyline fails to save.
+     */
+    static async savePolyline(trailId, coordinates, unit = "imperial") {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const stats = trackStats(coordinates);
+        const db = await pool.connect();
+        let polylineExtents;
+        try {
+            await db.query('BEGIN');
+
+            const isTrailQuery = await db.query(`
+                    SELECT id FROM trails
+                    WHERE id = $1
+                    FOR UPDATE
+                `, [trailId]);
+
+            if (isTrailQuery.rows.length === 0) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+
+            const oldExtent = await this.getPolylineExtent(trailId, db);
+            await db.query(`
+                    INSERT INTO trail_polylines (trail_id, polyline)
+                    VALUES ($1, ST_SetSRID(ST_GeomFromGeoJSON($2), 4326))
+                    ON CONFLICT (trail_id) DO UPDATE SET polyline = EXCLUDED.polyline
+                `, [trailId, JSON.stringify({ type: "LineString", coordinates })]);
+
+            await this.updateTrailStats(stats, trailId, db);
+            polylineExtents = [oldExtent, await this.getPolylineExtent(trailId, db)];
+
+            await db.query('COMMIT');
+        } catch (e) {
+            await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Polyline for trail ${trailId} was not saved: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        await this.invalidateTiles(...polylineExtents);
+        try {
+            await this.reconcileLocation(trailId);
+        } catch (e) {
+            // the polyline is saved, the location can be reconciled later by the backfill script
+            console.error(`Error reverse geocoding trail ${trailId}:`, e);
+        }
+
+        const [trail] = await this.getFullTrailsByIds([trailId], null, unit);
+        return trail;
+    }
+
+    /**
+     * Reverse geocodes the trailhead (start of the polyline) and compares it to the trail's city and state.
+     * Blank city / state are filled in. Values that differ are not changed, a pending edit suggestion
+     * with no user is created for moderators to review instead. An identical pending suggestion is not repeated.
+     *
+     * @param {number} trailId
+     * @returns {Promise<Object>} {trailId, status, geocoded: {city, state}, filled: {city, state}, flagged: {city, state}, suggestionId}
+     *  status is "filled", "flagged", "matched", or "skipped" when the trail has no polyline or nothing was found at the trailhead.
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {BadGatewayError} If the geocoding service fails.
+     */
+    static async reconcileLocation(trailId) {
+        // required here, TrailEditSuggestion requires this module
+        const TrailEditSuggestion = require("./TrailEditSuggestion");
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        let trail;
+        try {
+            const result = await db.query(`
+                    SELECT t.city,
+                           t.state,
+                           ST_Y(ST_StartPoint(tp.polyline)) AS lat,
+                           ST_X(ST_StartPoint(tp.polyline)) AS lng
+                    FROM trails t
+                    LEFT JOIN trail_polylines tp ON t.id = tp.trail_id
+                    WHERE t.id = $1
+                `, [trailId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+            trail = result.rows[0];
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error retrieving trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        const outcome = { trailId: Number(trailId), status: "skipped", geocoded: null, filled: {}, flagged: {}, suggestionId: null };
+        if (trail.lat === null) return outcome;
+
+        const geocoded = await locatePoint(trail.lat, trail.lng);
+        if (!geocoded || (!geocoded.city && !geocoded.state)) return outcome;
+        outcome.geocoded = geocoded;
+
+        const current = { city: trail.city, state: toStateCode(trail.state) || trail.state };
+        for (const field of ["city", "state"]) {
+            if (!geocoded[field]) continue;
+            if (!current[field] || !current[field].trim()) {
+                outcome.filled[field] = geocoded[field];
+            } else if (current[field].trim().toLowerCase() !== geocoded[field].toLowerCase()) {
+                outcome.flagged[field] = geocoded[field];
+            }
+        }
+
+        if (Object.keys(outcome.filled).length > 0) {
+            await this.updateTrail({ ...outcome.filled }, trailId);
+        }
+
+        if (Object.keys(outcome.flagged).length > 0) {
+            const pending = await TrailEditSuggestion.findAll("pending", trailId);
+            const existing = pending.find(suggestion => (
+                suggestion.userId === null && JSON.stringify(suggestion.changes) === JSON.stringify(outcome.flagged)
+            ));
+            const suggestion = existing || await TrailEditSuggestion.create(trailId, null, outcome.flagged,
+                `Trailhead reverse geocodes to ${[geocoded.city, geocoded.state].filter(Boolean).join(", ")}.`);
+            outcome.suggestionId = suggestion.id;
+        }
+
+        outcome.status = Object.keys(outcome.flagged).length > 0 ? "flagged"
+            : Object.keys(outcome.filled).length > 0 ? "filled"
+                : "matched";
+        return outcome;
+    }
+
+    /**
+     * Distance vs elevation along a trail's polyline, sampled at evenly spaced points, with the grade
+     * of each segment between samples. Elevation comes from the polyline's Z values when it has them,
+     * otherwise from the elevation_dem raster.
+     *
+     * @param {number} trailId
+     * @param {number} [samples=200] - Number of points, 2 - 1000.
+     * @param {string} [unit="imperial"] - imperial (mi / ft) or metric (km / m).
+     * @returns {Promise<Object>}
+     * @example {
+     *      trailId: 1, unit: "imperial", units: {distance: "mi", elevation: "ft", grade: "%"},
+     *      source: "polyline", totalDistance: 1.79,
+     *      profile: [{distance: 0, elevation: 656.2}, {distance: 0.01, elevation: 660.1}, ...],
+     *      segments: [{fromDistance: 0, toDistance: 0.01, grade: 2.41}, ...]
+     *  }
+     * @throws {BadRequestError} If samples is not valid.
+     * @throws {NotFoundError} If the trail has no polyline or no elevation data covers it.
+     * @throws {DatabaseError} If the profile cannot be built.
+     */
+    static async getElevationProfile(trailId, samples = defaultProfileSamples, unit = "imperial") {
+        const som = normalizeUnit(unit);
+        samples = Number(samples);
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+        if (!Number.isInteger(samples) || samples < 2 || samples > maxProfileSamples) {
+            throw new BadRequestError(`samples must be a whole number from 2 to ${maxProfileSamples}.`);
+        }
+
+        const db = await pool.connect();
+        try {
+            const lineResult = await db.query(`
+                    SELECT ST_NDims(polyline) = 3 AS "hasZ",
+                           ST_Length(polyline::geography) AS "lengthMeters"
+                    FROM trail_polylines
+                    WHERE trail_id = $1
+                `, [trailId]);
+
+            if (lineResult.rows.length === 0) {
+                throw new NotFoundError(`Trail ${trailId} has no polyline.`);
+            }
+            const { hasZ, lengthMeters } = lineResult.rows[0];
+
+            const elevationSql = hasZ
+                ? `ST_Z(p.point)`
+                : `(SELECT ST_Value(d.rast, 1, p.point)
+                    FROM elevation_dem d
+                    WHERE ST_Intersects(d.rast, p.point)
+                    LIMIT 1)`;
+
+            // points are spaced evenly along the line, distance along it is the same fraction of its geodesic length
+            const result = await db.query(`
+                    WITH points AS (
+                        SELECT n.fraction,
+                               ST_LineInterpolatePoint(tp.polyline, n.fraction) AS point
+                        FROM trail_polylines tp
+                        CROSS JOIN (
+                            SELECT i::float / ($2 - 1) AS fraction
+                            FROM generate_series(0, $2 - 1) i
+                        ) n
+                        WHERE tp.trail_id = $1
+                    )
+                    SELECT p.fraction, ${elevationSql} AS "elevationMeters"
+                    FROM points p
+                    ORDER BY p.fraction
+                `, [trailId, samples]);
+
+            const points = result.rows.map(row => ({
+                meters: row.fraction * lengthMeters,
+                elevationMeters: row.elevationMeters === null ? null : Number(row.elevationMeters)
+            }));
+
+            if (points.every(point => point.elevationMeters === null)) {
+                throw new NotFoundError(`No elevation data found for trail ${trailId}.`);
+            }
+
+            const labels = statUnits(som);
+            return {
+                trailId: Number(trailId),
+                unit: som,
+                units: { distance: labels.distance, elevation: labels.elevationHigh, grade: "%" },
+                source: hasZ ? "polyline" : "dem",
+                totalDistance: metersToDistance(lengthMeters, som),
+                profile: points.map(point => ({
+                    distance: metersToDistance(point.meters, som),
+                    elevation: point.elevationMeters === null ? null : metersToElevation(point.elevationMeters, som)
+                })),
+                segments: points.slice(1).map((point, idx) => {
+                    const start = points[idx];
+                    const run = point.meters - start.meters;
+                    const rise = point.elevationMeters - start.elevationMeters;
+                    const hasGrade = run > 0 && point.elevationMeters !== null && start.elevationMeters !== null;
+                    return {
+                        fromDistance: metersToDistance(start.meters, som),
+                        toDistance: metersToDistance(point.meters, som),
+                        grade: hasGrade ? Math.round(rise / run * 10000) / 100 : null
+                    };
+                })
+            };
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error building elevation profile for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Bounding box of a trail's polyline, used to clear cached tiles when it changes.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @returns {Promise<Object|null>} {minLng, minLat, maxLng, maxLat} or null if the trail has no polyline.
+     */
+    static async getPolylineExtent(trailId, db) {
+        const result = await db.query(`
+                SELECT ST_XMin(polyline) AS "minLng",
+                       ST_YMin(polyline) AS "minLat",
+                       ST_XMax(polyline) AS "maxLng",
+                       ST_YMax(polyline) AS "maxLat"
+                FROM trail_polylines
+                WHERE trail_id = $1
+            `, [trailId]);
+
+        return result.rows[0] || null;
+    }
+
+    /**
+     * Clears cached vector tiles for each polyline extent provided, null extents are skipped.
+     * Call after the polyline change has committed. Errors are logged, not thrown, so a
+     * cache problem never fails the change itself.
+     *
+     * @param {...Object} extents - {minLng, minLat, maxLng, maxLat} from getPolylineExtent.
+     */
+    static async invalidateTiles(...extents) {
+        for (const extent of extents) {
+            if (!extent) continue;
+            try {
+                await tileCache.invalidateBbox("trails", extent);
+            } catch (e) {
+                console.error('Error clearing cached tiles:', e);
+            }
+        }
+    }
+
+    /**
+     * Every trail whose polyline intersects the bounding box, for loading the map viewport.
+     * Polylines are simplified to about one pixel at the zoom level. When more than
+     * maxBboxTrails trails intersect, no features are returned and tooManyResults is set
+     * so the map can ask the user to zoom in.
+     *
+     * @param {object} bbox - {minLng, minLat, maxLng, maxLat, zoom}, zoom 0 - 22.
+     * @returns {Promise<Object>} GeoJSON FeatureCollection
+     * @example {
+     *      type: "FeatureCollection",
+     *      features: [{ type: "Feature", id: 1, geometry: {type: "LineString", coordinates: [...]}, properties: {id: 1, name, difficulty} }],
+     *      tooManyResults: false,
+     *      maxResults: 500
+     *  }
+     * @throws {BadRequestError} If the bounding box or zoom are not valid.
+     * @throws {DatabaseError} If there is an error retrieving the trails.
+     */
+    static async getTrailsInBbox(bbox) {
+        const { minLng, minLat, maxLng, maxLat, zoom } = validateBbox(bbox);
+        // degrees covered by one 256px tile pixel at this zoom
+        const tolerance = 360 / (256 * 2 ** zoom);
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT t.id,
+                           t.name,
+                           t.difficulty,
+                           ST_AsGeoJSON(ST_SimplifyPreserveTopology(tp.polyline, $5))::json AS geometry
+                    FROM trail_polylines tp
+                    JOIN trails t ON tp.trail_id = t.id
+                    WHERE ST_Intersects(tp.polyline, ST_MakeEnvelope($1, $2, $3, $4, 4326))
+                    ORDER BY t.id
+                    LIMIT $6
+                `, [minLng, minLat, maxLng, maxLat, tolerance, maxBboxTrails + 1]);
+
+            const tooManyResults = result.rows.length > maxBboxTrails;
+            const features = tooManyResults
+                ? []
+                : result.rows.map(({ id, name, difficulty, geometry }) => ({
+                    type: "Feature",
+                    id,
+                    geometry,
+                    properties: { id, name, difficulty }
+                }));
+
+            return {
+                type: "FeatureCollection",
+                features,
+                tooManyResults,
+                maxResults: maxBboxTrails
+            };
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving trails in bounding box: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
     static async getTrailCoordsByIds(trailIds) {
         const db = await pool.connect();
         try {
@@ -189,8 +977,8 @@ class Trail {
      * @throws {DatabaseError} If there is an error retrieving the trail stats from the database.
      */
     static async getStatsByIds(trail_ids, systemOfMeasure = "imperial") {
+        const som = normalizeUnit(systemOfMeasure);
         const db = await pool.connect();
-        const som = systemOfMeasure;
         try {
             const result = await db.query(`
             SELECT trail_id,
@@ -219,6 +1007,120 @@ class Trail {
         }
     }
 
+    /**
+     * Adds stats to an existing trail.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @param {object} stats - stats object matching the newTrail.json stats schema.
+     * @param {number} trailId
+     * @param {object} db - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @throws {DatabaseError} If trail stats are not saved.
+     */
+    static async addTrailStats(stats, trailId, db) {
+        try {
+            await db.query(`
+                INSERT INTO trail_stats
+                    (
+                        trail_id,
+                        type,
+                        distance_imperial,
+                        distance_metric,
+                        elevation_high_imperial,
+                        elevation_high_metric,
+                        elevation_low_imperial,
+                        elevation_low_metric,
+                        elevation_gain_imperial,
+                        elevation_gain_metric,
+                        elevation_loss_imperial,
+                        elevation_loss_metric,
+                        avg_grade_percent,
+                        avg_grade_degree,
+                        max_grade_percent,
+                        max_grade_degree
+                    )
+                VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+            `, [
+                trailId,
+                stats.type,
+                stats.distance.imperial,
+                stats.distance.metric,
+                stats.elevationHigh.imperial,
+                stats.elevationHigh.metric,
+                stats.elevationLow.imperial,
+                stats.elevationLow.metric,
+                stats.elevationGain.imperial,
+                stats.elevationGain.metric,
+                stats.elevationLoss.imperial,
+                stats.elevationLoss.metric,
+                stats.avgGrade.percent,
+                stats.avgGrade.degree,
+                stats.maxGrade.percent,
+                stats.maxGrade.degree
+            ]);
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error saving trail stats: ${e.message}`);
+        }
+    }
+
+
+    /**
+     * Updates stats for an existing trail, can handle updating any of the trail's stats.
+     * If the trail has no stats row yet one is created with the provided values.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @param {object} trailStats - stats that need to be updated, matching the updateTrail.json stats schema.
+     * @param {number} trailId - Id of the trail to update.
+     * @param {object} db - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @throws {DatabaseError} If stats fail to save.
+     */
+    static async updateTrailStats(trailStats, trailId, db) {
+        const unpackedStats = {};
+
+        if (trailStats.type !== undefined) {
+            unpackedStats.type = trailStats.type;
+        }
+
+        for (const [key, column] of statsJsToSql) {
+            if (trailStats[key]) {
+                unpackedStats[`${column}_imperial`] = trailStats[key].imperial;
+                unpackedStats[`${column}_metric`] = trailStats[key].metric;
+            }
+        }
+
+        for (const [key, column] of gradesJsToSql) {
+            if (trailStats[key]) {
+                unpackedStats[`${column}_percent`] = trailStats[key].percent;
+                unpackedStats[`${column}_degree`] = trailStats[key].degree;
+            }
+        }
+
+        if (Object.keys(unpackedStats).length === 0) return;
+
+        try {
+            const { setCols, values } = sqlForPartialUpdate(unpackedStats, {});
+            const trailIdIdx = "$" + (values.length + 1);
+
+            const result = await db.query(`
+                    UPDATE trail_stats
+                    SET ${setCols}
+                    WHERE trail_id = ${trailIdIdx}
+                `, [...values, trailId]);
+
+            if (result.rowCount === 0) {
+                const columns = Object.keys(unpackedStats);
+                const placeholders = columns.map((col, idx) => `$${idx + 2}`);
+                await db.query(`
+                        INSERT INTO trail_stats
+                        (trail_id, ${columns.join(", ")})
+                        VALUES ($1, ${placeholders.join(", ")})
+                    `, [trailId, ...values]);
+            }
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Trail stats did not update: ${e.message}`);
+        }
+    }
     //             ****************TRAIL FEATURES*******************
 
     /**
@@ -286,6 +1188,192 @@ class Trail {
     }
 
 
+
+    /**
+     * Gets the id of a feature, adding it to the features table if it does not exist yet.
+     * Feature names are matched case insensitively.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @param {string} feature - Name of the feature.
+     * @param {object} db - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @returns {number} feature_id
+     * @throws {DatabaseError} If feature fails to save.
+     */
+    static async addFeature(feature, db) {
+        try {
+            const featureQuery = await db.query(`
+                    SELECT id FROM features
+                    WHERE LOWER(feature_name) = LOWER($1)
+                `, [feature]);
+
+            if (featureQuery.rows.length > 0) {
+                return featureQuery.rows[0].id;
+            }
+
+            const insertFeature = await db.query(`
+                    INSERT INTO features
+                    (feature_name)
+                    VALUES ($1)
+                    RETURNING id
+                `, [feature]);
+
+            return insertFeature.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error adding feature ${feature}: ${e.message}`);
+        }
+    }
+
+    /**
+     * Associates a feature to a trail, in the trail_features table.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @param {number} featureId Id of feature to add to trail.
+     * @param {number} trailId Id of trail for feature to be added.
+     * @param {object} db - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @throws {BadRequestError} If feature is already associated with the trail.
+     * @throws {DatabaseError} If association fails to save.
+     */
+    static async addFeatureToTrail(featureId, trailId, db) {
+        try {
+            const featureQuery = await db.query(`
+                    SELECT id FROM trail_features
+                    WHERE feature_id = $1
+                    AND trail_id = $2
+                `, [featureId, trailId]);
+
+            if (featureQuery.rows.length > 0) {
+                throw new BadRequestError(`Feature ${featureId} is already associated with ${trailId}.`);
+            }
+
+            await db.query(`
+                    INSERT INTO trail_features
+                    (feature_id, trail_id)
+                    VALUES ($1,$2)
+                `, [featureId, trailId]);
+        } catch (e) {
+            console.error(e);
+            if (e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Feature not added to trail: ${e.message}`);
+        }
+    }
+
+
+    /**
+     * Replaces the features associated with a trail.
+     * Current trail_features rows are removed and the provided features are added,
+     * features that do not exist yet are created.
+     * Runs on the provided client so it can be part of the caller's transaction.
+     *
+     * @param {array} trailFeatures - Complete list of feature names for the trail.
+     * @param {number} trailId - Id of the trail to update the features for.
+     * @param {object} db - Connected pg client, the caller handles BEGIN / COMMIT.
+     * @throws {DatabaseError} If error updating trail features.
+     */
+    static async updateTrailFeatures(trailFeatures, trailId, db) {
+        try {
+            await db.query(`
+                    DELETE FROM trail_features
+                    WHERE trail_id = $1
+                `, [trailId]);
+
+            for (const feature of uniqueFeatureNames(trailFeatures)) {
+                const featureId = await this.addFeature(feature, db);
+                await this.addFeatureToTrail(featureId, trailId, db);
+            }
+        } catch (e) {
+            console.error('Error updating trail features:', e);
+            throw new DatabaseError('Error updating trail features: ' + e.message);
+        }
+    }
+
+    //             ***************TRAIL RATINGS***************
+
+    /**
+     * Gets the average rating and number of ratings for each trail id that has been rated.
+     *
+     * @param {array} trailIds
+     * @returns {array} [{trail_id, avgRating, ratingCount}] - avgRating rounded to 2 decimals.
+     * @throws {DatabaseError} If there is an error retrieving the ratings.
+     */
+    static async getRatingsByIds(trailIds) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                SELECT trail_id,
+                       ROUND(AVG(rating)::numeric, 2)::float AS "avgRating",
+                       COUNT(*)::int AS "ratingCount"
+                FROM ratings
+                WHERE trail_id = ANY($1::int[])
+                GROUP BY trail_id
+            `, [trailIds]);
+
+            return result.rows;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving trail ratings by id: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+
+    //             ***************TRAIL CONDITIONS***************
+
+    /**
+     * Summarizes the condition tags from reviews of each trail visited in the last 30 days.
+     * Reviews without a visit date count from the day they were written.
+     *
+     * @param {array} trailIds
+     * @returns {Map} trail_id => {reviewCount, conditions: [{condition, count, lastReported}]}
+     * Conditions are ordered most reported first, trails without recent reviews are not included.
+     * @throws {DatabaseError} If there is an error retrieving the reviews.
+     */
+    static async getRecentConditionsByIds(trailIds) {
+        const db = await pool.connect();
+        try {
+            const recentReviews = `
+                WHERE trail_id = ANY($1::int[])
+                AND COALESCE(visit_date, created_at::date) >= CURRENT_DATE - 30
+            `;
+
+            const countResult = await db.query(`
+                SELECT trail_id, COUNT(*)::int AS review_count
+                FROM reviews
+                ${recentReviews}
+                GROUP BY trail_id
+            `, [trailIds]);
+
+            const conditionResult = await db.query(`
+                SELECT trail_id,
+                       condition,
+                       COUNT(*)::int AS count,
+                       to_char(MAX(COALESCE(visit_date, created_at::date)), 'YYYY-MM-DD') AS "lastReported"
+                FROM reviews, unnest(conditions) AS condition
+                ${recentReviews}
+                GROUP BY trail_id, condition
+                ORDER BY trail_id, count DESC, condition
+            `, [trailIds]);
+
+            const conditionsMap = new Map(countResult.rows.map(row => (
+                [row.trail_id, { reviewCount: row.review_count, conditions: [] }]
+            )));
+            conditionResult.rows.forEach(({ trail_id, condition, count, lastReported }) => {
+                conditionsMap.get(trail_id).conditions.push({ condition, count, lastReported });
+            });
+
+            return conditionsMap;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving trail conditions by id: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+
     //             ***************TRAIL IMAGES***************
 
 
@@ -312,422 +1400,51 @@ class Trail {
             db.release();
         }
     }
+}
 
-    // ***************The below methods are currently not in use -> Implement for users to add trails / update...***************
-    //     /**  
-    //          TODO: Update how features are handled, need to see if they exist..
-    //    * Adds a new trail, stats and features to the database, returns trail.
-    //    * 
-    //    * @param {object} trail_data - full trail object
-    //    * @returns {object} full trail object
-    //    * @throws {BadRequestError} If the trail already exists.
-    //    * @throws {DatabaseError} If there is an error saving to the database.
-    //    */
-    //     static async addTrail(trail_data) {
-    //         const db = await pool.connect();
-    //         try {
-    //             //Does trail exist already? Yes: throw error / No: create trail
-    //             await db.query('BEGIN')
-
-    //             const isExistingTrailResult = await db.query(`
-    //                 SELECT id FROM trails WHERE name = $1
-    //             `, [trail_data.trailName])
-
-    //             if (isExistingTrailResult[0]) {
-    //                 throw new BadRequestError("Trail already exists. If information needs to be updated, please suggest an edit instead.")
-    //             }
-
-    //             const
-    //                 {
-    //                     trailName,
-    //                     city,
-    //                     state,
-    //                     difficulty,
-    //                     dogs,
-    //                     description,
-    //                     landManager,
-    //                     stats,
-    //                     features
-    //                 } = trail_data;
-
-    //             const trailInsert = await db.query(`
-    //                     INSERT INTO trails
-    //                         (
-    //                             name,
-    //                             city,
-    //                             state,
-    //                             difficulty,
-    //                             dogs_allowed,
-    //                             description,
-    //                             land_manager
-    //                         )
-    //                     VALUES ($1,$2,$3,$4,$5,$6,$7)
-    //                     RETURNING id  
-    //                 `, [trailName, city, state, difficulty, dogs, description, landManager])
-
-    //             const trailId = trailInsert.rows[0].id
-
-    //             const addStatsFeatures = await Promise.all(
-    //                 [...features.map((feature) => this.addFeature(feature)),
-    //                 this.addTrailStats(stats, trailId)]
-    //             );
-
-    //             await db.query('COMMIT')
-    //             return trailId
-
-    //         } catch (e) {
-    //             await db.query('ROLLBACK');
-    //             console.error(e);
-    //             if (e instanceof BadRequestError) {
-    //                 throw e;
-    //             }
-    //             throw new DatabaseError(`Error adding trail: ${e.message}`)
-    //         } finally {
-    //             db.release();
-    //         }
-
-    //     }
-
-    /**
-//  * Given a full trail object it updates any single data point up to all datapoints for a trail.
-//  * 
-//  * @param {object} trailData - object of trail data to update.
-//  * @param {number} trailId - Id of trail to update
-//  * @returns {object} - Full trail object with the updated data.
-//  * @throws {NotFoundError} I trailId is not found.
-//  * @throws {DatabaseError} If trail update fails to save. 
-//  */
-    //     static async updateTrail(trailData, trailId) {
-    //         const db = await pool.connect();
-    //         try {
-    //             const isTrailQuery = await db.query(`
-    //                         SELECT id FROM trails
-    //                         WHERE id = $1
-    //                     `[trailId])
-
-    //             const isTrailQueryResult = isTrailQuery.rows
-    //             if (isTrailQueryResult.length === 0) {
-    //                 throw new NotFoundError(`Trail id ${trailId} not found.`)
-    //             }
-
-    //             if (trailData.stats) {
-    //                 await this.updateTrailStats(trailData.stats, trailId)
-    //                 delete (trailData.stats)
-    //             }
-
-    //             if (trailData.features) {
-    //                 await this.updateTrailFeatures(trailData.features, trailId)
-    //                 delete (trailData.features)
-    //             }
-
-    //             if (trailData) {
-    //                 const { setCols, values } = sqlForPartialUpdate(trailData)
-    //                 const trailIdIdx = "$" + (values.length + 1)
-
-    //                 const query = `UPDATE trails
-    //                                    SET ${setCols}
-    //                                    WHERE id = ${trailIdIdx}
-    //                                    RETURNING id
-    //                     `;
-    //                 const result = await db.query(query, [...values, trailId])
-    //                 await db.query('COMMIT')
-    //             }
-
-    //             const updatedTrail = await this.getFullTrailById(trailId);
-    //             return updatedTrail
-
-    //         } catch (e) {
-    //             await db.query('ROLLBACK')
-    //             console.error(e);
-    //             if (e instanceof NotFoundError) {
-    //                 throw e;
-    //             }
-    //             throw new DatabaseError(`Trail ${trail_id} update did not process: ${e.message}`)
-    //         } finally {
-    //             db.release();
-    //         }
-    //     }
-
-    //     static async deleteTrail(trail_id) {
-    //         const db = await pool.connect();
-    //         try {
-
-    //         } catch (e) {
-    //             console.error(e)
-    //         } finally {
-    //             db.release();
-    //         }
-    //     }
-
-    // /**
-    // * Adds stats to an existing trail.
-    // * 
-    // * @param {object} stats 
-    // * @param {number} trailId 
-    // * @throws {DatabaseError} If trail stats are not saved.
-    // */
-    // static async addTrailStats(stats, trailId) {
-    //     const db = await pool.connect();
-    //     try {
-    //         const statInsert = await db.query(`
-    //             INSERT INTO trail_stats 
-    //                 (
-    //                     trail_id,
-    //                     type,
-    //                     distance_imperial,
-    //                     distance_metric,
-    //                     elevation_high_imperial,
-    //                     elevation_high_metric,
-    //                     elevation_low_imperial,
-    //                     elevation_low_metric,
-    //                     elevation_gain_imperial,
-    //                     elevation_gain_metric,
-    //                     elevation_loss_metric,
-    //                     avg_grade_percent,
-    //                     avg_grade_degree,
-    //                     max_grade_percent,
-    //                     max_grade_degree
-    //                 )
-    //             VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
-    //         `, [
-    //             trailId,
-    //             stats.type,
-    //             stats.distance.imperial,
-    //             stats.distance.metric,
-    //             stats.elevationHigh.imperial,
-    //             stats.elevationHigh.metric,
-    //             stats.elevationLow.imperial,
-    //             stats.elevationLow.metric,
-    //             stats.elevationGain.imperial,
-    //             stats.elevationGain.metric,
-    //             stats.elevationLoss.imperial,
-    //             stats.elevationLoss.metric,
-    //             stats.avgGrade.percent,
-    //             stats.avgGrade.degree,
-    //             stats.maxGrade.percent,
-    //             stats.maxGrade.degree
-    //         ])
-
-    //         await db.query('COMMIT');
-
-    //     } catch (e) {
-    //         await db.query('ROLLBACK');
-    //         console.error(e)
-    //         throw new DatabaseError(`Error saving trail stats: ${e.message}`)
-    //     } finally {
-    //         db.release()
-    //     }
-    // }
-
-
-
-    // /**
-    //  * Updates stats for an existing trail, can handle updating any of the trail's stats.
-    //  * 
-    //  * @param {object} trailStats - stats that need to be updated.
-    //  * @param {number} trailId - Id of the trail to update.
-    //  * @returns {number} trailId
-    //  * @throws {DatabaseError} If stats fail to save.
-    //  */
-    // static async updateTrailStats(trailStats, trailId) {
-
-    //     const unpackedStats = {
-    //         type: trailStats.type || null,
-    //         distance_imperial: trailStats.distance.imperial || null,
-    //         distance_metric: trailStats.distance.metric || null,
-    //         elevation_high_imperial: trailStats.elevationHigh.imperial || null,
-    //         elevation_high_metric: trailStats.elevationHigh.metric || null,
-    //         elevation_low_imperial: trailStats.elevationLow.imperial || null,
-    //         elevation_low_metric: trailStats.elevationLow.metric || null,
-    //         elevation_gain_imperial: trailStats.elevationGain.imperial || null,
-    //         elevation_gain_metric: trailStats.elevationGain.metric || null,
-    //         elevation_loss_imperial: trailStats.elevationLoss.imperial || null,
-    //         elevation_loss_metric: trailStats.elevationLoss.metric || null,
-    //         avg_grade_percent: trailStats.avgGradePercent || null,
-    //         avg_grade_degree: trailStats.avgGradeDegree || null,
-    //         max_grade_percent: trailStats.maxGradePercent || null,
-    //         max_grade_degree: trailStats.maxGradeDegree || null
-    //     }
-
-    //     for (const [key, value] of Object.entries(unpackedStats)) {
-    //         if (value === null) {
-    //             delete unpackedStats[key];
-    //         }
-    //     }
-
-    //     const { setCols, values } = sqlForPartialUpdate(unpackedStats);
-    //     const trailIdIdx = "$" + (values.length + 1)
-    //     const db = await pool.connect();
-    //     try {
-    //         const statQuery = `
-    //                 UPDATE trail_features
-    //                 SET ${setCols}
-    //                 WHERE trail_id = ${trailIdIdx}
-    //                 RETURNING trail_id
-    //             `;
-    //         const result = await db.query(statQuery, [...values, trailId]);
-
-    //         await db.query('COMMIT');
-    //         return result.rows[0].trail_id;
-    //     } catch (e) {
-    //         await db.query('ROLLBACK')
-    //         console.error(e)
-    //         throw new DatabaseError(`Trail stats did not update: ${e.message}`)
-    //     } finally {
-    //         db.release();
-    //     }
-    // }
-
-    // /**
-    //  * Adds a feature to the trail_features table.
-    //  * 
-    //  * @param {string} feature 
-    //  * @returns {object}  id, feature_name
-    //  * @throws {BadRequestError} If feature already exists.
-    //  * @throws {DatabaseError} If feature fails to save.
-    //  */
-    // static async addFeature(feature) {
-    //     const db = await pool.connect();
-    //     try {
-    //         const featureQuery = await db.query(`
-    //                 SELECT id FROM features
-    //                 WHERE feature_name = $1
-    //             `, [feature])
-
-    //         const result = featureQuery.rows[0]
-
-    //         if (result) {
-    //             throw new BadRequestError(`Feature ${feature} already exists with id ${result.id}`)
-    //         }
-
-    //         const insertFeature = await db.query(`
-    //                 INSERT INTO features
-    //                 (feature_name)
-    //                 VALUES ($1)
-    //                 RETURNING id, feature_name
-    //             `, [feature])
-
-    //         const insertResult = insertFeature.rows[0]
-    //         await db.query('COMMIT')
-
-    //         return insertResult;
-    //     } catch (e) {
-    //         await db.query('ROLLBACK')
-    //         console.error(e);
-    //         if (e instanceof BadRequestError) {
-    //             throw e;
-    //         }
-    //         throw new DatabaseError(`Error adding feature ${feature}: ${e.message}`)
-    //     } finally {
-    //         db.release();
-    //     }
-    // }
-
-    // /**
-    //  * Associates a feature to a trail, in the trail_features table.
-    //  * 
-    //  * @param {number} feature_id Id of feature to add to trail. 
-    //  * @param {number} trail_id Id of trail for feature to be added.
-    //  * @throws {BadRequestError} If feature is already associated with the trail.
-    //  * @throws {DatabaseError} If association fails to save.
-    //  */
-    // static async addFeatureToTrail(feature_id, trail_id) {
-    //     const db = await pool.connect();
-    //     try {
-    //         const featureQuery = await db.query(`
-    //                 SELECT id FROM trail_features
-    //                 WHERE feature_id = $1
-    //                 AND trail_id =$2
-    //             `, [feature_id, trail_id])
-
-    //         const featureQueryResult = featureQuery.rows
-    //         if (featureQueryResult.length > 0) {
-    //             throw new BadRequestError(`Feature ${feature_id} is already associated with ${trail_id}.`)
-    //         }
-    //         const result = await db.query(`
-    //                 INSERT INTO trail_features
-    //                 (feature_id, trail_id)
-    //                 VALUES ($1,$2)
-    //             `, [feature_id, trail_id]);
-
-    //         await db.query('COMMIT');
-    //     } catch (e) {
-    //         await db.query('ROLLBACK');
-    //         console.error(e);
-    //         if (e instanceof BadRequestError) {
-    //             throw e;
-    //         }
-    //         throw new DatabaseError(`Feature not added to trail: ${e}`)
-    //     } finally {
-    //         db.release();
-    //     }
-    // }
-
-    // /**
-    //  * Removes feature association from a trail.
-    //  * 
-    //  * @param {number} featureId - Id of feature to be removed from trail.
-    //  * @param {number} trailId - Id of trail to remove the feature from.
-    //  * @throws {DatabaseError} If delete fails.
-    //  */
-    // static async removeFeatureFromTrail(featureId, trailId) {
-    //     const db = await pool.connect();
-    //     try {
-    //         const result = await db.query(`
-    //                 SELECT id FROM trail_features
-    //                 WHERE feature_id = $1
-    //                 AND trail_id = $2
-    //             `, [featureId, trailId])
-
-    //         const idsToRemove = result.rows.map(row => row.id);
-
-    //         if (idsToRemove.length > 0) {
-    //             const query = `
-    //                     DELETE FROM trail_features
-    //                     WHERE id = ANY($1::int[])
-    //                 `;
-    //             await db.query(query, [idsToRemove]);
-    //         }
-
-    //         await db.query('COMMIT');
-
-    //     } catch (e) {
-    //         await db.query('ROLLBACK');
-    //         console.error(e);
-    //         throw new DatabaseError(`Error removing feature ${featureId} from trail ${trailId}: ${e.message}`)
-    //     } finally {
-    //         db.release();
-    //     }
-    // }
+/**
+ * Removes duplicate feature names (case insensitive), keeping the first spelling provided.
+ * @param {array} features - Array of feature names.
+ * @returns {array} Unique feature names.
+ */
+function uniqueFeatureNames(features = []) {
+    const seen = new Set();
+    return features.filter((feature) => {
+        const key = feature.trim().toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
 
-    /**
-//    * Updates the features for an existing trail.
-//    * If feature is included in trailFeatures param and it is already associated with the trail it is removed.
-//    * If feature is included in trailFeatures param and it is NOT associated with the trail it is added.
-//    * @param {array} trailFeatures - Features to add or remove from being associated with trailId.
-//    * @param {number} trailId - Id of the trail to update the features for.
-//    * @throws {DatabaseError} If error updating trail features.
-//    */
-    //     static async updateTrailFeatures(trailFeatures, trailId) {
-    //         try {
-    //             if (trailFeatures.length > 0) {
-    //                 const currentFeatures = await this.getTrailFeaturesById(trailId);
-
-    //                 for (let feature of trailFeatures) {
-    //                     const featureId = await this.getFeatureByName(feature);
-    //                     if (currentFeatures.includes(feature)) {
-    //                         await this.removeFeatureFromTrail(featureId, trailId);
-    //                     } else {
-    //                         await this.addFeatureToTrail(featureId, trailId);
-    //                     }
-    //                 }
-    //             }
-    //         } catch (e) {
-    //             console.error('Error updating trail features:', e);
-    //             throw new DatabaseError('Error updating trail features: ' + e.message);
-    //         }
-    //     }
+/**
+ * Validates a map viewport, values may be query string numbers.
+ * @param {object} bbox - {minLng, minLat, maxLng, maxLat, zoom}
+ * @returns {object} The bbox with number values.
+ * @throws {BadRequestError} If a value is missing or out of range.
+ */
+function validateBbox(bbox) {
+    const keys = ["minLng", "minLat", "maxLng", "maxLat", "zoom"];
+    const parsed = {};
+    for (const key of keys) {
+        const value = bbox[key];
+        if (value === undefined || value === null || value === "" || isNaN(Number(value))) {
+            throw new BadRequestError(`Bounding box requires numeric ${keys.join(", ")}.`);
+        }
+        parsed[key] = Number(value);
+    }
 
+    const { minLng, minLat, maxLng, maxLat, zoom } = parsed;
+    if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) {
+        throw new BadRequestError("Longitudes must be between -180 and 180 and latitudes between -90 and 90.");
+    }
+    if (minLng >= maxLng || minLat >= maxLat) {
+        throw new BadRequestError("minLng / minLat must be less than maxLng / maxLat.");
+    }
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > 22) {
+        throw new BadRequestError("zoom must be a whole number from 0 to 22.");
+    }
+    return parsed;
 }
 
 module.exports = Trail;
\ No newline at end of file
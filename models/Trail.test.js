@@ -2,6 +2,13 @@
 const db = require('../dbPool');
 const Trail = require('./Trail');
 const { NotFoundError, BadRequestError, DatabaseError } = require('../expressError');
+const { locatePoint } = require('../helpers/maps');
+
+// reverse geocoding is stubbed so saving polylines never reaches the geocoding service
+jest.mock('../helpers/maps', () => ({
+    ...jest.requireActual('../helpers/maps'),
+    locatePoint: jest.fn().mockResolvedValue(null)
+}));
 
 beforeAll(async () => {
     process.env.NODE_ENV = 'test';
@@ -44,6 +51,260 @@ describe('Trail.getFullTrailsByIds', () => {
 });
 
 
+describe('Trail.getFullTrailsByIds units', () => {
+    test('should return metric stats labelled with their units', async () => {
+        const [trail] = await Trail.getFullTrailsByIds([1], null, 'metric');
+        expect(trail.stats.distance).toBe(5.6);
+        expect(trail.stats.units).toEqual(expect.objectContaining({ distance: 'km', elevationGain: 'm', maxGradePercent: '%' }));
+    });
+
+    test('should throw BadRequestError for an unknown unit', async () => {
+        try {
+            await Trail.getFullTrailsByIds([1], null, 'furlongs');
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+
+describe('Trail.getTrailsInBbox', () => {
+    beforeAll(async () => {
+        await db.query(`
+            INSERT INTO trail_polylines (trail_id, polyline)
+            VALUES (1, ST_GeomFromText('LINESTRING(-86.60 34.70, -86.59 34.71, -86.58 34.72)', 4326))
+            ON CONFLICT (trail_id) DO UPDATE SET polyline = EXCLUDED.polyline
+        `);
+    });
+
+    afterAll(async () => {
+        await db.query(`DELETE FROM trail_polylines WHERE trail_id = 1`);
+    });
+
+    test('should return trails intersecting the viewport as GeoJSON features', async () => {
+        const result = await Trail.getTrailsInBbox({ minLng: -87, minLat: 34, maxLng: -86, maxLat: 35, zoom: 12 });
+        expect(result.type).toBe('FeatureCollection');
+        expect(result.tooManyResults).toBe(false);
+
+        const feature = result.features.find(f => f.id === 1);
+        expect(feature.properties).toEqual({ id: 1, name: 'Trail 1', difficulty: 'Easy' });
+        expect(feature.geometry.type).toBe('LineString');
+    });
+
+    test('should not return trails outside the viewport', async () => {
+        const result = await Trail.getTrailsInBbox({ minLng: 10, minLat: 10, maxLng: 11, maxLat: 11, zoom: 12 });
+        expect(result.features.find(f => f.id === 1)).toBeUndefined();
+    });
+
+    test('should throw BadRequestError for an invalid bounding box', async () => {
+        try {
+            await Trail.getTrailsInBbox({ minLng: -86, minLat: 34, maxLng: -87, maxLat: 35, zoom: 12 });
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+
+describe('Trail.getTrailTile', () => {
+    beforeAll(async () => {
+        await db.query(`
+            INSERT INTO trail_polylines (trail_id, polyline)
+            VALUES (1, ST_GeomFromText('LINESTRING(-86.60 34.70, -86.59 34.71, -86.58 34.72)', 4326))
+            ON CONFLICT (trail_id) DO UPDATE SET polyline = EXCLUDED.polyline
+        `);
+    });
+
+    afterAll(async () => {
+        await Trail.invalidateTiles({ minLng: -86.60, minLat: 34.70, maxLng: -86.58, maxLat: 34.72 });
+        await db.query(`DELETE FROM trail_polylines WHERE trail_id = 1`);
+    });
+
+    test('should build a tile then serve it from the cache', async () => {
+        const built = await Trail.getTrailTile(10, 265, 406);
+        expect(built.cached).toBe(false);
+        expect(built.tile.length).toBeGreaterThan(0);
+
+        const cached = await Trail.getTrailTile(10, 265, 406);
+        expect(cached.cached).toBe(true);
+        expect(cached.tile.equals(built.tile)).toBe(true);
+    });
+
+    test('should rebuild a tile after the polyline extent is invalidated', async () => {
+        await Trail.getTrailTile(10, 265, 406);
+        await Trail.invalidateTiles({ minLng: -86.60, minLat: 34.70, maxLng: -86.58, maxLat: 34.72 });
+
+        const result = await Trail.getTrailTile(10, 265, 406);
+        expect(result.cached).toBe(false);
+    });
+
+    test('should rebuild a tile after the trail is updated', async () => {
+        await Trail.getTrailTile(10, 265, 406);
+        await Trail.updateTrail({ difficulty: 'Difficult' }, 1);
+
+        const result = await Trail.getTrailTile(10, 265, 406);
+        expect(result.cached).toBe(false);
+        await Trail.updateTrail({ difficulty: 'Easy' }, 1);
+    });
+
+    test('should return an empty tile where there are no trails', async () => {
+        const result = await Trail.getTrailTile(10, 0, 0);
+        expect(result.tile.length).toBe(0);
+    });
+
+    test('should throw BadRequestError for a tile outside the zoom level', async () => {
+        try {
+            await Trail.getTrailTile(3, 9, 0);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+describe('Trail.savePolyline', () => {
+    afterAll(async () => {
+        await Trail.invalidateTiles({ minLng: -86.60, minLat: 34.70, maxLng: -86.58, maxLat: 34.72 });
+        await db.query(`DELETE FROM trail_polylines WHERE trail_id = 2`);
+    });
+
+    test('should store the polyline and recompute stats from the track', async () => {
+        const trail = await Trail.savePolyline(2, [[-86.60, 34.70, 200], [-86.59, 34.71, 260], [-86.58, 34.72, 230]]);
+
+        expect(trail.coordinates).toEqual([[-86.60, 34.70, 200], [-86.59, 34.71, 260], [-86.58, 34.72, 230]]);
+        expect(trail.stats).toMatchObject({
+            distance: 1.79,
+            elevationHigh: 853,
+            elevationLow: 656,
+            elevationGain: 197,
+            elevationLoss: 98
+        });
+    });
+
+    test('should keep elevation stats when the track has no elevation', async () => {
+        const trail = await Trail.savePolyline(2, [[-86.60, 34.70], [-86.50, 34.80]], 'metric');
+
+        expect(trail.stats.distance).toBe(14.39);
+        expect(trail.stats.elevationHigh).toBe(260);
+    });
+
+    test('should throw NotFoundError if the trail does not exist', async () => {
+        try {
+            await Trail.savePolyline(9999, [[-86.60, 34.70], [-86.50, 34.80]]);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('Trail.reconcileLocation', () => {
+    beforeAll(async () => {
+        await db.query(`
+            INSERT INTO trail_polylines (trail_id, polyline)
+            VALUES (6, ST_GeomFromText('LINESTRING(-104.99 39.74, -104.98 39.75)', 4326))
+            ON CONFLICT (trail_id) DO UPDATE SET polyline = EXCLUDED.polyline
+        `);
+    });
+
+    afterAll(async () => {
+        await db.query(`UPDATE trails SET city = 'Denver', state = 'CO' WHERE id = 6`);
+        await db.query(`DELETE FROM trail_edit_suggestions WHERE trail_id = 6`);
+        await db.query(`DELETE FROM trail_polylines WHERE trail_id = 6`);
+    });
+
+    test('should match when the trailhead is in the trail\'s city and state', async () => {
+        locatePoint.mockResolvedValueOnce({ city: 'Denver', state: 'CO' });
+
+        const result = await Trail.reconcileLocation(6);
+        expect(locatePoint).toHaveBeenCalledWith(39.74, -104.99);
+        expect(result.status).toBe('matched');
+        expect(result.suggestionId).toBeNull();
+    });
+
+    test('should flag a mismatch as a suggestion without changing the trail', async () => {
+        locatePoint.mockResolvedValue({ city: 'Aurora', state: 'CO' });
+
+        const result = await Trail.reconcileLocation(6);
+        expect(result.status).toBe('flagged');
+        expect(result.flagged).toEqual({ city: 'Aurora' });
+
+        const suggestions = await db.query(`SELECT user_id, changes FROM trail_edit_suggestions WHERE id = $1`, [result.suggestionId]);
+        expect(suggestions.rows[0]).toEqual({ user_id: null, changes: { city: 'Aurora' } });
+
+        const [trail] = await Trail.getFullTrailsByIds([6]);
+        expect(trail.city).toBe('Denver');
+
+        // running again does not repeat the suggestion
+        const again = await Trail.reconcileLocation(6);
+        expect(again.suggestionId).toBe(result.suggestionId);
+        locatePoint.mockResolvedValue(null);
+    });
+
+    test('should fill a blank city', async () => {
+        await db.query(`UPDATE trails SET city = NULL WHERE id = 6`);
+        locatePoint.mockResolvedValueOnce({ city: 'Denver', state: 'CO' });
+
+        const result = await Trail.reconcileLocation(6);
+        expect(result.status).toBe('filled');
+        expect(result.filled).toEqual({ city: 'Denver' });
+
+        const [trail] = await Trail.getFullTrailsByIds([6]);
+        expect(trail.city).toBe('Denver');
+    });
+
+    test('should skip trails without a polyline', async () => {
+        const result = await Trail.reconcileLocation(7);
+        expect(result.status).toBe('skipped');
+    });
+});
+
+describe('Trail.getElevationProfile', () => {
+    beforeAll(async () => {
+        await db.query(`
+            INSERT INTO trail_polylines (trail_id, polyline)
+            VALUES (3, ST_GeomFromText('LINESTRING Z(-86.60 34.70 200, -86.59 34.70 300)', 4326)),
+                   (4, ST_GeomFromText('LINESTRING(-86.60 34.70, -86.59 34.70)', 4326))
+            ON CONFLICT (trail_id) DO UPDATE SET polyline = EXCLUDED.polyline
+        `);
+    });
+
+    afterAll(async () => {
+        await db.query(`DELETE FROM trail_polylines WHERE trail_id IN (3, 4)`);
+    });
+
+    test('should sample elevation from a 3D polyline', async () => {
+        const result = await Trail.getElevationProfile(3, 3, 'metric');
+
+        expect(result.source).toBe('polyline');
+        expect(result.units).toEqual({ distance: 'km', elevation: 'm', grade: '%' });
+        expect(result.totalDistance).toBe(0.92);
+        expect(result.profile.map(p => p.elevation)).toEqual([200, 250, 300]);
+        expect(result.segments).toHaveLength(2);
+        expect(result.segments[0].grade).toBeCloseTo(10.92, 1);
+    });
+
+    test('should convert to imperial units', async () => {
+        const result = await Trail.getElevationProfile(3, 2, 'imperial');
+        expect(result.units.elevation).toBe('ft');
+        expect(result.profile.map(p => p.elevation)).toEqual([656.2, 984.3]);
+    });
+
+    test('should throw NotFoundError without elevation data for a 2D polyline', async () => {
+        try {
+            await Trail.getElevationProfile(4);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+
+    test('should throw BadRequestError for too many samples', async () => {
+        try {
+            await Trail.getElevationProfile(3, 5000);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
 describe('Trail.verifyTrailExists', () => {
     test('should return true if trail exists', async () => {
         const trailId = 1;
@@ -425,3 +686,184 @@ describe('Trail.getFeatureByName', () => {
 
 
 
+
+
+describe('Trail.getRatingsByIds', () => {
+    test('should return average rating and count for rated trails only', async () => {
+        const users = await db.query(`SELECT id FROM users ORDER BY id LIMIT 2`);
+        for (const [i, user] of users.rows.entries()) {
+            await db.query(`INSERT INTO ratings (user_id, trail_id, rating) VALUES ($1, 1, $2)`, [user.id, i + 3]);
+        }
+
+        const ratings = await Trail.getRatingsByIds([1, 9999]);
+        expect(ratings).toHaveLength(1);
+        expect(ratings[0].trail_id).toBe(1);
+        expect(ratings[0].ratingCount).toBe(users.rows.length);
+
+        await db.query(`DELETE FROM ratings WHERE trail_id = 1`);
+    });
+
+    test('should return trails in the order of the ids given with rating fields', async () => {
+        const trails = await Trail.getFullTrailsByIds([2, 1]);
+        expect(trails.map(t => t.id)).toEqual([2, 1]);
+        expect(trails[0]).toHaveProperty('avgRating', null);
+        expect(trails[0]).toHaveProperty('ratingCount', 0);
+    });
+});
+
+
+describe('Trail.addTrail', () => {
+    const newTrail = {
+        trailName: 'Chestnut Hill Trail',
+        difficulty: 'Intermediate',
+        city: 'Pike Creek',
+        state: 'DE',
+        dogs: 'Unknown',
+        description: 'Fun, winding singletrack.',
+        features: ['Fall Colors', 'Views', 'Boardwalk'],
+        landManager: 'DE State Parks',
+        stats: {
+            type: 'Loop',
+            distance: { imperial: 1.9, metric: 3.1 },
+            elevationHigh: { imperial: 283, metric: 86 },
+            elevationLow: { imperial: 143, metric: 44 },
+            elevationGain: { imperial: 140, metric: 43 },
+            elevationLoss: { imperial: 140, metric: 43 },
+            avgGrade: { percent: 3, degree: 2 },
+            maxGrade: { percent: 11, degree: 6 }
+        }
+    };
+
+    afterAll(async () => {
+        await db.query(`DELETE FROM trail_features WHERE trail_id IN (SELECT id FROM trails WHERE name = $1)`, [newTrail.trailName]);
+        await db.query(`DELETE FROM trail_stats WHERE trail_id IN (SELECT id FROM trails WHERE name = $1)`, [newTrail.trailName]);
+        await db.query(`DELETE FROM trails WHERE name = $1`, [newTrail.trailName]);
+        await db.query(`DELETE FROM features WHERE feature_name = 'Boardwalk'`);
+    });
+
+    test('should add a trail with stats and features and return the full trail', async () => {
+        const trail = await Trail.addTrail(newTrail);
+
+        expect(trail).toHaveProperty('id');
+        expect(trail).toHaveProperty('name', 'Chestnut Hill Trail');
+        expect(trail.stats).toMatchObject({ type: 'Loop', distance: 1.9, elevationLoss: 140 });
+        expect(trail.features).toEqual(expect.arrayContaining(['Fall Colors', 'Views', 'Boardwalk']));
+    });
+
+    test('should throw BadRequestError if the trail already exists in the state', async () => {
+        try {
+            await Trail.addTrail(newTrail);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+});
+
+
+describe('Trail.updateTrail and Trail.deleteTrail', () => {
+    let trailId;
+
+    beforeAll(async () => {
+        const trail = await Trail.addTrail({
+            trailName: 'Update Me Trail',
+            difficulty: 'Easy',
+            city: 'Dover',
+            state: 'DE',
+            dogs: 'Unknown',
+            description: 'Before update',
+            features: ['Views'],
+            landManager: 'Manager',
+            stats: {
+                type: 'Loop',
+                distance: { imperial: 1, metric: 1.6 },
+                elevationHigh: { imperial: 100, metric: 30 },
+                elevationLow: { imperial: 50, metric: 15 },
+                elevationGain: { imperial: 50, metric: 15 },
+                elevationLoss: { imperial: 50, metric: 15 },
+                avgGrade: { percent: 1, degree: 1 },
+                maxGrade: { percent: 2, degree: 1 }
+            }
+        });
+        trailId = trail.id;
+    });
+
+    test('should partially update trail fields, stats and replace features', async () => {
+        const trail = await Trail.updateTrail({
+            dogs: 'Leashed',
+            stats: { distance: { imperial: 2, metric: 3.2 } },
+            features: ['Lake', 'Birding']
+        }, trailId);
+
+        expect(trail.dogsAllowed).toBe('Leashed');
+        expect(trail.description).toBe('Before update');
+        expect(trail.stats).toMatchObject({ distance: 2, elevationGain: 50 });
+        expect(trail.features).toEqual(expect.arrayContaining(['Lake', 'Birding']));
+        expect(trail.features).not.toContain('Views');
+    });
+
+    test('should throw NotFoundError if the trail does not exist', async () => {
+        try {
+            await Trail.updateTrail({ dogs: 'No' }, 9999);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+
+    test('should name the existing trail when a move to another state is a duplicate', async () => {
+        await db.query(`INSERT INTO trails (name, state) VALUES ('Update Me Trail', 'RI')`);
+        try {
+            await Trail.updateTrail({ state: 'ri' }, trailId);
+            throw new Error('expected BadRequestError');
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+            expect(err.message).toBe('A trail named Update Me Trail already exists in that state.');
+        } finally {
+            await db.query(`DELETE FROM trails WHERE name = 'Update Me Trail' AND state = 'RI'`);
+        }
+    });
+
+    test('should throw BadRequestError if there is no data to update', async () => {
+        try {
+            await Trail.updateTrail({}, trailId);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test('should delete the trail and its dependent rows', async () => {
+        await db.query(`INSERT INTO trail_images (trail_id, path) VALUES ($1, '/path/delete/test')`, [trailId]);
+        const user = await db.query(`
+            INSERT INTO users (username, first_name, last_name, email)
+            VALUES ('routeowner', 'Route', 'Owner', 'routeowner@example.com')
+            RETURNING id
+        `);
+        const routes = await db.query(`
+            INSERT INTO custom_routes (user_id, name, trail_ids, reversed, start_point, route_line, distance_imperial, distance_metric)
+            VALUES ($1, 'Uses the trail', ARRAY[1, $2::int], ARRAY[false, false], ST_SetSRID(ST_MakePoint(-86.6, 34.7), 4326),
+                    ST_GeomFromText('LINESTRING(-86.60 34.70, -86.58 34.72)', 4326), 1, 1.6),
+                   ($1, 'Other trails', ARRAY[1, 2], ARRAY[false, true], ST_SetSRID(ST_MakePoint(-86.6, 34.7), 4326),
+                    ST_GeomFromText('LINESTRING(-86.60 34.70, -86.58 34.72)', 4326), 1, 1.6)
+            RETURNING id, name
+        `, [user.rows[0].id, trailId]);
+
+        const deleted = await Trail.deleteTrail(trailId);
+        expect(deleted).toEqual({ id: trailId, name: 'Update Me Trail' });
+
+        const stats = await Trail.getStatsByIds([trailId]);
+        expect(stats).toHaveLength(0);
+        const images = await Trail.getTrailImagesByIds([trailId]);
+        expect(images).toHaveLength(0);
+
+        const remaining = await db.query(`SELECT name FROM custom_routes WHERE id = ANY($1::int[])`, [routes.rows.map(r => r.id)]);
+        expect(remaining.rows).toEqual([{ name: 'Other trails' }]);
+        await db.query(`DELETE FROM users WHERE id = $1`, [user.rows[0].id]);
+    });
+
+    test('should throw NotFoundError when deleting a trail that does not exist', async () => {
+        try {
+            await Trail.deleteTrail(9999);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
@@ -0,0 +1,349 @@
+"use strict"
+
+const pool = require("../dbPool");
+const {
+    NotFoundError,
+    BadRequestError,
+    DatabaseError
+} = require("../expressError");
+const Trail = require("./Trail");
+
+const allSuggestionData = `
+    s.id,
+    s.trail_id AS "trailId",
+    t.name AS "trailName",
+    s.user_id AS "userId",
+    u.username,
+    s.changes,
+    s.note,
+    s.status,
+    s.reviewed_by AS "reviewedBy",
+    r.username AS "reviewedByUsername",
+    s.reviewed_at AS "reviewedAt",
+    s.review_note AS "reviewNote",
+    s.created_at AS "createdAt"
+`
+
+const suggestionJoins = `
+    FROM trail_edit_suggestions s
+    JOIN trails t ON s.trail_id = t.id
+    LEFT JOIN users u ON s.user_id = u.id
+    LEFT JOIN users r ON s.reviewed_by = r.id
+`
+
+const statuses = ["pending", "approved", "rejected"];
+
+class TrailEditSuggestion {
+
+    /**
+     * Stores a suggested edit for a trail as pending.
+     *
+     * @param {number} trailId - Trail the edit is for.
+     * @param {number|null} userId - User submitting the edit, null for system generated suggestions.
+     * @param {object} changes - Proposed changes, matching schemas/updateTrail.json
+     * @param {string} [note] - Optional explanation of the edit.
+     * @returns {Promise<Object>} The stored suggestion.
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {DatabaseError} If the suggestion fails to save.
+     */
+    static async create(trailId, userId, changes, note = null) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const trailResult = await db.query(`SELECT id FROM trails WHERE id = $1`, [trailId]);
+            if (trailResult.rows.length === 0) {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+
+            const result = await db.query(`
+                    INSERT INTO trail_edit_suggestions
+                    (trail_id, user_id, changes, note)
+                    VALUES ($1,$2,$3,$4)
+                    RETURNING id
+                `, [trailId, userId, JSON.stringify(changes), note]);
+
+            return await this.get(result.rows[0].id);
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error saving suggestion for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Lists suggestions by status, oldest first so the queue is worked in order.
+     *
+     * @param {string} [status="pending"] - pending, approved or rejected.
+     * @param {number} [trailId] - Optionally limit to a single trail.
+     * @returns {Promise<Array<Object>>} Array of suggestions.
+     * @throws {BadRequestError} If status is not valid.
+     * @throws {DatabaseError} If there is an error retrieving suggestions.
+     */
+    static async findAll(status = "pending", trailId = null) {
+        if (!statuses.includes(status)) {
+            throw new BadRequestError(`Status must be one of: ${statuses.join(", ")}`);
+        }
+
+        const db = await pool.connect();
+        try {
+            const params = [status];
+            let trailClause = "";
+            if (trailId) {
+                params.push(trailId);
+                trailClause = `AND s.trail_id = $2`;
+            }
+
+            const result = await db.query(`
+                    SELECT ${allSuggestionData}
+                    ${suggestionJoins}
+                    WHERE s.status = $1 ${trailClause}
+                    ORDER BY s.created_at, s.id
+                `, params);
+
+            return result.rows;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving suggestions: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Gets a single suggestion.
+     *
+     * @param {number} id - Suggestion id.
+     * @returns {Promise<Object>} The suggestion.
+     * @throws {NotFoundError} If the suggestion is not found.
+     */
+    static async get(id) {
+        if (isNaN(Number(id))) {
+            throw new BadRequestError("Suggestion ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT ${allSuggestionData}
+                    ${suggestionJoins}
+                    WHERE s.id = $1
+                `, [id]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Suggestion ${id} not found.`);
+            }
+
+            return result.rows[0];
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error retrieving suggestion ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Gets a suggestion along with a field by field diff against the trail's current data.
+     *
+     * @param {number} id - Suggestion id.
+     * @returns {Promise<Object>} The suggestion with a diff array:
+     * @example diff: [
+     *      { field: "dogs", current: "Unknown", proposed: "Leashed", changed: true },
+     *      { field: "stats.distance", current: {imperial: 3.5, metric: 5.6}, proposed: {imperial: 3.7, metric: 6}, changed: true },
+     *      { field: "features", current: ["Cave"], proposed: ["Cave", "Views"], added: ["Views"], removed: [], changed: true }
+     *  ]
+     */
+    static async getWithDiff(id) {
+        const suggestion = await this.get(id);
+        const current = await Trail.getEditableTrail(suggestion.trailId);
+        suggestion.diff = buildDiff(current, suggestion.changes);
+        return suggestion;
+    }
+
+    /**
+     * Approves a pending suggestion, applying its changes to the trail through
+     * Trail.updateTrail and recording the reviewer in the same transaction.
+     *
+     * @param {number} id - Suggestion id.
+     * @param {number} reviewerId - Id of the user approving the suggestion.
+     * @param {string} [reviewNote]
+     * @returns {Promise<Object>} {suggestion, trail} - reviewed suggestion and the updated trail.
+     * @throws {NotFoundError} If the suggestion is not found.
+     * @throws {BadRequestError} If the suggestion is not pending.
+     */
+    static async approve(id, reviewerId, reviewNote = null) {
+        const db = await pool.connect();
+        let trailId;
+        let polylineExtent;
+        try {
+            await db.query('BEGIN');
+
+            const suggestion = await lockPendingSuggestion(db, id);
+            trailId = suggestion.trail_id;
+            await Trail.updateTrail({ ...suggestion.changes }, trailId, db);
+            await markReviewed(db, id, "approved", reviewerId, reviewNote);
+            polylineExtent = await Trail.getPolylineExtent(trailId, db);
+
+            await db.query('COMMIT');
+        } catch (e) {
+            await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Suggestion ${id} was not approved: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        await Trail.invalidateTiles(polylineExtent);
+        const suggestion = await this.get(id);
+        const [trail] = await Trail.getFullTrailsByIds([trailId]);
+        return { suggestion, trail };
+    }
+
+    /**
+     * Rejects a pending suggestion, the trail is left unchanged.
+     *
+     * @param {number} id - Suggestion id.
+     * @param {number} reviewerId - Id of the user rejecting the suggestion.
+     * @param {string} [reviewNote]
+     * @returns {Promise<Object>} The reviewed suggestion.
+     * @throws {NotFoundError} If the suggestion is not found.
+     * @throws {BadRequestError} If the suggestion is not pending.
+     */
+    static async reject(id, reviewerId, reviewNote = null) {
+        const db = await pool.connect();
+        try {
+            await db.query('BEGIN');
+
+            await lockPendingSuggestion(db, id);
+            await markReviewed(db, id, "rejected", reviewerId, reviewNote);
+
+            await db.query('COMMIT');
+        } catch (e) {
+            await db.query('ROLLBACK');
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Suggestion ${id} was not rejected: ${e.message}`);
+        } finally {
+            db.release();
+        }
+
+        return await this.get(id);
+    }
+}
+
+/**
+ * Selects a suggestion FOR UPDATE so two moderators cannot review it at the same time.
+ * @throws {NotFoundError} If the suggestion is not found.
+ * @throws {BadRequestError} If the suggestion has already been reviewed.
+ */
+async function lockPendingSuggestion(db, id) {
+    if (isNaN(Number(id))) {
+        throw new BadRequestError("Suggestion ids must be a number.");
+    }
+
+    const result = await db.query(`
+            SELECT id, trail_id, changes, status
+            FROM trail_edit_suggestions
+            WHERE id = $1
+            FOR UPDATE
+        `, [id]);
+
+    const suggestion = result.rows[0];
+    if (!suggestion) {
+        throw new NotFoundError(`Suggestion ${id} not found.`);
+    }
+    if (suggestion.status !== "pending") {
+        throw new BadRequestError(`Suggestion ${id} has already been ${suggestion.status}.`);
+    }
+    return suggestion;
+}
+
+async function markReviewed(db, id, status, reviewerId, reviewNote) {
+    await db.query(`
+            UPDATE trail_edit_suggestions
+            SET status = $1,
+            reviewed_by = $2,
+            reviewed_at = CURRENT_TIMESTAMP,
+            review_note = $3
+            WHERE id = $4
+        `, [status, reviewerId, reviewNote, id]);
+}
+
+/**
+ * Builds a field by field diff of the proposed changes against the current trail.
+ * Only fields present in the proposed changes are included.
+ *
+ * @param {object} current - Trail.getEditableTrail result.
+ * @param {object} changes - Proposed changes (updateTrail.json shape).
+ * @returns {array} [{field, current, proposed, changed}]
+ */
+function buildDiff(current, changes) {
+    const diff = [];
+
+    for (const [field, proposed] of Object.entries(changes)) {
+        if (field === "link") continue;
+
+        if (field === "stats") {
+            for (const [stat, proposedStat] of Object.entries(proposed)) {
+                const currentStat = current.stats[stat] === undefined ? null : current.stats[stat];
+                diff.push({
+                    field: `stats.${stat}`,
+                    current: currentStat,
+                    proposed: proposedStat,
+                    changed: !isEqual(currentStat, proposedStat)
+                });
+            }
+        } else if (field === "features") {
+            const currentLower = current.features.map(f => f.toLowerCase());
+            const proposedLower = proposed.map(f => f.toLowerCase());
+            const added = proposed.filter(f => !currentLower.includes(f.toLowerCase()));
+            const removed = current.features.filter(f => !proposedLower.includes(f.toLowerCase()));
+            diff.push({
+                field,
+                current: current.features,
+                proposed,
+                added,
+                removed,
+                changed: added.length > 0 || removed.length > 0
+            });
+        } else {
+            const currentValue = current[field] === undefined ? null : current[field];
+            diff.push({
+                field,
+                current: currentValue,
+                proposed,
+                changed: !isEqual(currentValue, proposed)
+            });
+        }
+    }
+
+    return diff;
+}
+
+function isEqual(a, b) {
+    if (a && b && typeof a === "object" && typeof b === "object") {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => isEqual(a[key], b[key]));
+    }
+    if (typeof a === "string" && typeof b === "string") {
+        return a.trim() === b.trim();
+    }
+    return a === b;
+}
+
+module.exports = TrailEditSuggestion;
@@ -0,0 +1,125 @@
+const db = require('../dbPool');
+const TrailEditSuggestion = require('./TrailEditSuggestion');
+const Trail = require('./Trail');
+const User = require('./User');
+const { NotFoundError, BadRequestError } = require('../expressError');
+
+let user;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    user = await User.create({
+        username: 'suggester',
+        password: 'password',
+        firstName: 'Sug',
+        lastName: 'Gester',
+        email: 'suggester@example.com',
+        profileImagePath: '/images/suggester.jpg',
+        acctType: 'local'
+    });
+});
+
+afterAll(async () => {
+    await Trail.updateTrail({ dogs: 'Unknown', landManager: 'Manager 2' }, 2);
+    await db.query('DELETE FROM trail_edit_suggestions');
+    await db.query('DELETE FROM users');
+    await db.end();
+});
+
+describe('TrailEditSuggestion.create', () => {
+    test('should store a pending suggestion', async () => {
+        const suggestion = await TrailEditSuggestion.create(1, user.id, { dogs: 'Leashed' }, 'Saw signs');
+
+        expect(suggestion).toMatchObject({
+            trailId: 1,
+            trailName: 'Trail 1',
+            userId: user.id,
+            username: 'suggester',
+            changes: { dogs: 'Leashed' },
+            note: 'Saw signs',
+            status: 'pending'
+        });
+    });
+
+    test('should throw NotFoundError if the trail does not exist', async () => {
+        try {
+            await TrailEditSuggestion.create(9999, user.id, { dogs: 'Leashed' });
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('TrailEditSuggestion.getWithDiff', () => {
+    test('should diff fields, stats and features against the current trail', async () => {
+        const created = await TrailEditSuggestion.create(1, user.id, {
+            dogs: 'Unknown',
+            landManager: 'Manager One',
+            stats: { distance: { imperial: 3.7, metric: 6 } },
+            features: ['Cave', 'Waterfall', 'Views']
+        });
+
+        const suggestion = await TrailEditSuggestion.getWithDiff(created.id);
+        const diff = Object.fromEntries(suggestion.diff.map(d => [d.field, d]));
+
+        expect(diff.dogs).toMatchObject({ current: 'Unknown', proposed: 'Unknown', changed: false });
+        expect(diff.landManager).toMatchObject({ current: 'Manager 1', proposed: 'Manager One', changed: true });
+        expect(diff['stats.distance']).toMatchObject({ current: { imperial: 3.5, metric: 5.6 }, changed: true });
+        expect(diff.features).toMatchObject({ added: ['Views'], removed: ['Wildflowers'], changed: true });
+    });
+});
+
+describe('TrailEditSuggestion.approve / reject', () => {
+    test('approve should apply the changes and record the reviewer', async () => {
+        const created = await TrailEditSuggestion.create(2, user.id, { dogs: 'Leashed', landManager: 'Forest Service' });
+
+        const { suggestion, trail } = await TrailEditSuggestion.approve(created.id, user.id, 'Looks right');
+
+        expect(suggestion).toMatchObject({ status: 'approved', reviewedBy: user.id, reviewNote: 'Looks right' });
+        expect(suggestion.reviewedAt).toBeTruthy();
+        expect(trail).toMatchObject({ id: 2, dogsAllowed: 'Leashed', landManager: 'Forest Service' });
+    });
+
+    test('approve should leave the suggestion pending if the trail update fails', async () => {
+        const created = await TrailEditSuggestion.create(2, user.id, { trailName: 'Trail 1', state: 'AL', dogs: 'No' });
+
+        try {
+            await TrailEditSuggestion.approve(created.id, user.id);
+            throw new Error('expected BadRequestError');
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+
+        const suggestion = await TrailEditSuggestion.get(created.id);
+        const [trail] = await Trail.getFullTrailsByIds([2]);
+        expect(suggestion.status).toBe('pending');
+        expect(trail).toMatchObject({ name: 'Trail 2', state: 'AK' });
+        await TrailEditSuggestion.reject(created.id, user.id);
+    });
+
+    test('reject should leave the trail unchanged', async () => {
+        const created = await TrailEditSuggestion.create(3, user.id, { dogs: 'No' });
+
+        const suggestion = await TrailEditSuggestion.reject(created.id, user.id);
+        const [trail] = await Trail.getFullTrailsByIds([3]);
+
+        expect(suggestion.status).toBe('rejected');
+        expect(trail.dogsAllowed).toBe('Unknown');
+    });
+
+    test('should throw BadRequestError if the suggestion was already reviewed', async () => {
+        const created = await TrailEditSuggestion.create(3, user.id, { dogs: 'No' });
+        await TrailEditSuggestion.reject(created.id, user.id);
+
+        try {
+            await TrailEditSuggestion.approve(created.id, user.id);
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test('should list pending suggestions', async () => {
+        const pending = await TrailEditSuggestion.findAll('pending');
+        expect(pending.every(s => s.status === 'pending')).toBeTruthy();
+    });
+});
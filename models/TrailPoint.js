@@ -0,0 +1,223 @@
+"use strict"
+
+const pool = require("../dbPool");
+const {
+    NotFoundError,
+    BadRequestError,
+    DatabaseError
+} = require("../expressError");
+const { sqlForPartialUpdate } = require("../helpers/sql");
+const { directionsLinks } = require("../helpers/maps");
+
+const allPointData = `
+    id,
+    trail_id AS "trailId",
+    type,
+    name,
+    notes,
+    ST_Y(location) AS lat,
+    ST_X(location) AS lng,
+    created_at AS "createdAt"
+`
+
+// Points people drive to, these get directions links.
+const drivableTypes = ["trailhead", "parking"];
+
+class TrailPoint {
+
+    /**
+     * Adds a point to a trail.
+     *
+     * @param {number} trailId
+     * @param {object} data - {type, name, notes, lat, lng}, matching schemas/newTrailPoint.json
+     * @returns {Promise<Object>} The point as a GeoJSON Feature.
+     * @throws {NotFoundError} If the trail is not found.
+     * @throws {DatabaseError} If the point fails to save.
+     */
+    static async create(trailId, { type, name = null, notes = null, lat, lng }) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    INSERT INTO trail_points
+                    (trail_id, type, name, notes, location)
+                    VALUES ($1, $2, $3, $4, ST_SetSRID(ST_MakePoint($5, $6), 4326))
+                    RETURNING ${allPointData}
+                `, [trailId, type, name, notes, lng, lat]);
+
+            return toFeature(result.rows[0]);
+        } catch (e) {
+            console.error(e);
+            if (e.code === '23503') {
+                throw new NotFoundError(`Trail id ${trailId} not found.`);
+            }
+            throw new DatabaseError(`Error saving point for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Points for a trail as a GeoJSON FeatureCollection, trailheads first.
+     *
+     * @param {number} trailId
+     * @returns {Promise<Object>} {type: "FeatureCollection", features: [...]}
+     */
+    static async findByTrail(trailId) {
+        if (isNaN(Number(trailId))) {
+            throw new BadRequestError("Trail ids must be a number.");
+        }
+
+        const pointsMap = await this.getByTrailIds([Number(trailId)]);
+        return pointsMap.get(Number(trailId)) || { type: "FeatureCollection", features: [] };
+    }
+
+    /**
+     * Points for each trail as a GeoJSON FeatureCollection, trailheads first.
+     *
+     * @param {Array<number>} trailIds
+     * @returns {Promise<Map>} trailId => FeatureCollection, trails without points are not in the map.
+     * @throws {DatabaseError} If there is an error retrieving points.
+     */
+    static async getByTrailIds(trailIds) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    SELECT ${allPointData}
+                    FROM trail_points
+                    WHERE trail_id = ANY($1::int[])
+                    ORDER BY trail_id, type <> 'trailhead', id
+                `, [trailIds]);
+
+            const pointsMap = new Map();
+            for (const row of result.rows) {
+                if (!pointsMap.has(row.trailId)) {
+                    pointsMap.set(row.trailId, { type: "FeatureCollection", features: [] });
+                }
+                pointsMap.get(row.trailId).features.push(toFeature(row));
+            }
+            return pointsMap;
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error retrieving trail points: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Edits a point. lat and lng are updated together.
+     *
+     * @param {number} trailId - Trail the point belongs to.
+     * @param {number} id - Point id.
+     * @param {object} data - Any of {type, name, notes, lat, lng}, matching schemas/updateTrailPoint.json
+     * @returns {Promise<Object>} The updated point as a GeoJSON Feature.
+     * @throws {NotFoundError} If the point is not found on the trail.
+     */
+    static async update(trailId, id, data) {
+        if (isNaN(Number(trailId)) || isNaN(Number(id))) {
+            throw new BadRequestError("Trail and point ids must be a number.");
+        }
+
+        const { lat, lng, ...fields } = data;
+        const db = await pool.connect();
+        try {
+            const { setCols, values } = Object.keys(fields).length > 0
+                ? sqlForPartialUpdate(fields, {})
+                : { setCols: "", values: [] };
+
+            const setClauses = setCols ? [setCols] : [];
+            if (lat !== undefined && lng !== undefined) {
+                values.push(lng, lat);
+                setClauses.push(`location = ST_SetSRID(ST_MakePoint($${values.length - 1}, $${values.length}), 4326)`);
+            }
+            if (setClauses.length === 0) {
+                throw new BadRequestError("No data");
+            }
+
+            const result = await db.query(`
+                    UPDATE trail_points
+                    SET ${setClauses.join(", ")}
+                    WHERE id = $${values.length + 1}
+                    AND trail_id = $${values.length + 2}
+                    RETURNING ${allPointData}
+                `, [...values, id, trailId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Point ${id} not found on trail ${trailId}.`);
+            }
+
+            return toFeature(result.rows[0]);
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError || e instanceof BadRequestError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error updating point ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Deletes a point from a trail.
+     *
+     * @param {number} trailId - Trail the point belongs to.
+     * @param {number} id - Point id.
+     * @returns {Promise<number>} Id of the deleted point.
+     * @throws {NotFoundError} If the point is not found on the trail.
+     */
+    static async remove(trailId, id) {
+        if (isNaN(Number(trailId)) || isNaN(Number(id))) {
+            throw new BadRequestError("Trail and point ids must be a number.");
+        }
+
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    DELETE FROM trail_points
+                    WHERE id = $1
+                    AND trail_id = $2
+                    RETURNING id
+                `, [id, trailId]);
+
+            if (result.rows.length === 0) {
+                throw new NotFoundError(`Point ${id} not found on trail ${trailId}.`);
+            }
+
+            return result.rows[0].id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error deleting point ${id}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+}
+
+/**
+ * GeoJSON Feature for a trail_points row, trailheads and parking include directions links.
+ * @example { type: "Feature", id: 1, geometry: { type: "Point", coordinates: [-86.59, 34.7] },
+ *      properties: { id: 1, trailId: 1, type: "trailhead", name, notes, createdAt, directions: { google, apple, waze } } }
+ */
+function toFeature({ lat, lng, ...point }) {
+    const properties = { ...point };
+    if (drivableTypes.includes(point.type)) {
+        properties.directions = directionsLinks(lat, lng);
+    }
+
+    return {
+        type: "Feature",
+        id: point.id,
+        geometry: { type: "Point", coordinates: [lng, lat] },
+        properties
+    };
+}
+
+module.exports = TrailPoint;
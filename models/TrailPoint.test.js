@@ -0,0 +1,103 @@
+const db = require('../dbPool');
+const TrailPoint = require('./TrailPoint');
+const Trail = require('./Trail');
+const { NotFoundError } = require('../expressError');
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+});
+
+afterEach(async () => {
+    await db.query('DELETE FROM trail_points');
+});
+
+afterAll(async () => {
+    await db.end();
+});
+
+describe('TrailPoint.create', () => {
+    test('should store a point as a GeoJSON Feature with directions', async () => {
+        const point = await TrailPoint.create(1, { type: 'trailhead', name: 'Main Lot', lat: 34.7, lng: -86.59 });
+
+        expect(point).toMatchObject({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: [-86.59, 34.7] },
+            properties: { trailId: 1, type: 'trailhead', name: 'Main Lot', notes: null }
+        });
+        expect(point.properties.directions.google).toBe('https://www.google.com/maps/dir/?api=1&destination=34.7,-86.59');
+    });
+
+    test('should not add directions to trail features', async () => {
+        const point = await TrailPoint.create(1, { type: 'water', notes: 'Seasonal spring', lat: 34.71, lng: -86.58 });
+
+        expect(point.properties.directions).toBeUndefined();
+    });
+
+    test('should throw NotFoundError for an unknown trail', async () => {
+        try {
+            await TrailPoint.create(99999, { type: 'parking', lat: 34.7, lng: -86.59 });
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('TrailPoint.findByTrail', () => {
+    test('should list trailheads first', async () => {
+        await TrailPoint.create(1, { type: 'viewpoint', lat: 34.72, lng: -86.57 });
+        await TrailPoint.create(1, { type: 'trailhead', lat: 34.7, lng: -86.59 });
+
+        const points = await TrailPoint.findByTrail(1);
+        expect(points.type).toBe('FeatureCollection');
+        expect(points.features.map(feature => feature.properties.type)).toEqual(['trailhead', 'viewpoint']);
+    });
+
+    test('should return an empty FeatureCollection for a trail without points', async () => {
+        expect(await TrailPoint.findByTrail(2)).toEqual({ type: 'FeatureCollection', features: [] });
+    });
+
+    test('should be included in full trails', async () => {
+        await TrailPoint.create(1, { type: 'parking', lat: 34.7, lng: -86.59 });
+
+        const [trail] = await Trail.getFullTrailsByIds([1]);
+        expect(trail.points.features).toHaveLength(1);
+        expect(trail.points.features[0].properties.type).toBe('parking');
+    });
+});
+
+describe('TrailPoint.update', () => {
+    test('should update fields and move the point', async () => {
+        const point = await TrailPoint.create(1, { type: 'parking', lat: 34.7, lng: -86.59 });
+
+        const updated = await TrailPoint.update(1, point.id, { name: 'Overflow Lot', lat: 34.8, lng: -86.5 });
+        expect(updated.properties.name).toBe('Overflow Lot');
+        expect(updated.geometry.coordinates).toEqual([-86.5, 34.8]);
+    });
+
+    test('should throw NotFoundError for a point on another trail', async () => {
+        const point = await TrailPoint.create(1, { type: 'parking', lat: 34.7, lng: -86.59 });
+
+        try {
+            await TrailPoint.update(2, point.id, { name: 'Wrong Trail' });
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
+
+describe('TrailPoint.remove', () => {
+    test('should delete the point', async () => {
+        const point = await TrailPoint.create(1, { type: 'hazard', notes: 'Washout', lat: 34.7, lng: -86.59 });
+
+        expect(await TrailPoint.remove(1, point.id)).toBe(point.id);
+        expect((await TrailPoint.findByTrail(1)).features).toHaveLength(0);
+    });
+
+    test('should throw NotFoundError for a missing point', async () => {
+        try {
+            await TrailPoint.remove(1, 99999);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
@@ -1,20 +1,109 @@
 "use strict"
 const pool = require('../dbPool');
-const { stateMap, jsToSqlFilters } = require('../helpers/objectMaps');
+const { states, jsToSqlFilters } = require('../helpers/objectMaps');
 const Trail = require('./Trail')
+const { normalizeUnit, statUnits, distanceToMeters, metersToDistance } = require('../helpers/units');
+const { BadRequestError, DatabaseError } = require('../expressError');
+const { encodeCursor, decodeCursor, pageLimit } = require('../helpers/pagination');
+
+// Radius for the near filter in miles / km.
+const defaultNearRadius = 25;
+const maxNearRadius = 500;
+
+// Difficulty labels from easiest to hardest, other labels sort with trails that have no difficulty.
+const difficultyRanks = new Map([
+    ["easy", 1],
+    ["moderate", 2],
+    ["challenging", 3],
+    ["hard", 4],
+    ["difficult", 4]
+]);
+const difficultyRank = `CASE LOWER(t.difficulty) ${[...difficultyRanks].map(([label, rank]) => `WHEN '${label}' THEN ${rank}`).join(" ")} END`;
+
+// Sort options for searchTrails, sort => {order: default direction, sql: sort expression, cursor: value type}.
+// Nulls always sort last and ties are broken on t.id so pages never repeat or skip trails.
+// cursor is the type of the sort value in nextCursor, see cursorTypes in helpers/pagination.js.
+const sortOptions = new Map([
+    ["relevance", { order: "DESC", cursor: "numeric", sql: ({ searchRank }) => searchRank }],
+    ["nearest", { order: "ASC", cursor: "numeric", sql: ({ nearPoint }) => `ST_Distance(tp.polyline::geography, ${nearPoint})` }],
+    ["distance", { order: "ASC", cursor: "numeric", sql: ({ som }) => `ts.distance_${som}` }],
+    ["elevationGain", { order: "ASC", cursor: "numeric", sql: ({ som }) => `ts.elevation_gain_${som}` }],
+    ["difficulty", { order: "ASC", cursor: "numeric", sql: () => difficultyRank }],
+    ["rating", { order: "DESC", cursor: "numeric", sql: () => `r.avg_rating` }],
+    ["name", { order: "ASC", cursor: "string", sql: () => `LOWER(t.name)` }],
+    ["newest", { order: "DESC", cursor: "timestamp", sql: () => `t.created_at` }]
+]);
+
+// Option counts for searchFacets, facet => {sql: option expression, exclude: filters left out of its counts}.
+// A facet leaves out its own filter so the sidebar can show what choosing another option would return.
+// Features are AND-ed, so their counts keep the features filter and show trails with one more feature.
+const facetOptions = new Map([
+    ["features", { sql: `f.feature_name`, exclude: [] }],
+    ["difficulty", { sql: `t.difficulty`, exclude: ["difficulty"] }],
+    ["type", { sql: `ts.type`, exclude: ["type"] }],
+    ["state", { sql: `t.state`, exclude: ["state"] }],
+    ["dogsAllowed", { sql: `t.dogs_allowed`, exclude: ["dogsAllowed"] }]
+]);
+
+// Histograms for searchFacets, bucket edges in mi / ft or km / m. The last bucket has no upper edge.
+const facetHistograms = new Map([
+    ["distance", {
+        stat: "distance",
+        exclude: ["minDistance", "maxDistance"],
+        edges: { imperial: [0, 2, 4, 6, 8, 10, 15, 20], metric: [0, 3, 6, 10, 15, 20, 25, 30] }
+    }],
+    ["elevationGain", {
+        stat: "elevation_gain",
+        exclude: ["minElevationGain", "maxElevationGain"],
+        edges: { imperial: [0, 250, 500, 1000, 1500, 2000, 3000], metric: [0, 75, 150, 300, 450, 600, 900] }
+    }]
+]);
+
+// Suggestions returned by autocomplete, and the shortest q that gets any.
+const defaultAutocompleteLimit = 8;
+const maxAutocompleteLimit = 20;
+const minAutocompleteLength = 2;
+
+// Joins shared by the search, count and facet queries, r holds each trail's average rating
+// and tp the trail's polyline for the near filter.
+const searchJoins = `
+    FROM trails t
+    LEFT JOIN trail_features tf ON t.id = tf.trail_id
+    LEFT JOIN features f ON tf.feature_id = f.id
+    LEFT JOIN trail_stats ts ON t.id = ts.trail_id
+    LEFT JOIN trail_polylines tp ON t.id = tp.trail_id
+    LEFT JOIN (
+        SELECT trail_id, AVG(rating) AS avg_rating, COUNT(*) AS rating_count
+        FROM ratings
+        GROUP BY trail_id
+    ) r ON t.id = r.trail_id
+`;
 
 
 /**
  * 
- * @param {string} searchTerm 
- * @param {number} page 
- * @param {number} limit 
+ * @param {string} searchTerm  matched against trails.search_vector: name, feature names, city / state, then description / land manager
+ *                       by weight. Each word matches as a prefix, when no trail matches the words they are matched with pg_trgm
+ *                       similarity so misspellings like "watrfall" still find trails.
+ * @param {number} page  OFFSET paging, ignored when a cursor is given
+ * @param {number} limit  1 to 100, default 10
  * @param {object} filters : 
  * Can contain any of these filters: {features :[array of features],city:string, state:string, type:string, dogsAllowed:string, minDistance:number, maxDistance:number,
- *                                   maxElevation:number, minElevation:number, maxElevationGain:number, minElevationGain:number, maxElevationLoss:number, minElevationLoss}
+ *                                   maxElevation:number, minElevation:number, maxElevationGain:number, minElevationGain:number, maxElevationLoss:number, minElevationLoss,
+ *                                   minRating:number, near:{lat:number, lng:number, radius:number}}
+ * near.radius is in miles (imperial) or km (metric), default 25. Trails with any point of their polyline
+ * inside the radius are included and each trail gets distanceAway / distanceAwayUnit.
  * }
- * @param {string} unit  "Imperial"  || "Metric" 
- * @returns {array of trail objects}
+ * @param {string} unit  "imperial"  || "metric" (case insensitive) - used for distance / elevation filters and the returned stats
+ * @param {string} sort  "<option>" or "<option>:asc" / "<option>:desc", see sortOptions. Options and their default direction:
+ *                       relevance (desc, full text rank, requires a searchTerm), nearest (asc, requires a near filter),
+ *                       distance (asc, trail length), elevationGain (asc), difficulty (asc, easy first), rating (desc),
+ *                       name (asc) and newest (desc). Defaults to nearest with a near filter, relevance with a searchTerm, otherwise name.
+ *                       Trails missing the sorted value are last, ties are ordered by id.
+ * @param {object} options  {cursor, withCount}
+ *                       cursor: nextCursor from the previous page, only valid with the same sort.
+ *                       withCount: also count every matching trail as totalCount, skipped by default as it is a second query.
+ * @returns {object} {trails: [trail objects], nextCursor: string or null on the last page, totalCount (withCount only)}
  * @example Search: /trails/search?page=1&limit=10&filters={"type":"loop","city":"huntsville","state":"al","minDistance":2,"features":["waterfall","cave"]}
  * 
  * {
@@ -52,127 +141,462 @@ const Trail = require('./Trail')
  *       ]
  *   }
  */
-const searchTrails = async (searchTerm, page = 1, limit = 10, filters = null, userId, unit = "Imperial",) => {
+const searchTrails = async (searchTerm, page = 1, limit = 10, filters = null, userId, unit = "imperial", sort = null, { cursor = null, withCount = false } = {}) => {
+
+    const systemOfMeasure = normalizeUnit(unit);
+
+    const near = filters && filters.near ? validateNear(filters.near) : null;
+    const { key: sortKey, option: sortOption, order } = parseSort(sort, { searchTerm, near });
+    const pageSize = pageLimit(limit, 10);
+    const after = cursor ? decodeCursor(cursor, { sort: "string", value: `${sortOption.cursor}?`, id: "integer" }) : null;
+    if (after && after.sort !== `${sortKey}:${order}`) {
+        throw new BadRequestError("The cursor is from a search with a different sort.");
+    }
 
     const db = await pool.connect();
     try {
-        let offset = (page - 1) * limit;
-        let params = [];
-        let paramCount = 0;
+        const offset = after ? 0 : (page - 1) * pageSize;
+        const { params, addParam } = queryParams();
+        const { whereClause, nearPoint, searchRank } = buildSearchWhere({ searchTerm, filters, near, systemOfMeasure }, addParam);
+
+        let totalCount;
+        if (withCount) {
+            const countQuery = `SELECT COUNT(DISTINCT t.id)::int AS total_count ${searchJoins} ${whereClause}`;
+            const countResult = await db.query(countQuery, params);
+            totalCount = countResult.rows[0].total_count;
+        }
 
-        const addParam = (param) => {
-            params.push(param);
-            paramCount++;
-            return `$${paramCount}`;
-        };
+        const sortSql = sortOption.sql({ som: systemOfMeasure, searchRank, nearPoint });
+
+        // Keyset: rows after the cursor in ORDER BY sort_value NULLS LAST, t.id
+        let keysetClause = ``;
+        if (after) {
+            const idParam = addParam(after.id);
+            if (after.value === null) {
+                keysetClause = ` AND (${sortSql}) IS NULL AND t.id > ${idParam} `;
+            } else {
+                const valueParam = addParam(after.value);
+                const comparison = order === "DESC" ? "<" : ">";
+                keysetClause = `
+                    AND ((${sortSql}) ${comparison} ${valueParam}
+                        OR ((${sortSql}) = ${valueParam} AND t.id > ${idParam})
+                        OR (${sortSql}) IS NULL)
+                `;
+            }
+        }
 
-        let baseQuery = `
+        // one extra row tells us if there is a next page
+        const limitParam = addParam(pageSize + 1);
+        const offsetParam = addParam(offset);
+
+        // DISTINCT queries can only be ordered by selected columns, the sort expression is selected as sort_value.
+        // sort_cursor keeps the full precision of timestamps and floats for the next cursor.
+        const baseQuery = `
             SELECT DISTINCT
-                t.id
-            FROM trails t
-            LEFT JOIN trail_features tf ON t.id = tf.trail_id
-            LEFT JOIN features f ON tf.feature_id = f.id
-            LEFT JOIN trail_stats ts ON t.id = ts.trail_id
+                t.id,
+                r.avg_rating,
+                ${sortSql} AS sort_value,
+                (${sortSql})::text AS sort_cursor
+                ${nearPoint ? `, ST_Distance(tp.polyline::geography, ${nearPoint}) AS distance_meters` : ``}
+            ${searchJoins}
         `;
 
-        let whereClause = ` WHERE 1=1 `;
+        const orderClause = ` ORDER BY sort_value ${order} NULLS LAST, t.id `;
 
-        if (searchTerm) {
-            const sanitizedSearchTerm = searchTerm
-                .split(' ')
-                .filter(word => word.trim() !== '')
-                .map(word => word.replace(/[^\w\s]/gi, ''))
-                .join(' & ');
+        const finalQuery = `${baseQuery}${whereClause}${keysetClause}${orderClause} LIMIT ${limitParam} OFFSET ${offsetParam}`;
 
-            const searchParam = addParam(`%${sanitizedSearchTerm}%`);
-            // whereClause += ` AND (t.name ILIKE ${searchParam} OR t.city ILIKE ${searchParam} OR t.state ILIKE ${searchParam}) `;
-            whereClause += ` AND to_tsvector('english', t.name || ' ' || t.city || ' ' || t.state) @@ to_tsquery('english', ${searchParam}) `;
-        }
 
-        if (filters) {
-            for (let key of Object.keys(filters)) {
-                if (key === "features") {
-                    if (!Array.isArray(filters.features)) {
-                        throw new Error('Features filter must be an array');
-                    }
-                    const featuresParam = addParam(filters.features);
-                    whereClause += `
-                        AND t.id IN (
-                            SELECT tf.trail_id
-                            FROM trail_features tf
-                            JOIN features f ON tf.feature_id = f.id
-                            WHERE f.feature_name = ANY(${featuresParam}::text[])
-                            GROUP BY tf.trail_id
-                            HAVING COUNT(DISTINCT LOWER(f.feature_name)) = ${filters.features.length}
-                        ) `;
-                } else if (key === "difficulty") {
-                    const difficultyParam = addParam(filters.difficulty);
-                    whereClause += `
-                        AND t.difficulty = ANY(${difficultyParam}::text[])
-                    `
-                } else if (key === "type") {
-                    const typeParam = addParam(filters.type)
-                    whereClause += `
-                        AND ts.type = ANY(${typeParam}::text[])
-                    `
-                } else if (["minDistance", "maxDistance"].includes(key)) {
-                    if (!filters[key]) continue;
-                    whereClause += addDistanceFilters(key, filters, addParam, jsToSqlFilters, unit);
-
-                } else if (["minElevation", "maxElevation", "minElevationLoss", "maxElevationLoss", "minElevationGain", "maxElevationGain"].includes(key)) {
-                    if (!filters[key]) continue;
-                    whereClause += addElevationFilters(key, filters, addParam, jsToSqlFilters, unit);
-
-                } else {
-                    if (jsToSqlFilters.get(key)) {
-                        const paramNum = addParam(filters[key]);
-                        Number(filters[key]) != NaN
-                            ? whereClause += `AND ${jsToSqlFilters.get(key)} = ${paramNum}`
-                            : whereClause += `AND LOWER (${jsToSqlFilters.get(key)}) = ${paramNum}`
-                    }
-                }
+        const result = await db.query(finalQuery, params);
+
+        const rows = result.rows.slice(0, pageSize);
+        const last = rows[rows.length - 1];
+        const nextCursor = result.rows.length > pageSize
+            ? encodeCursor({ sort: `${sortKey}:${order}`, value: last.sort_cursor, id: Number(last.id) })
+            : null;
+        const pageInfo = withCount ? { totalCount, nextCursor } : { nextCursor };
+
+        if (rows.length > 0) {
+            const trails = await Trail.getFullTrailsByIds(rows.map(row => Number(row.id)), userId, systemOfMeasure);
+            if (nearPoint) {
+                const distanceMap = new Map(rows.map(row => [Number(row.id), row.distance_meters]));
+                trails.forEach(trail => {
+                    trail.distanceAway = metersToDistance(distanceMap.get(trail.id), systemOfMeasure);
+                    trail.distanceAwayUnit = statUnits(systemOfMeasure).distance;
+                });
             }
+            return { ...pageInfo, trails };
+        } else {
+            return { ...pageInfo, trails: [] };
         }
 
-        const countQuery = `SELECT COUNT(DISTINCT t.id) AS total_count FROM trails t 
-            LEFT JOIN trail_features tf ON t.id = tf.trail_id 
-            LEFT JOIN features f ON tf.feature_id = f.id 
-            LEFT JOIN trail_stats ts ON t.id = ts.trail_id 
-            ${whereClause}`;
+    } catch (e) {
+        console.error(e);
+        if (e instanceof BadRequestError) {
+            throw e;
+        }
+        throw new DatabaseError(`Error executing search query: ${e.message}`);
+    } finally {
+        db.release();
+    }
+};
 
 
-        const countResult = await db.query(countQuery, params);
-        const totalCount = countResult.rows[0].total_count;
+/**
+ * Counts for the search filter sidebar under the current search term and filters.
+ * Each facet is counted without its own filter (except features, see facetOptions),
+ * so options the user has not picked show how many trails they would return.
+ *
+ * @param {string} searchTerm
+ * @param {object} filters - Same as searchTrails.
+ * @param {string} unit - "imperial" || "metric", histogram buckets are in mi / ft or km / m.
+ * @returns {object} {features, difficulty, type, state, dogsAllowed: [{value, count}] most trails first,
+ *  distance, elevationGain: {unit, buckets: [{min, max, count}]}} - max is null on the last bucket.
+ * @throws {BadRequestError} If the near filter is not valid.
+ */
+const searchFacets = async (searchTerm, filters = null, unit = "imperial") => {
+    const systemOfMeasure = normalizeUnit(unit);
+    const near = filters && filters.near ? validateNear(filters.near) : null;
+    const search = { searchTerm, filters, near, systemOfMeasure };
 
-        const limitParam = addParam(limit);
-        const offsetParam = addParam(offset);
+    const db = await pool.connect();
+    try {
+        const facets = {};
+
+        for (const [facet, { sql, exclude }] of facetOptions) {
+            const { params, addParam } = queryParams();
+            const { whereClause } = buildSearchWhere(search, addParam, exclude);
+            const result = await db.query(`
+                SELECT ${sql} AS value, COUNT(DISTINCT t.id)::int AS count
+                ${searchJoins}
+                ${whereClause} AND ${sql} IS NOT NULL
+                GROUP BY ${sql}
+                ORDER BY count DESC, value
+            `, params);
+            facets[facet] = result.rows;
+        }
 
-        const finalQuery = `${baseQuery}${whereClause} LIMIT ${limitParam} OFFSET ${offsetParam}`;
+        for (const [facet, { stat, exclude, edges }] of facetHistograms) {
+            const { params, addParam } = queryParams();
+            const { whereClause } = buildSearchWhere(search, addParam, exclude);
+            const bucketEdges = edges[systemOfMeasure];
+            const edgesParam = addParam(bucketEdges);
+            // width_bucket is 1 for the first bucket, 0 below the first edge (negative stats are left out)
+            const result = await db.query(`
+                SELECT bucket, COUNT(DISTINCT trail_id)::int AS count
+                FROM (
+                    SELECT t.id AS trail_id, width_bucket(ts.${stat}_${systemOfMeasure}, ${edgesParam}::float8[]) AS bucket
+                    ${searchJoins}
+                    ${whereClause}
+                ) trail_buckets
+                WHERE bucket > 0
+                GROUP BY bucket
+            `, params);
+
+            const counts = new Map(result.rows.map(row => [row.bucket, row.count]));
+            facets[facet] = {
+                unit: statUnits(systemOfMeasure)[facet],
+                buckets: bucketEdges.map((min, idx) => ({
+                    min,
+                    max: bucketEdges[idx + 1] ?? null,
+                    count: counts.get(idx + 1) || 0
+                }))
+            };
+        }
 
+        return facets;
+    } catch (e) {
+        console.error(e);
+        if (e instanceof BadRequestError) {
+            throw e;
+        }
+        throw new DatabaseError(`Error executing facet query: ${e.message}`);
+    } finally {
+        db.release();
+    }
+};
 
-        const result = await db.query(finalQuery, params);
 
-        if (result.rows.length > 0) {
-            const trails = await Trail.getFullTrailsByIds(result.rows.map(row => Number(row.id)), userId);
-            return {
-                totalCount: totalCount,
-                trails: trails
-            };
-        } else {
-            return {
-                totalCount: totalCount,
-                trails: []
-            };
-        }
+/**
+ * Search box suggestions: trail names, places ("City, ST" and states), land managers and features.
+ * Values starting with q rank first, then values with a word starting with q, then by pg_trgm similarity.
+ * State names are matched with helpers/objectMaps states, so "colorado" suggests CO and its cities.
+ * Matches are served by the trigram indexes on trails.name, city, land_manager and features.feature_name.
+ *
+ * @param {string} q - Text typed so far, fewer than 2 letters returns no suggestions.
+ * @param {number} limit - 1 to 20, default 8.
+ * @returns {array} [{type: "trail" | "place" | "landManager" | "feature", label, filters, trailId (trails only)}]
+ *  filters can be passed as is to searchTrails / GET /trails/search.
+ * @throws {BadRequestError} If q is missing or the limit is not valid.
+ */
+const autocomplete = async (q, limit = defaultAutocompleteLimit) => {
+    if (q === undefined || q === null) {
+        throw new BadRequestError("q is required.");
+    }
+    const suggestionLimit = Number(limit);
+    if (!Number.isInteger(suggestionLimit) || suggestionLimit < 1 || suggestionLimit > maxAutocompleteLimit) {
+        throw new BadRequestError(`Limit must be between 1 and ${maxAutocompleteLimit}.`);
+    }
+    const term = String(q).trim().replace(/\s+/g, ' ');
+    if (term.length < minAutocompleteLength) return [];
+
+    const lowerTerm = term.toLowerCase();
+    const stateCodes = [...states]
+        .filter(([name, code]) => name.toLowerCase().startsWith(lowerTerm) || code.toLowerCase() === lowerTerm)
+        .map(([, code]) => code);
 
+    // LIKE patterns, the term's own wildcards are escaped
+    const likeTerm = term.replace(/[\\%_]/g, '\\$&');
+    const prefix = `${likeTerm}%`;
+    const wordPrefix = `% ${likeTerm}%`;
+    const score = (column) => `(CASE WHEN ${column} ILIKE $2 THEN 2 ELSE 1 END) + similarity(${column}, $1)`;
+    const matches = (column) => `(${column} ILIKE $2 OR ${column} ILIKE $3)`;
+
+    const db = await pool.connect();
+    try {
+        const result = await db.query(`
+            (SELECT 'trail' AS type, t.name AS label, t.id AS trail_id, NULL AS city, t.state, ${score("t.name")} AS score
+             FROM trails t
+             WHERE ${matches("t.name")}
+             ORDER BY score DESC, label
+             LIMIT $5)
+            UNION ALL
+            (SELECT 'place', t.city, NULL, t.city, t.state,
+                 CASE WHEN ${matches("t.city")} THEN ${score("t.city")} ELSE 1 END AS score
+             FROM trails t
+             WHERE t.city IS NOT NULL AND (${matches("t.city")} OR t.state = ANY($4::text[]))
+             GROUP BY t.city, t.state
+             ORDER BY score DESC, t.city
+             LIMIT $5)
+            UNION ALL
+            -- whole states matched by name, scored above everything else
+            (SELECT DISTINCT 'place', t.state, NULL::int, NULL::text, t.state, 3
+             FROM trails t
+             WHERE t.state = ANY($4::text[]))
+            UNION ALL
+            (SELECT 'landManager', t.land_manager, NULL, NULL, NULL, ${score("t.land_manager")} AS score
+             FROM trails t
+             WHERE ${matches("t.land_manager")}
+             GROUP BY t.land_manager
+             ORDER BY score DESC, t.land_manager
+             LIMIT $5)
+            UNION ALL
+            (SELECT 'feature', f.feature_name, NULL, NULL, NULL, ${score("f.feature_name")} AS score
+             FROM features f
+             WHERE ${matches("f.feature_name")}
+             GROUP BY f.feature_name
+             ORDER BY score DESC, f.feature_name
+             LIMIT $5)
+        `, [term, prefix, wordPrefix, stateCodes, suggestionLimit]);
+
+        const stateNames = new Map([...states].map(([name, code]) => [code, name]));
+        return result.rows
+            .sort((a, b) => b.score - a.score || a.label.localeCompare(b.label))
+            .slice(0, suggestionLimit)
+            .map(row => autocompleteSuggestion(row, stateNames));
     } catch (e) {
         console.error(e);
-        throw new Error('Error executing search query');
+        throw new DatabaseError(`Error executing autocomplete query: ${e.message}`);
     } finally {
         db.release();
     }
 };
 
+/**
+ * Suggestion for a row from the autocomplete query, with the searchTrails filters that select it.
+ */
+const autocompleteSuggestion = ({ type, label, trail_id, city, state }, stateNames) => {
+    if (type === "trail") {
+        return { type, label, trailId: trail_id, filters: state ? { name: label, state } : { name: label } };
+    }
+    if (type === "place") {
+        return city
+            ? { type, label: state ? `${city}, ${state}` : city, filters: state ? { city, state } : { city } }
+            : { type, label: stateNames.get(state) || state, filters: { state } };
+    }
+    if (type === "landManager") {
+        return { type, label, filters: { landManager: label } };
+    }
+    return { type, label, filters: { features: [label] } };
+};
+
+
+/**
+ * Parameter list for one query, addParam adds a value and returns its placeholder.
+ */
+const queryParams = () => {
+    const params = [];
+    const addParam = (param) => {
+        params.push(param);
+        return `$${params.length}`;
+    };
+    return { params, addParam };
+};
+
+
+/**
+ * Builds the WHERE clause shared by the search, count and facet queries (see searchJoins).
+ * @param {object} search - {searchTerm, filters, near: from validateNear, systemOfMeasure}
+ * @param {function} addParam - From queryParams.
+ * @param {array} exclude - Filter keys to leave out, facets leave out their own filter to count its other options.
+ * @returns {object} {whereClause, nearPoint: geography sql or null, searchRank: ts_rank sql or null}
+ */
+const buildSearchWhere = ({ searchTerm, filters, near, systemOfMeasure }, addParam, exclude = []) => {
+    // jsToSqlFilters keys end in Imperial / Metric
+    const filterUnit = systemOfMeasure === "metric" ? "Metric" : "Imperial";
+    // the distance filters delete the keys they use
+    if (filters) {
+        filters = { ...filters };
+        exclude.forEach(key => delete filters[key]);
+    }
+
+    let filterClause = ``;
+    let nearPoint = null;
+    let searchRank = null;
+
+    if (filters) {
+        for (let key of Object.keys(filters)) {
+            if (key === "features") {
+                if (!Array.isArray(filters.features)) {
+                    throw new BadRequestError('Features filter must be an array');
+                }
+                const featuresParam = addParam(filters.features);
+                filterClause += `
+                    AND t.id IN (
+                        SELECT tf.trail_id
+                        FROM trail_features tf
+                        JOIN features f ON tf.feature_id = f.id
+                        WHERE f.feature_name = ANY(${featuresParam}::text[])
+                        GROUP BY tf.trail_id
+                        HAVING COUNT(DISTINCT LOWER(f.feature_name)) = ${filters.features.length}
+                    ) `;
+            } else if (key === "difficulty") {
+                const difficultyParam = addParam(filters.difficulty);
+                filterClause += `
+                    AND t.difficulty = ANY(${difficultyParam}::text[])
+                `
+            } else if (key === "type") {
+                const typeParam = addParam(filters.type)
+                filterClause += `
+                    AND ts.type = ANY(${typeParam}::text[])
+                `
+            } else if (key === "near") {
+                const lngParam = addParam(near.lng);
+                const latParam = addParam(near.lat);
+                const radiusParam = addParam(distanceToMeters(near.radius, systemOfMeasure));
+                nearPoint = `ST_SetSRID(ST_MakePoint(${lngParam}, ${latParam}), 4326)::geography`;
+                // Matches the trail_polylines_geography_idx expression index
+                filterClause += `
+                    AND ST_DWithin(tp.polyline::geography, ${nearPoint}, ${radiusParam})
+                `
+            } else if (key === "minRating") {
+                if (!filters[key]) continue;
+                const ratingParam = addParam(filters.minRating);
+                filterClause += `
+                    AND r.avg_rating >= ${ratingParam}
+                `
+            } else if (["minDistance", "maxDistance"].includes(key)) {
+                if (!filters[key]) continue;
+                filterClause += addDistanceFilters(key, filters, addParam, jsToSqlFilters, filterUnit);
+
+            } else if (["minElevation", "maxElevation", "minElevationLoss", "maxElevationLoss", "minElevationGain", "maxElevationGain"].includes(key)) {
+                if (!filters[key]) continue;
+                filterClause += addElevationFilters(key, filters, addParam, jsToSqlFilters, filterUnit);
+
+            } else {
+                if (jsToSqlFilters.get(key)) {
+                    const paramNum = addParam(filters[key]);
+                    Number(filters[key]) != NaN
+                        ? filterClause += ` AND ${jsToSqlFilters.get(key)} = ${paramNum} `
+                        : filterClause += ` AND LOWER (${jsToSqlFilters.get(key)}) = ${paramNum} `
+                }
+            }
+        }
+    }
+
+    let whereClause = ` WHERE 1=1 `;
+    const words = searchWords(searchTerm);
+    if (words.length > 0) {
+        // every word matches as a prefix so partial words match while typing
+        const queryParam = addParam(words.map(word => `${word}:*`).join(' & '));
+        const fuzzyParam = addParam(words.join(' ').toLowerCase());
+        const searchQuery = `to_tsquery('english', ${queryParam})`;
+        const fullTextMatch = `t.search_vector @@ ${searchQuery}`;
+        // Typo fallback: only when no trail under the same filters matches the words, trails whose search_text
+        // has words similar to them (pg_trgm word_similarity above pg_trgm.word_similarity_threshold, 0.6 by default).
+        // The subquery's aliases shadow the outer ones so the filters apply to its own rows.
+        whereClause += `
+            AND (${fullTextMatch}
+                OR (NOT EXISTS (SELECT 1 ${searchJoins} WHERE ${fullTextMatch} ${filterClause})
+                    AND ${fuzzyParam} <% t.search_text))
+        `;
+        searchRank = `CASE WHEN ${fullTextMatch} THEN ts_rank(t.search_vector, ${searchQuery}) ELSE word_similarity(${fuzzyParam}, t.search_text) END`;
+    }
+    whereClause += filterClause;
+
+    return { whereClause, nearPoint, searchRank };
+};
+
+
+/**
+ * Letters and digits of each word in a search term, empty when there are none.
+ */
+const searchWords = (searchTerm) => {
+    if (!searchTerm) return [];
+    return String(searchTerm)
+        .split(/\s+/)
+        .map(word => word.replace(/[^\p{L}\p{N}]/gu, ''))
+        .filter(word => word !== '');
+};
+
+
+/**
+ * Validates the sort option and direction, see sortOptions.
+ * @returns {object} {key, option, order} - order is ASC or DESC
+ * @throws {BadRequestError} If the option or direction is not valid, or relevance / nearest are used without a searchTerm / near filter.
+ */
+const parseSort = (sort, { searchTerm, near }) => {
+    const hasWords = searchWords(searchTerm).length > 0;
+    const defaultSort = near ? "nearest" : hasWords ? "relevance" : "name";
+    const [key, direction] = String(sort || defaultSort).split(":");
+
+    const option = sortOptions.get(key);
+    if (!option) {
+        throw new BadRequestError(`sort must be one of: ${[...sortOptions.keys()].join(", ")}`);
+    }
+    if (direction !== undefined && !["asc", "desc"].includes(direction.toLowerCase())) {
+        throw new BadRequestError("sort direction must be asc or desc.");
+    }
+    if (key === "relevance" && !hasWords) {
+        throw new BadRequestError("Sorting by relevance requires a searchTerm.");
+    }
+    if (key === "nearest" && !near) {
+        throw new BadRequestError("Sorting by nearest requires a near filter.");
+    }
+
+    return { key, option, order: direction ? direction.toUpperCase() : option.order };
+};
+
+
+/**
+ * Validates the near filter, radius defaults to 25 (miles / km).
+ * @returns {object} {lat, lng, radius} as numbers
+ * @throws {BadRequestError} If lat, lng or radius are missing or out of range.
+ */
+const validateNear = ({ lat, lng, radius = defaultNearRadius }) => {
+    const near = { lat: Number(lat), lng: Number(lng), radius: Number(radius) };
+
+    if ([lat, lng].some(value => value === undefined || value === null || value === "") || isNaN(near.lat) || isNaN(near.lng)) {
+        throw new BadRequestError("Near searches require a numeric lat and lng.");
+    }
+    if (near.lat < -90 || near.lat > 90 || near.lng < -180 || near.lng > 180) {
+        throw new BadRequestError("lat must be between -90 and 90 and lng between -180 and 180.");
+    }
+    if (isNaN(near.radius) || near.radius <= 0 || near.radius > maxNearRadius) {
+        throw new BadRequestError(`radius must be greater than 0 and at most ${maxNearRadius}.`);
+    }
+    return near;
+};
+
 
 // minElevation, maxElevation
 // minElevationGain, maxElevationGain
@@ -234,7 +658,9 @@ const addDistanceFilters = (key, filters, addParam, jsToSqlFilters, unit) => {
 
 
 module.exports = {
-    searchTrails
+    searchTrails,
+    searchFacets,
+    autocomplete
 };
 
 
@@ -0,0 +1,239 @@
+const db = require('../dbPool');
+const { searchTrails, searchFacets, autocomplete } = require('./TrailSearch');
+const { BadRequestError } = require('../expressError');
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+});
+
+afterAll(async () => {
+    await db.end();
+});
+
+const distances = result => result.trails.map(trail => trail.stats.distance);
+
+describe('searchTrails sort', () => {
+    test('should sort by trail length, shortest first', async () => {
+        const result = await searchTrails(null, 1, 50, null, null, 'imperial', 'distance');
+        const sorted = [...distances(result)].sort((a, b) => a - b);
+
+        expect(distances(result)).toEqual(sorted);
+    });
+
+    test('should reverse the default direction with :desc', async () => {
+        const result = await searchTrails(null, 1, 50, null, null, 'metric', 'distance:desc');
+        const sorted = [...distances(result)].sort((a, b) => b - a);
+
+        expect(distances(result)).toEqual(sorted);
+    });
+
+    test('should sort by trail length with a near filter, nearest is a separate option', async () => {
+        const near = { lat: 34.73, lng: -86.59, radius: 500 };
+        const result = await searchTrails(null, 1, 50, { near }, null, 'imperial', 'distance');
+        const sorted = [...distances(result)].sort((a, b) => a - b);
+
+        expect(distances(result)).toEqual(sorted);
+    });
+
+    test('should put easier trails first when sorting by difficulty', async () => {
+        const result = await searchTrails(null, 1, 50, null, null, 'imperial', 'difficulty');
+        const difficulties = result.trails.map(trail => trail.difficulty);
+
+        expect(difficulties.indexOf('Easy')).toBeLessThan(difficulties.indexOf('Moderate'));
+        expect(difficulties.lastIndexOf('Moderate')).toBeLessThan(difficulties.indexOf('Difficult'));
+    });
+
+    test('should page through ties without repeating trails', async () => {
+        const firstPage = await searchTrails(null, 1, 5, null, null, 'imperial', 'newest');
+        const secondPage = await searchTrails(null, 2, 5, null, null, 'imperial', 'newest');
+        const ids = [...firstPage.trails, ...secondPage.trails].map(trail => trail.id);
+
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+
+    test('should rank the best text match first by default', async () => {
+        const result = await searchTrails('Trail Huntsville', 1, 10);
+
+        expect(result.trails[0].city).toBe('Huntsville');
+    });
+
+    test('should throw BadRequestError for an unknown sort', async () => {
+        await expect(searchTrails(null, 1, 10, null, null, 'imperial', 'popularity')).rejects.toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for an unknown direction', async () => {
+        await expect(searchTrails(null, 1, 10, null, null, 'imperial', 'name:up')).rejects.toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for relevance without a searchTerm', async () => {
+        await expect(searchTrails(null, 1, 10, null, null, 'imperial', 'relevance')).rejects.toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for nearest without a near filter', async () => {
+        await expect(searchTrails('Trail', 1, 10, null, null, 'imperial', 'nearest')).rejects.toThrow(BadRequestError);
+    });
+});
+
+describe('searchTrails cursor pagination', () => {
+    test('should page with nextCursor in the same order as one large page', async () => {
+        const all = await searchTrails(null, 1, 50, null, null, 'imperial', 'rating');
+        const firstPage = await searchTrails(null, 1, 3, null, null, 'imperial', 'rating');
+        const secondPage = await searchTrails(null, 1, 3, null, null, 'imperial', 'rating', { cursor: firstPage.nextCursor });
+
+        expect([...firstPage.trails, ...secondPage.trails].map(trail => trail.id))
+            .toEqual(all.trails.slice(0, 6).map(trail => trail.id));
+    });
+
+    test('should return a null nextCursor on the last page', async () => {
+        const result = await searchTrails(null, 1, 100, null, null, 'imperial', 'name');
+
+        expect(result.nextCursor).toBeNull();
+    });
+
+    test('should only count when withCount is set', async () => {
+        const withoutCount = await searchTrails(null, 1, 5);
+        const withCount = await searchTrails(null, 1, 5, null, null, 'imperial', null, { withCount: true });
+
+        expect(withoutCount).not.toHaveProperty('totalCount');
+        expect(withCount.totalCount).toBeGreaterThan(5);
+    });
+
+    test('should throw BadRequestError for a tampered cursor value', async () => {
+        const cursor = Buffer.from(JSON.stringify({ sort: 'distance:ASC', value: 'far', id: 1 })).toString('base64url');
+
+        await expect(searchTrails(null, 1, 3, null, null, 'imperial', 'distance', { cursor }))
+            .rejects.toThrow(BadRequestError);
+    });
+
+    test('should throw BadRequestError for a cursor from another sort', async () => {
+        const firstPage = await searchTrails(null, 1, 3, null, null, 'imperial', 'rating');
+
+        await expect(searchTrails(null, 1, 3, null, null, 'imperial', 'name', { cursor: firstPage.nextCursor }))
+            .rejects.toThrow(BadRequestError);
+    });
+});
+
+describe('searchFacets', () => {
+    test('should count each option under the search term', async () => {
+        const facets = await searchFacets('Trail');
+
+        expect(Object.keys(facets)).toEqual(['features', 'difficulty', 'type', 'state', 'dogsAllowed', 'distance', 'elevationGain']);
+        expect(facets.difficulty).toEqual(expect.arrayContaining([expect.objectContaining({ value: 'Easy' })]));
+        facets.state.forEach(option => expect(option.count).toBeGreaterThan(0));
+    });
+
+    test('should leave out a facet\'s own filter but apply the others', async () => {
+        const unfiltered = await searchFacets(null);
+        const facets = await searchFacets(null, { difficulty: ['Easy'], state: 'AL' });
+
+        const stateTotal = facets.state.reduce((total, option) => total + option.count, 0);
+        const easyTotal = unfiltered.difficulty.find(option => option.value === 'Easy').count;
+        expect(stateTotal).toBe(easyTotal);
+        expect(facets.difficulty.every(option => option.count <= unfiltered.difficulty.find(o => o.value === option.value).count)).toBe(true);
+    });
+
+    test('should bucket distance in the requested units', async () => {
+        const facets = await searchFacets(null, null, 'metric');
+
+        expect(facets.distance.unit).toBe('km');
+        expect(facets.distance.buckets[0]).toEqual({ min: 0, max: 3, count: expect.any(Number) });
+        expect(facets.distance.buckets[facets.distance.buckets.length - 1].max).toBeNull();
+        expect(facets.elevationGain.unit).toBe('m');
+    });
+
+    test('should throw BadRequestError for an invalid near filter', async () => {
+        await expect(searchFacets(null, { near: { lat: 'north' } })).rejects.toThrow(BadRequestError);
+    });
+});
+
+describe('searchTrails full text search', () => {
+    test('should match partial words as prefixes', async () => {
+        const result = await searchTrails('Huntsv', 1, 10);
+
+        expect(result.trails.length).toBeGreaterThan(0);
+        result.trails.forEach(trail => expect(trail.city).toBe('Huntsville'));
+    });
+
+    test('should match feature names', async () => {
+        const result = await searchTrails('waterfall', 1, 50);
+
+        expect(result.trails.length).toBeGreaterThan(0);
+        result.trails.forEach(trail => expect(trail.features).toContain('Waterfall'));
+    });
+
+    test('should fall back to similar words for misspellings', async () => {
+        const result = await searchTrails('watrfall', 1, 50);
+
+        expect(result.trails.length).toBeGreaterThan(0);
+        expect(result.trails[0].features).toContain('Waterfall');
+    });
+
+    test('should fall back to similar words when only trails outside the filters match', async () => {
+        await db.query(`INSERT INTO trails (name, city, state) VALUES ('Bridgewater Crossing', 'Newport', 'RI'), ('Bridgwater Crossing', 'Stowe', 'VT')`);
+
+        const result = await searchTrails('bridgewater', 1, 10, { state: 'VT' });
+        expect(result.trails.map(trail => trail.name)).toEqual(['Bridgwater Crossing']);
+
+        await db.query(`DELETE FROM trails WHERE name IN ('Bridgewater Crossing', 'Bridgwater Crossing')`);
+    });
+
+    test('should rank name matches above description matches', async () => {
+        await db.query(`UPDATE trails SET description = 'Shares a creek with Trail 5' WHERE id = 6`);
+        const result = await searchTrails('Trail 5', 1, 10);
+
+        expect(result.trails[0].id).toBe(5);
+        await db.query(`UPDATE trails SET description = 'Description 6' WHERE id = 6`);
+    });
+
+    test('should pick up features added after the trail', async () => {
+        const feature = await db.query(`INSERT INTO features (feature_name) VALUES ('Petroglyphs') RETURNING id`);
+        await db.query(`INSERT INTO trail_features (trail_id, feature_id) VALUES (3, $1)`, [feature.rows[0].id]);
+
+        const result = await searchTrails('petroglyph', 1, 10);
+        expect(result.trails.map(trail => trail.id)).toEqual([3]);
+
+        await db.query(`DELETE FROM trail_features WHERE feature_id = $1`, [feature.rows[0].id]);
+        await db.query(`DELETE FROM features WHERE id = $1`, [feature.rows[0].id]);
+        expect((await searchTrails('petroglyph', 1, 10)).trails).toEqual([]);
+    });
+});
+
+describe('autocomplete', () => {
+    test('should suggest trails by name with filters for searchTrails', async () => {
+        const suggestions = await autocomplete('Trail 1', 20);
+        const trail = suggestions.find(suggestion => suggestion.type === 'trail' && suggestion.label === 'Trail 1');
+
+        expect(suggestions[0].label).toBe('Trail 1');
+        expect(trail).toEqual({ type: 'trail', label: 'Trail 1', trailId: 1, filters: { name: 'Trail 1', state: 'AL' } });
+
+        const result = await searchTrails(null, 1, 10, trail.filters);
+        expect(result.trails.map(t => t.id)).toEqual([1]);
+    });
+
+    test('should suggest "City, ST" places', async () => {
+        const suggestions = await autocomplete('hunts');
+
+        expect(suggestions).toContainEqual({ type: 'place', label: 'Huntsville, AL', filters: { city: 'Huntsville', state: 'AL' } });
+    });
+
+    test('should match state names to their code', async () => {
+        const suggestions = await autocomplete('colorado');
+
+        expect(suggestions[0]).toEqual({ type: 'place', label: 'Colorado', filters: { state: 'CO' } });
+        expect(suggestions).toContainEqual({ type: 'place', label: 'Denver, CO', filters: { city: 'Denver', state: 'CO' } });
+    });
+
+    test('should suggest features and land managers', async () => {
+        expect(await autocomplete('water')).toContainEqual({ type: 'feature', label: 'Waterfall', filters: { features: ['Waterfall'] } });
+        expect(await autocomplete('manager 2')).toContainEqual({ type: 'landManager', label: 'Manager 2', filters: { landManager: 'Manager 2' } });
+    });
+
+    test('should return nothing for a single character', async () => {
+        expect(await autocomplete('t')).toEqual([]);
+    });
+
+    test('should throw BadRequestError without q or with a bad limit', async () => {
+        await expect(autocomplete(undefined)).rejects.toThrow(BadRequestError);
+        await expect(autocomplete('trail', 50)).rejects.toThrow(BadRequestError);
+    });
+});
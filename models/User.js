@@ -1,7 +1,10 @@
 const pool = require('../dbPool');
-const { DatabaseError, UnauthorizedError, NotFoundError } = require('../expressError');
+const { DatabaseError, UnauthorizedError, NotFoundError, BadRequestError } = require('../expressError');
 const { createToken } = require('../helpers/tokens');
 const argon2 = require("argon2");
+const Badge = require('./Badge');
+const { normalizeUnit, statUnits } = require('../helpers/units');
+const { encodeCursor, decodeCursor, pageLimit } = require('../helpers/pagination');
 
 const allUserData = `
     id,
@@ -14,11 +17,33 @@ const allUserData = `
     created_at AS "createdAt",
     updated_at AS "updatedAt",
     active,
-    acct_type AS "acctType"
+    acct_type AS "acctType",
+    role,
+    unit_preference AS "unitPreference"
+`
+
+const roles = ["user", "moderator", "admin"];
+
+// groupBy options for getUserStats, option => group expression
+const statsGroupBy = new Map([
+    ["month", `to_char(ct.date_completed, 'YYYY-MM')`],
+    ["year", `to_char(ct.date_completed, 'YYYY')`],
+    ["state", `t.state`],
+    ["difficulty", `t.difficulty`]
+]);
+
+// completed_trails columns for a hike log entry, moving_time is in minutes.
+const completedLogData = `
+    id,
+    to_char(date_completed, 'YYYY-MM-DD') AS "dateCompleted",
+    moving_time AS "movingTime",
+    notes,
+    companions,
+    is_public AS "isPublic"
 `
 
 class User {
-    constructor({ id, username, passwordHash, firstName, lastName, email, profileImagePath, createdAt, updatedAt, active, acctType }) {
+    constructor({ id, username, passwordHash, firstName, lastName, email, profileImagePath, createdAt, updatedAt, active, acctType, role, unitPreference }) {
         this.id = id;
         this.username = username;
         this.passwordHash = passwordHash;
@@ -30,6 +55,8 @@ class User {
         this.updatedAt = updatedAt;
         this.active = active;
         this.acctType = acctType;
+        this.role = role;
+        this.unitPreference = unitPreference;
     }
 
 
@@ -40,7 +67,7 @@ class User {
      * @param {string} username - The username of the user.
      * @param {string} password - The password of the user.
      * @returns {User}- User instance
-     * @throws {UnauthorizedError} If username not found or password is not a match
+     * @throws {UnauthorizedError} If username not found, password is not a match or the account is deactivated.
      */
     static async authenticate(username, password) {
         const db = await pool.connect();
@@ -49,15 +76,19 @@ class User {
             const user = await this.findByUsername(username);
 
             if (user) {
+                let isMatch = false;
                 try {
-                    const isMatch = await argon2.verify(user.passwordHash, password)
-                    if (isMatch) {
-                        delete user.passwordHash;
-                        return user;
-                    }
+                    isMatch = await argon2.verify(user.passwordHash, password)
                 } catch (e) {
                     console.error(e)
                 }
+                if (isMatch) {
+                    if (!user.active) {
+                        throw new UnauthorizedError("Account has been deactivated.")
+                    }
+                    delete user.passwordHash;
+                    return user;
+                }
             }
             throw new UnauthorizedError("Invalid username / password.")
 
@@ -177,12 +208,13 @@ class User {
             if (updatedData.password !== undefined) {
                 user.passwordHash = await argon2.hash(updatedData.password);
             }
-            const { username, firstName, lastName, email, profileImagePath } = updatedData;
+            const { username, firstName, lastName, email, profileImagePath, unitPreference } = updatedData;
             user.username = username || user.username
             user.firstName = firstName || user.firstName;
             user.lastName = lastName || user.lastName;
             user.email = email || user.email;
             user.profileImagePath = profileImagePath || user.profileImagePath;
+            user.unitPreference = unitPreference || user.unitPreference;
 
 
             const updatedUser = await this.update(user);
@@ -206,7 +238,7 @@ class User {
      * @throws {DatabaseError} - If database transaction error.
      */
     static async update(user) {
-        const { id, username, passwordHash, firstName, lastName, email, profileImagePath } = user;
+        const { id, username, passwordHash, firstName, lastName, email, profileImagePath, unitPreference } = user;
         const db = await pool.connect();
         try {
             const res = await db.query(`
@@ -217,10 +249,11 @@ class User {
                     last_name = $4,
                     email = $5,
                     profile_image_path = $6,
+                    unit_preference = COALESCE($7, unit_preference),
                     updated_at = CURRENT_TIMESTAMP
-                    WHERE id = $7
+                    WHERE id = $8
                     RETURNING ${allUserData}
-                `, [username, passwordHash, firstName, lastName, email, profileImagePath, id]);
+                `, [username, passwordHash, firstName, lastName, email, profileImagePath, unitPreference, id]);
 
             return new User(res.rows[0])
         } catch (e) {
@@ -232,28 +265,62 @@ class User {
     }
 
     /**
-   * Retrieves trails a user has on their wish list. 
+   * Retrieves trails a user has on their wish list, in the order they were added.
    * 
    * @param {number} userId -User id of the user to get wish list for.
+   * @param {string} [unit="imperial"] - imperial or metric, system of measure for trail stats.
    * @returns {array} - Array of trail_id's in user's wishlist or empty array if none.
    * @throws {DatabaseError} If there is an error retrieving the trail_ids from the database.
    */
-    static async getWishList(userId) {
+    static async getWishList(userId, unit = "imperial") {
+        const { trails } = await User.getWishListPage(userId, unit);
+        return trails;
+    }
+
+    /**
+   * A page of the user's wish list, in the order trails were added.
+   * 
+   * @param {number} userId
+   * @param {string} [unit="imperial"] - imperial or metric, system of measure for trail stats.
+   * @param {object} options - {cursor, limit, withCount}, cursor is nextCursor from the previous page.
+   *  Without a limit every trail after the cursor is returned.
+   * @returns {object} {trails, nextCursor: null on the last page, totalCount (withCount only)}
+   * @throws {BadRequestError} If the cursor or limit is not valid.
+   * @throws {DatabaseError} If there is an error retrieving the trail_ids from the database.
+   */
+    static async getWishListPage(userId, unit = "imperial", { cursor = null, limit = null, withCount = false } = {}) {
+        const pageSize = pageLimit(limit, null);
+        const after = cursor ? decodeCursor(cursor, { id: "integer" }) : null;
+
         const db = await pool.connect()
         const Trail = require('./Trail')
         try {
+            // one extra row tells us if there is a next page
             const result = await db.query(`
-                    SELECT trail_id FROM wanted_trails WHERE user_id = $1
-                `, [userId])
+                    SELECT id, trail_id FROM wanted_trails
+                    WHERE user_id = $1
+                    AND ($2::int IS NULL OR id > $2)
+                    ORDER BY id
+                    LIMIT $3
+                `, [userId, after && after.id, pageSize && pageSize + 1])
+
+            const wishlistRows = pageSize ? result.rows.slice(0, pageSize) : result.rows;
+            const nextCursor = result.rows.length > wishlistRows.length
+                ? encodeCursor({ id: wishlistRows[wishlistRows.length - 1].id })
+                : null;
+            const page = { nextCursor };
+            if (withCount) {
+                const countResult = await db.query(`SELECT COUNT(*)::int AS total_count FROM wanted_trails WHERE user_id = $1`, [userId]);
+                page.totalCount = countResult.rows[0].total_count;
+            }
 
-            // const userTrails = result.rows  //array of objects
-            // const trailIds = userTrails.map((obj) => (obj.trail_id))
-            // const completedTrails = await Trail.getFullTrailsByIds(trailIds, userId)
-            const wishlistTrails = result.rows;
-            const trailIds = wishlistTrails.map((obj) => (obj.trail_id));
-            const wishList = await Trail.getFullTrailsByIds(trailIds, userId);
+            const trailIds = wishlistRows.map((obj) => (obj.trail_id));
+            if (trailIds.length === 0) {
+                return { ...page, trails: [] };
+            }
+            const trails = await Trail.getFullTrailsByIds(trailIds, userId, unit);
 
-            return wishList
+            return { ...page, trails }
         } catch (e) {
             console.error(e);
             throw new DatabaseError(`Unable to retrive wishlist for user ${userId}: ${e.message}`)
@@ -353,27 +420,90 @@ class User {
     /**
     * Retrieves trails that the user has completed adds user specific completion
     * data to the full trail object and returns the full trail.
+    * Each trail includes a log of every time the user completed it, newest first,
+    * and trails are ordered by their most recent completion.
     * 
     * @param {number} userId - User id of the searched user.
+    * @param {string} [unit="imperial"] - imperial or metric, system of measure for trail stats.
     * @returns {Promise<Array><Object>} - A promise that resolves to an array of trail object contianing the trail data or an empty array if no completed trails.
+    * @example [{id, name, ..., log: [{id, dateCompleted, movingTime, notes, companions, isPublic}]}]
     * @throws {DatabaseError} - If there is an error retrieving the completed trails from the database.
     */
-    static async getCompleted(userId) {
+    static async getCompleted(userId, unit = "imperial") {
+        const { trails } = await User.getCompletedPage(userId, unit);
+        return trails;
+    }
+
+    /**
+    * A page of the user's completed trails, see getCompleted. Trails are paged by their most recent
+    * completion, each trail's log always has every completion.
+    * 
+    * @param {number} userId
+    * @param {string} [unit="imperial"] - imperial or metric, system of measure for trail stats.
+    * @param {object} options - {cursor, limit, withCount}, cursor is nextCursor from the previous page.
+    *  Without a limit every trail after the cursor is returned.
+    * @returns {object} {trails, nextCursor: null on the last page, totalCount (withCount only)}
+    * @throws {BadRequestError} If the cursor or limit is not valid.
+    * @throws {DatabaseError} - If there is an error retrieving the completed trails from the database.
+    */
+    static async getCompletedPage(userId, unit = "imperial", { cursor = null, limit = null, withCount = false } = {}) {
+        const pageSize = pageLimit(limit, null);
+        const after = cursor ? decodeCursor(cursor, { date: "date", id: "integer" }) : null;
+
         const Trail = require('./Trail')
         const db = await pool.connect();
         try {
+            // latest completion of each trail, one extra row tells us if there is a next page
+            const latestResult = await db.query(`
+                SELECT trail_id, date_completed::text AS date_completed, id
+                FROM (
+                    SELECT DISTINCT ON (trail_id) trail_id, date_completed, id
+                    FROM completed_trails
+                    WHERE user_id = $1
+                    ORDER BY trail_id, date_completed DESC, id DESC
+                ) latest
+                WHERE $2::date IS NULL OR (date_completed, id) < ($2::date, $3::int)
+                ORDER BY latest.date_completed DESC, id DESC
+                LIMIT $4
+            `, [userId, after && after.date, after && after.id, pageSize && pageSize + 1])
+
+            const latestRows = pageSize ? latestResult.rows.slice(0, pageSize) : latestResult.rows;
+            const last = latestRows[latestRows.length - 1];
+            const nextCursor = latestResult.rows.length > latestRows.length
+                ? encodeCursor({ date: last.date_completed, id: last.id })
+                : null;
+            const page = { nextCursor };
+            if (withCount) {
+                const countResult = await db.query(`
+                    SELECT COUNT(DISTINCT trail_id)::int AS total_count FROM completed_trails WHERE user_id = $1
+                `, [userId]);
+                page.totalCount = countResult.rows[0].total_count;
+            }
+
+            const trailIds = latestRows.map(row => row.trail_id)
+            if (trailIds.length === 0) return { ...page, trails: [] }
+
             const result = await db.query(`
                 SELECT 
-                    trail_id
+                    trail_id,
+                    ${completedLogData}
                 FROM completed_trails
                 WHERE user_id = $1
-            `, [userId])
+                AND trail_id = ANY($2::int[])
+                ORDER BY date_completed DESC, id DESC
+            `, [userId, trailIds])
+
+            const logMap = new Map(trailIds.map(trailId => [trailId, []]));
+            result.rows.forEach(({ trail_id, ...entry }) => {
+                logMap.get(trail_id).push(entry);
+            });
 
-            const userTrails = result.rows  //array of objects
-            const trailIds = userTrails.map((obj) => (obj.trail_id))
-            const completedTrails = await Trail.getFullTrailsByIds(trailIds, userId)
+            const completedTrails = await Trail.getFullTrailsByIds(trailIds, userId, unit)
+            completedTrails.forEach(trail => {
+                trail.log = logMap.get(trail.id)
+            })
 
-            return completedTrails
+            return { ...page, trails: completedTrails }
         } catch (e) {
             console.error(e)
             throw new DatabaseError(`Error retrieving completed trails for user ${userId}: ${e.message}`);
@@ -406,20 +536,76 @@ class User {
 
 
 
-    //initial implementation does not utilize date_completed
-    static async addCompleted(userId, trailId) {
+    /**
+     * Logs a completion of a trail. A trail can be completed any number of times,
+     * each completion is its own log entry.
+     *
+     * @param {number} userId
+     * @param {number} trailId
+     * @param {Object} [log] {dateCompleted, movingTime, notes, companions, isPublic} matching schemas/completedTrail.json
+     * dateCompleted defaults to today, movingTime is in minutes and entries are private unless isPublic is true.
+     * @returns {Object} The log entry {id, dateCompleted, movingTime, notes, companions, isPublic, newBadges}
+     * newBadges lists any badges earned with this completion (see Badge.awardBadges).
+     * @throws {NotFoundError} If the trail does not exist.
+     * @throws {DatabaseError} If the entry fails to save.
+     */
+    static async addCompleted(userId, trailId, log = {}) {
         const db = await pool.connect();
 
         try {
+            const { dateCompleted = null, movingTime = null, notes = null, companions = [], isPublic = false } = log;
 
             const result = await db.query(`
                     INSERT into completed_trails
-                    (user_id, trail_id)
-                    VALUES ($1,$2)
-                    RETURNING id
-                `, [userId, trailId]);
+                    (user_id, trail_id, date_completed, moving_time, notes, companions, is_public)
+                    VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7)
+                    RETURNING ${completedLogData}
+                `, [userId, trailId, dateCompleted, movingTime, notes, companions, isPublic]);
+
+            // The completion is saved even if badges cannot be awarded, they are re-evaluated on the next completion.
+            let newBadges = [];
+            try {
+                newBadges = await Badge.awardBadges(userId);
+            } catch (badgeError) {
+                console.error(badgeError);
+            }
+
+            return { ...result.rows[0], newBadges }
+        } catch (e) {
+            console.error(e);
+            if (e.code === '23503') {
+                throw new NotFoundError(`Trail ${trailId} not found.`)
+            } else {
+                throw new DatabaseError(`Error adding trail to completed list ${e.message}`)
+            }
+
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Removes a trail from the users completed list, every log entry for the trail is deleted.
+     *
+     * @param {number} userId
+     * @param {number} trailId
+     * @returns {number} trailId
+     * @throws {NotFoundError} If the user has not completed the trail.
+     */
+    static async deleteCompleted(userId, trailId) {
+        const db = await pool.connect();
+        try {
+
+            const result = await db.query(`
+                    DELETE from completed_trails
+                    WHERE user_id = $1
+                    AND trail_id = $2
+                    RETURNING trail_id
+                `, [userId, trailId])
 
-            return result.rows[0].id
+            if (result.rows.length === 0) throw new NotFoundError(`Trail ${trailId} not found on completed list.`)
+
+            return result.rows[0].trail_id;
         } catch (e) {
             console.error(e);
             if (e instanceof NotFoundError) {
@@ -433,7 +619,16 @@ class User {
         }
     }
 
-    static async deleteCompleted(userId, trailId) {
+    /**
+     * Removes a single log entry, other completions of the trail are kept.
+     *
+     * @param {number} userId
+     * @param {number} trailId
+     * @param {number} logId - completed_trails id.
+     * @returns {number} logId
+     * @throws {NotFoundError} If the entry is not found for the user and trail.
+     */
+    static async deleteCompletedEntry(userId, trailId, logId) {
         const db = await pool.connect();
         try {
 
@@ -441,18 +636,19 @@ class User {
                     DELETE from completed_trails
                     WHERE user_id = $1
                     AND trail_id = $2
+                    AND id = $3
                     RETURNING id
-                `, [userId, trailId])
+                `, [userId, trailId, logId])
 
-            const deletedId = result.rows[0].id
+            if (result.rows.length === 0) throw new NotFoundError(`Completed log entry ${logId} not found.`)
 
-            return deletedId;
+            return result.rows[0].id;
         } catch (e) {
             console.error(e);
             if (e instanceof NotFoundError) {
                 throw e;
             } else {
-                throw new DatabaseError(`Error removing trail from completed list ${e.message}`)
+                throw new DatabaseError(`Error removing completed log entry ${e.message}`)
             }
 
         } finally {
@@ -460,28 +656,331 @@ class User {
         }
     }
 
-    static async getUserStats(userId, unit = 'imperial') {
+    /**
+     * Adds or replaces a user's rating for a trail, a user has one rating per trail.
+     *
+     * @param {number} userId
+     * @param {number} trailId
+     * @param {number} rating - 1 to 5
+     * @returns {Object} {trailId, rating}
+     * @throws {NotFoundError} If the trail does not exist.
+     * @throws {DatabaseError} If the rating fails to save.
+     */
+    static async rateTrail(userId, trailId, rating) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    INSERT INTO ratings
+                    (user_id, trail_id, rating)
+                    VALUES ($1,$2,$3)
+                    ON CONFLICT (user_id, trail_id)
+                    DO UPDATE SET rating = EXCLUDED.rating
+                    RETURNING trail_id AS "trailId", rating
+                `, [userId, trailId, rating]);
+
+            return result.rows[0];
+        } catch (e) {
+            console.error(e);
+            if (e.code === '23503') {
+                throw new NotFoundError(`Trail ${trailId} not found.`);
+            }
+            throw new DatabaseError(`Error saving rating for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Removes a user's rating for a trail.
+     *
+     * @param {number} userId
+     * @param {number} trailId
+     * @returns {number} trailId of the deleted rating.
+     * @throws {NotFoundError} If the user has not rated the trail.
+     * @throws {DatabaseError} If the delete fails.
+     */
+    static async deleteRating(userId, trailId) {
+        const db = await pool.connect();
+        try {
+            const result = await db.query(`
+                    DELETE FROM ratings
+                    WHERE user_id = $1
+                    AND trail_id = $2
+                    RETURNING trail_id
+                `, [userId, trailId]);
+
+            if (result.rows.length === 0) throw new NotFoundError(`Rating for trail ${trailId} not found.`);
+
+            return result.rows[0].trail_id;
+        } catch (e) {
+            console.error(e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(`Error removing rating for trail ${trailId}: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Totals, personal records and optional breakdowns for the trails a user has completed.
+     * Completions are filtered by their dateCompleted when from / to are provided.
+     *
+     * @param {number} userId
+     * @param {string} [unit="imperial"] - imperial (miles / feet) or metric (km / meters).
+     * @param {Object} [options] {from, to, groupBy}
+     * from / to - YYYY-MM-DD, inclusive.
+     * groupBy - month, year, state or difficulty, adds a breakdown array.
+     * @returns {Object}
+     * @example {
+     *      totalDistance: 42.5, highestElevation: 9800, totalElevationGain: 6200, trailsCompleted: 9, hikes: 11, totalMovingTime: 840,
+     *      unit: "imperial", units: {totalDistance: "mi", highestElevation: "ft", totalElevationGain: "ft", totalMovingTime: "min"},
+     *      from: "2024-01-01", to: "2024-12-31",
+     *      personalRecords: {
+     *          longestHike: {trailId, name, dateCompleted, distance},
+     *          biggestDayElevationGain: {date, elevationGain, hikes},
+     *          steepestTrail: {trailId, name, dateCompleted, maxGradePercent}
+     *      },
+     *      breakdown: [{group: "2024-06", totalDistance, totalElevationGain, trailsCompleted, hikes}]
+     *  }
+     * @throws {BadRequestError} If unit, dates or groupBy are not valid.
+     * @throws {DatabaseError} If there is an error retrieving stats.
+     */
+    static async getUserStats(userId, unit = 'imperial', { from, to, groupBy } = {}) {
+        unit = normalizeUnit(unit);
+        for (const date of [from, to]) {
+            if (date !== undefined && !isValidDate(date)) {
+                throw new BadRequestError(`Dates must be formatted YYYY-MM-DD, received ${date}`);
+            }
+        }
+        if (from && to && from > to) {
+            throw new BadRequestError("from must be on or before to.");
+        }
+        if (groupBy !== undefined && !statsGroupBy.has(groupBy)) {
+            throw new BadRequestError(`groupBy must be one of: ${[...statsGroupBy.keys()].join(", ")}`);
+        }
+
         const db = await pool.connect();
         try {
+            const params = [userId];
+            let dateClause = "";
+            if (from) {
+                params.push(from);
+                dateClause += ` AND ct.date_completed >= $${params.length}`;
+            }
+            if (to) {
+                params.push(to);
+                dateClause += ` AND ct.date_completed <= $${params.length}`;
+            }
+
+            const completedJoins = `
+                FROM completed_trails ct
+                JOIN trails t ON ct.trail_id = t.id
+                LEFT JOIN trail_stats ts ON ct.trail_id = ts.trail_id
+                WHERE ct.user_id = $1 ${dateClause}
+            `;
 
             const result = await db.query(`
-                    SELECT SUM(distance_${unit}) AS "totalDistance",
-                    MAX(elevation_high_${unit}) AS "highestElevation",
-                    SUM(elevation_gain_${unit}) AS "totalElevationGain",
-                    COUNT(ct.trail_id) AS "trailsCompleted"
-                    FROM trail_stats ts
-                    JOIN completed_trails ct
-                    ON ts.trail_id = ct.trail_id
-                    WHERE ct.user_id = $1
-                `, [userId])
-
-            return result.rows[0]
+                    SELECT SUM(ts.distance_${unit}) AS "totalDistance",
+                    MAX(ts.elevation_high_${unit}) AS "highestElevation",
+                    SUM(ts.elevation_gain_${unit}) AS "totalElevationGain",
+                    COUNT(DISTINCT ct.trail_id)::int AS "trailsCompleted",
+                    COUNT(ct.id)::int AS "hikes",
+                    SUM(ct.moving_time)::int AS "totalMovingTime"
+                    ${completedJoins}
+                `, params)
+
+            const labels = statUnits(unit);
+            const userStats = {
+                ...result.rows[0],
+                unit,
+                units: {
+                    totalDistance: labels.distance,
+                    highestElevation: labels.elevationHigh,
+                    totalElevationGain: labels.elevationGain,
+                    totalMovingTime: "min"
+                },
+                from: from || null,
+                to: to || null
+            };
+
+            const longestHike = await db.query(`
+                    SELECT ct.trail_id AS "trailId",
+                    t.name,
+                    to_char(ct.date_completed, 'YYYY-MM-DD') AS "dateCompleted",
+                    ts.distance_${unit} AS "distance"
+                    ${completedJoins}
+                    AND ts.distance_${unit} IS NOT NULL
+                    ORDER BY ts.distance_${unit} DESC, ct.date_completed
+                    LIMIT 1
+                `, params)
+
+            const biggestDay = await db.query(`
+                    SELECT to_char(ct.date_completed, 'YYYY-MM-DD') AS "date",
+                    SUM(ts.elevation_gain_${unit}) AS "elevationGain",
+                    COUNT(ct.id)::int AS "hikes"
+                    ${completedJoins}
+                    AND ts.elevation_gain_${unit} IS NOT NULL
+                    GROUP BY ct.date_completed
+                    ORDER BY SUM(ts.elevation_gain_${unit}) DESC, ct.date_completed
+                    LIMIT 1
+                `, params)
+
+            const steepestTrail = await db.query(`
+                    SELECT ct.trail_id AS "trailId",
+                    t.name,
+                    to_char(ct.date_completed, 'YYYY-MM-DD') AS "dateCompleted",
+                    ts.max_grade_percent AS "maxGradePercent"
+                    ${completedJoins}
+                    AND ts.max_grade_percent IS NOT NULL
+                    ORDER BY ts.max_grade_percent DESC, ct.date_completed
+                    LIMIT 1
+                `, params)
+
+            userStats.personalRecords = {
+                longestHike: longestHike.rows[0] || null,
+                biggestDayElevationGain: biggestDay.rows[0] || null,
+                steepestTrail: steepestTrail.rows[0] || null
+            };
+
+            if (groupBy) {
+                const breakdown = await db.query(`
+                        SELECT ${statsGroupBy.get(groupBy)} AS "group",
+                        SUM(ts.distance_${unit}) AS "totalDistance",
+                        SUM(ts.elevation_gain_${unit}) AS "totalElevationGain",
+                        COUNT(DISTINCT ct.trail_id)::int AS "trailsCompleted",
+                        COUNT(ct.id)::int AS "hikes"
+                        ${completedJoins}
+                        GROUP BY 1
+                        ORDER BY 1
+                    `, params)
+                userStats.breakdown = breakdown.rows;
+            }
+
+            return userStats
+        } catch (e) {
+            console.error(e);
+            throw new DatabaseError(`Error fetching user stats: ${e.message}`);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Lists all users for the admin console, password hashes are not included.
+     * @param {Object} [filters] {role:(string), active:(boolean)} - optional filters.
+     * @returns {Array<User>} - Instances of each user, ordered by username.
+     * @throws {DatabaseError} If database transaction error.
+     */
+    static async findAll({ role, active } = {}) {
+        const db = await pool.connect();
+        try {
+            const params = [];
+            const where = [];
+            if (role) {
+                params.push(role);
+                where.push(`role = $${params.length}`);
+            }
+            if (active !== undefined) {
+                params.push(active);
+                where.push(`active = $${params.length}`);
+            }
+            const whereClause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+
+            const res = await db.query(`
+                    SELECT ${allUserData}
+                    FROM users
+                    ${whereClause}
+                    ORDER BY username
+                `, params);
+
+            return res.rows.map((row) => {
+                const user = new User(row);
+                delete user.passwordHash;
+                return user;
+            });
+        } catch (e) {
+            throw new DatabaseError(e.message);
+        } finally {
+            db.release();
+        }
+    }
+
+    /**
+     * Activates or deactivates a user through the active flag.
+     * Deactivated users can no longer log in.
+     * @param {string} username
+     * @param {boolean} active
+     * @returns {User} - Instance of the updated user, without password hash.
+     * @throws {NotFoundError} If username not found.
+     * @throws {DatabaseError} If database transaction error.
+     */
+    static async setActive(username, active) {
+        const db = await pool.connect();
+        try {
+            const res = await db.query(`
+                    UPDATE users
+                    SET active = $1,
+                    updated_at = CURRENT_TIMESTAMP
+                    WHERE username = $2
+                    RETURNING ${allUserData}
+                `, [active, username]);
+
+            if (res.rows.length === 0) throw new NotFoundError(`Username ${username} not found.`);
+
+            const user = new User(res.rows[0]);
+            delete user.passwordHash;
+            return user;
         } catch (e) {
-            throw new DatabaseError('Error fetching user stats:', e);
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(e.message);
         } finally {
             db.release();
         }
     }
+
+    /**
+     * Promotes or demotes a user. The new role takes effect on the user's next request.
+     * @param {string} username
+     * @param {string} role - user || moderator || admin
+     * @returns {User} - Instance of the updated user, without password hash.
+     * @throws {BadRequestError} If role is not valid.
+     * @throws {NotFoundError} If username not found.
+     * @throws {DatabaseError} If database transaction error.
+     */
+    static async setRole(username, role) {
+        if (!roles.includes(role)) {
+            throw new BadRequestError(`Role must be one of: ${roles.join(", ")}`);
+        }
+
+        const db = await pool.connect();
+        try {
+            const res = await db.query(`
+                    UPDATE users
+                    SET role = $1,
+                    updated_at = CURRENT_TIMESTAMP
+                    WHERE username = $2
+                    RETURNING ${allUserData}
+                `, [role, username]);
+
+            if (res.rows.length === 0) throw new NotFoundError(`Username ${username} not found.`);
+
+            const user = new User(res.rows[0]);
+            delete user.passwordHash;
+            return user;
+        } catch (e) {
+            if (e instanceof NotFoundError) {
+                throw e;
+            }
+            throw new DatabaseError(e.message);
+        } finally {
+            db.release();
+        }
+    }
+
     /**
    * Deletes a user from the database
    * @param {String} username 
@@ -517,5 +1016,11 @@ class User {
     }
 }
 
+/** True for a real calendar date formatted YYYY-MM-DD. */
+function isValidDate(date) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed) && parsed.toISOString().startsWith(date);
+}
 
 module.exports = User;
\ No newline at end of file
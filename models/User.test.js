@@ -1,7 +1,7 @@
 // user.test.js
 const db = require('../dbPool');
 const User = require('./User');
-const { DatabaseError, UnauthorizedError, NotFoundError } = require('../expressError');
+const { DatabaseError, UnauthorizedError, NotFoundError, BadRequestError } = require('../expressError');
 const argon2 = require('argon2');
 
 beforeAll(async () => {
@@ -223,3 +223,62 @@ describe('User.delete', () => {
 
 
 
+
+
+describe('User roles and active flag', () => {
+    beforeAll(async () => {
+        await User.create({
+            username: 'roleuser',
+            password: 'rolepassword',
+            firstName: 'Role',
+            lastName: 'User',
+            email: 'roleuser@example.com',
+            profileImagePath: '/images/roleuser.jpg',
+            acctType: 'local'
+        });
+    });
+
+    test('new users default to the user role', async () => {
+        const user = await User.findByUsername('roleuser');
+        expect(user.role).toBe('user');
+    });
+
+    test('setRole should promote a user', async () => {
+        const user = await User.setRole('roleuser', 'moderator');
+        expect(user.role).toBe('moderator');
+        expect(user.passwordHash).toBeUndefined();
+    });
+
+    test('setRole should reject unknown roles', async () => {
+        try {
+            await User.setRole('roleuser', 'superuser');
+        } catch (err) {
+            expect(err instanceof BadRequestError).toBeTruthy();
+        }
+    });
+
+    test('findAll should filter by role', async () => {
+        const users = await User.findAll({ role: 'moderator' });
+        expect(users.map(u => u.username)).toEqual(['roleuser']);
+    });
+
+    test('setActive should deactivate a user and block login', async () => {
+        const user = await User.setActive('roleuser', false);
+        expect(user.active).toBe(false);
+
+        try {
+            await User.authenticate('roleuser', 'rolepassword');
+        } catch (err) {
+            expect(err instanceof UnauthorizedError).toBeTruthy();
+            expect(err.message).toBe('Account has been deactivated.');
+        }
+    });
+
+    test('setActive should throw NotFoundError for unknown users', async () => {
+        try {
+            await User.setActive('nobody', false);
+        } catch (err) {
+            expect(err instanceof NotFoundError).toBeTruthy();
+        }
+    });
+});
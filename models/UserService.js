@@ -22,6 +22,9 @@ class UserService {
         const { providerName, providerUserId, email, firstName, lastName, profileImagePath, accessToken, refreshToken } = obj
 
         let user = await User.findByEmail(email);
+        if (user && user.active === false) {
+            throw new UnauthorizedError("Account has been deactivated.");
+        }
         if (!user) {
             user = await User.create({
                 username: email.split('@')[0],
@@ -0,0 +1,25 @@
+"use strict";
+
+const jwt = require("jsonwebtoken");
+const { SECRET_KEY } = require("../config");
+const User = require("../models/User");
+
+// Users behind the tokens signed with signToken, keyed by id.
+const tokenUsers = new Map();
+
+/** Signs a token for a route test and records its user as an active user with the
+ *  given role and units, since authenticateJWT reads them from the users row.
+ *  Test files using it must jest.mock("../models/User").
+ *
+ *  @param {object} user - {id, username, role, units}, only id and username go in the token.
+ *  @param {object} [overrides] - Overrides for the stored user, e.g. {active: false} or {unitPreference: "metric"}.
+ *  @returns {string} The signed token.
+ */
+
+function signToken({ id, username, role, units }, overrides = {}) {
+    tokenUsers.set(id, { id, username, role, unitPreference: units, active: true, ...overrides });
+    User.findById.mockImplementation(async userId => tokenUsers.get(userId) || null);
+    return jwt.sign({ id, username }, SECRET_KEY);
+}
+
+module.exports = { signToken };
@@ -0,0 +1,82 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const router = new express.Router();
+const userRoleSchema = require('../schemas/userRole.json');
+const userActiveSchema = require('../schemas/userActive.json');
+const { BadRequestError } = require('../expressError');
+const { ensureAdmin } = require("../middleware/auth");
+const User = require("../models/User");
+
+
+/**
+ * GET /admin/users?role=moderator&active=true
+ * Auth required: admin
+ * Lists users, optionally filtered by role and / or active flag.
+ * Returns: {users: [{id, username, firstName, lastName, email, profileImagePath, createdAt, updatedAt, active, acctType, role}]}
+ */
+router.get('/users', ensureAdmin, async function (req, res, next) {
+    try {
+        const { role } = req.query;
+        const active = req.query.active === undefined ? undefined : req.query.active === "true";
+        const users = await User.findAll({ role, active });
+        return res.json({ users });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * PATCH /admin/users/:username/active {active}
+ * Auth required: admin
+ * Activates or deactivates a user account. Deactivated users can no longer log in.
+ * Returns: {user}
+ * @throws {BadRequestError} If body is invalid or an admin tries to deactivate themselves.
+ */
+router.patch('/users/:username/active', ensureAdmin, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, userActiveSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+        if (req.params.username === res.locals.user.username) {
+            throw new BadRequestError("Admins cannot change their own active status.");
+        }
+
+        const user = await User.setActive(req.params.username, req.body.active);
+        return res.json({ user });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * PATCH /admin/users/:username/role {role}
+ * Auth required: admin
+ * Promotes or demotes a user to user, moderator or admin.
+ * The new role applies from the user's next request.
+ * Returns: {user}
+ * @throws {BadRequestError} If body is invalid or an admin tries to change their own role.
+ */
+router.patch('/users/:username/role', ensureAdmin, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, userRoleSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+        if (req.params.username === res.locals.user.username) {
+            throw new BadRequestError("Admins cannot change their own role.");
+        }
+
+        const user = await User.setRole(req.params.username, req.body.role);
+        return res.json({ user });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+
+module.exports = router;
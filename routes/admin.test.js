@@ -0,0 +1,141 @@
+const request = require("supertest");
+const app = require("../app");
+const User = require("../models/User");
+const { signToken } = require("./_testCommon");
+const { NotFoundError } = require("../expressError");
+
+jest.mock("../models/User");
+
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    adminToken = signToken({ id: 1, username: "adminuser", role: "admin" });
+    userToken = signToken({ id: 2, username: "testuser", role: "user" });
+});
+
+afterEach(async () => {
+    jest.clearAllMocks();
+});
+
+describe("GET /admin/users", () => {
+    test("works: admin lists users", async () => {
+        User.findAll.mockResolvedValue([{ username: "adminuser" }, { username: "testuser" }]);
+
+        const response = await request(app).get("/admin/users")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .query({ active: "false" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.users).toHaveLength(2);
+        expect(User.findAll).toHaveBeenCalledWith({ role: undefined, active: false });
+    });
+
+    test("forbidden: not an admin", async () => {
+        const response = await request(app).get("/admin/users")
+            .set("Authorization", `Bearer ${userToken}`);
+
+        expect(response.statusCode).toBe(403);
+    });
+
+    test("unauth: not logged in", async () => {
+        const response = await request(app).get("/admin/users");
+
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("PATCH /admin/users/:username/active", () => {
+    test("works: deactivates a user", async () => {
+        User.setActive.mockResolvedValue({ username: "testuser", active: false });
+
+        const response = await request(app).patch("/admin/users/testuser/active")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ active: false });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.user).toEqual({ username: "testuser", active: false });
+        expect(User.setActive).toHaveBeenCalledWith("testuser", false);
+    });
+
+    test("fails: invalid body", async () => {
+        const response = await request(app).patch("/admin/users/testuser/active")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ active: "no" });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: admin deactivating themselves", async () => {
+        const response = await request(app).patch("/admin/users/adminuser/active")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ active: false });
+
+        expect(response.statusCode).toBe(400);
+        expect(User.setActive).not.toHaveBeenCalled();
+    });
+
+    test("fails: user not found", async () => {
+        User.setActive.mockRejectedValue(new NotFoundError("Username nope not found."));
+
+        const response = await request(app).patch("/admin/users/nope/active")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ active: false });
+
+        expect(response.statusCode).toBe(404);
+    });
+});
+
+describe("PATCH /admin/users/:username/role", () => {
+    test("works: promotes a user", async () => {
+        User.setRole.mockResolvedValue({ username: "testuser", role: "moderator" });
+
+        const response = await request(app).patch("/admin/users/testuser/role")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ role: "moderator" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.user.role).toBe("moderator");
+        expect(User.setRole).toHaveBeenCalledWith("testuser", "moderator");
+    });
+
+    test("fails: unknown role", async () => {
+        const response = await request(app).patch("/admin/users/testuser/role")
+            .set("Authorization", `Bearer ${adminToken}`)
+            .send({ role: "superuser" });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("forbidden: not an admin", async () => {
+        const response = await request(app).patch("/admin/users/testuser/role")
+            .set("Authorization", `Bearer ${userToken}`)
+            .send({ role: "admin" });
+
+        expect(response.statusCode).toBe(403);
+    });
+});
+
+describe("tokens issued before an admin change", () => {
+    test("unauth: deactivated user's old token", async () => {
+        const oldToken = signToken({ id: 3, username: "gone", role: "admin" }, { active: false });
+
+        const response = await request(app).get("/admin/users")
+            .set("Authorization", `Bearer ${oldToken}`);
+
+        expect(response.statusCode).toBe(401);
+        expect(User.findAll).not.toHaveBeenCalled();
+    });
+
+    test("forbidden: demoted admin's old token", async () => {
+        const oldToken = signToken({ id: 4, username: "demoted", role: "admin" }, { role: "user" });
+
+        const response = await request(app).get("/admin/users")
+            .set("Authorization", `Bearer ${oldToken}`);
+
+        expect(response.statusCode).toBe(403);
+        expect(User.findAll).not.toHaveBeenCalled();
+    });
+});
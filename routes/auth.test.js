@@ -22,7 +22,7 @@ describe("Auth Routes", () => {
 
     describe("POST /auth/login", () => {
         test("works: valid login", async () => {
-            User.authenticate.mockResolvedValue({ username: "testuser", isAdmin: false });
+            User.authenticate.mockResolvedValue({ id: 1, username: "testuser", role: "admin", unitPreference: "metric" });
 
             const response = await request(app)
                 .post("/auth/login")
@@ -31,6 +31,8 @@ describe("Auth Routes", () => {
             expect(response.statusCode).toBe(200);
             const { token } = response.body;
             expect(jwt.verify(token, SECRET_KEY)).toEqual(expect.objectContaining({ username: "testuser" }));
+            expect(jwt.verify(token, SECRET_KEY)).not.toHaveProperty("role");
+            expect(jwt.verify(token, SECRET_KEY)).not.toHaveProperty("units");
         });
 
         test("fails: invalid request body", async () => {
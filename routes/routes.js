@@ -0,0 +1,96 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const router = new express.Router();
+const routePlanSchema = require("../schemas/routePlan.json");
+const newRouteSchema = require("../schemas/newRoute.json");
+const { BadRequestError } = require("../expressError");
+const { ensureLoggedIn } = require("../middleware/auth");
+const CustomRoute = require("../models/CustomRoute");
+
+// Multi-trail hikes. Routes are planned from trail polylines, trails connect where their ends meet within 50 meters.
+// Saved routes belong to the user who saved them, see /users/:username/routes for wishlist and completions.
+
+/**
+ * POST /routes/plan {start: {lat, lng}, trailIds} or {start: {lat, lng}, targetDistance}
+ * Auth required: Logged in
+ * Plans a route starting on the trail end nearest the start point (within 1 km). With trailIds the route
+ * follows the trails in order, each walked in whichever direction connects to the one before it.
+ * With targetDistance (mi / km by units) nearby connected trails are searched for the route closest to it.
+ * Elevation is measured from the polylines when every trail has elevation, otherwise summed from trail stats.
+ * Returns: {route: {start, legs: [{trailId, name, reversed}], geometry: {type: "LineString", coordinates},
+ *  distance, elevationGain, elevationLoss, elevationSource, units}}
+ * @throws {BadRequestError} If the body is invalid, the trails do not connect or no trail starts near the start point.
+ * @throws {NotFoundError} If a trail is not found or has no polyline.
+ */
+router.post('/plan', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, routePlanSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const route = await CustomRoute.plan(req.body, res.locals.units);
+        return res.json({ route });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /routes {name, start: {lat, lng}, trailIds}
+ * Auth required: Logged in
+ * Saves a route to the user's account, planned from the trails in order as in POST /routes/plan.
+ * Returns: {route: {id, name, start, legs, geometry, distance, elevationGain, elevationLoss, elevationSource,
+ *  units, isWishList, isComplete, log, createdAt}}
+ * @throws {BadRequestError} If the body is invalid or the trails do not connect.
+ */
+router.post('/', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, newRouteSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const route = await CustomRoute.create(res.locals.user.id, req.body, res.locals.units);
+        return res.status(201).json({ route });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /routes/:id
+ * Auth required: Logged in, routes are only visible to the user who saved them
+ * Returns: {route} - see POST /routes
+ * @throws {NotFoundError} If the user has no route with the id.
+ */
+router.get('/:id', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const route = await CustomRoute.get(res.locals.user.id, req.params.id, res.locals.units);
+        return res.json({ route });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /routes/:id
+ * Auth required: Logged in, the user who saved the route
+ * Deletes the route and its completion log.
+ * Returns: {deleted: routeId}
+ * @throws {NotFoundError} If the user has no route with the id.
+ */
+router.delete('/:id', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const deletedId = await CustomRoute.remove(res.locals.user.id, req.params.id);
+        return res.json({ deleted: deletedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,159 @@
+const request = require("supertest");
+const app = require("../app");
+const CustomRoute = require("../models/CustomRoute");
+const { signToken } = require("./_testCommon");
+const { BadRequestError, NotFoundError } = require("../expressError");
+
+jest.mock("../models/CustomRoute");
+jest.mock("../models/User");
+
+let testToken;
+
+const plannedRoute = {
+    start: { lat: 34.7, lng: -86.6 },
+    legs: [{ trailId: 1, name: "Trail 1", reversed: false }, { trailId: 2, name: "Trail 2", reversed: true }],
+    geometry: { type: "LineString", coordinates: [[-86.6, 34.7], [-86.59, 34.7], [-86.58, 34.7]] },
+    distance: 1.14,
+    elevationGain: 164,
+    elevationLoss: 66,
+    elevationSource: "polyline",
+    units: { distance: "mi", elevationGain: "ft", elevationLoss: "ft" }
+};
+
+beforeAll(() => {
+    process.env.NODE_ENV = 'test';
+    testToken = signToken({ id: 1, username: "testuser", role: "user" });
+});
+
+afterEach(() => {
+    jest.clearAllMocks();
+});
+
+describe("POST /routes/plan", () => {
+    test("works: plans through a list of trails", async () => {
+        CustomRoute.plan.mockResolvedValue(plannedRoute);
+        const body = { start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] };
+
+        const response = await request(app).post("/routes/plan")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(body);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.route).toEqual(plannedRoute);
+        expect(CustomRoute.plan).toHaveBeenCalledWith(body, "imperial");
+    });
+
+    test("works: plans to a target distance in metric units", async () => {
+        CustomRoute.plan.mockResolvedValue(plannedRoute);
+        const body = { start: { lat: 34.7, lng: -86.6 }, targetDistance: 5 };
+
+        const response = await request(app).post("/routes/plan").query({ units: "metric" })
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(body);
+
+        expect(response.statusCode).toBe(200);
+        expect(CustomRoute.plan).toHaveBeenCalledWith(body, "metric");
+    });
+
+    test("fails: both trailIds and targetDistance", async () => {
+        const response = await request(app).post("/routes/plan")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1], targetDistance: 5 });
+
+        expect(response.statusCode).toBe(400);
+        expect(CustomRoute.plan).not.toHaveBeenCalled();
+    });
+
+    test("fails: no start point", async () => {
+        const response = await request(app).post("/routes/plan")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ trailIds: [1, 2] });
+
+        expect(response.statusCode).toBe(400);
+        expect(CustomRoute.plan).not.toHaveBeenCalled();
+    });
+
+    test("fails: trails do not connect", async () => {
+        CustomRoute.plan.mockRejectedValue(new BadRequestError("Trail 4 does not connect to trail 1 within 50 meters."));
+
+        const response = await request(app).post("/routes/plan")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 4] });
+
+        expect(response.statusCode).toBe(400);
+        expect(response.body.error.message).toContain("does not connect");
+    });
+
+    test("unauth: not logged in", async () => {
+        const response = await request(app).post("/routes/plan")
+            .send({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] });
+
+        expect(response.statusCode).toBe(401);
+        expect(CustomRoute.plan).not.toHaveBeenCalled();
+    });
+});
+
+describe("POST /routes", () => {
+    test("works: saves a route for the logged in user", async () => {
+        CustomRoute.create.mockResolvedValue({ id: 1, name: "Creek loop", ...plannedRoute });
+        const body = { name: "Creek loop", start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] };
+
+        const response = await request(app).post("/routes")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(body);
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.route.id).toBe(1);
+        expect(CustomRoute.create).toHaveBeenCalledWith(1, body, "imperial");
+    });
+
+    test("fails: no name", async () => {
+        const response = await request(app).post("/routes")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] });
+
+        expect(response.statusCode).toBe(400);
+        expect(CustomRoute.create).not.toHaveBeenCalled();
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).post("/routes")
+            .send({ name: "Creek loop", start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] });
+
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("GET /routes/:id", () => {
+    test("works: returns the user's route", async () => {
+        CustomRoute.get.mockResolvedValue({ id: 1, name: "Creek loop", ...plannedRoute });
+
+        const response = await request(app).get("/routes/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(CustomRoute.get).toHaveBeenCalledWith(1, "1", "imperial");
+    });
+
+    test("fails: another user's route", async () => {
+        CustomRoute.get.mockRejectedValue(new NotFoundError("Route 2 not found."));
+
+        const response = await request(app).get("/routes/2")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(404);
+    });
+});
+
+describe("DELETE /routes/:id", () => {
+    test("works: deletes the user's route", async () => {
+        CustomRoute.remove.mockResolvedValue(1);
+
+        const response = await request(app).delete("/routes/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deleted: 1 });
+        expect(CustomRoute.remove).toHaveBeenCalledWith(1, "1");
+    });
+});
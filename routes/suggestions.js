@@ -0,0 +1,90 @@
+"use strict";
+
+const jsonschema = require("jsonschema");
+const express = require("express");
+const router = new express.Router();
+const suggestionReviewSchema = require('../schemas/suggestionReview.json');
+const { BadRequestError } = require('../expressError');
+const { requireRole } = require("../middleware/auth");
+const TrailEditSuggestion = require("../models/TrailEditSuggestion");
+
+// Moderation queue for trail edits suggested through POST /trails/:id/suggestions.
+const ensureModerator = requireRole("moderator", "admin");
+
+/**
+ * GET /suggestions?status=pending&trailId=1
+ * Auth required: moderator or admin
+ * Lists suggested trail edits, oldest first. Status defaults to pending.
+ * Returns: {suggestions: [{id, trailId, trailName, userId, username, changes, note, status, reviewedBy, reviewedAt, reviewNote, createdAt}]}
+ */
+router.get('/', ensureModerator, async function (req, res, next) {
+    try {
+        const { status, trailId } = req.query;
+        const suggestions = await TrailEditSuggestion.findAll(status, trailId);
+        return res.json({ suggestions });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /suggestions/:id
+ * Auth required: moderator or admin
+ * Gets a suggestion with a field by field diff against the trail's current data.
+ * Returns: {suggestion: {..., diff: [{field, current, proposed, changed}]}}
+ */
+router.get('/:id', ensureModerator, async function (req, res, next) {
+    try {
+        const suggestion = await TrailEditSuggestion.getWithDiff(req.params.id);
+        return res.json({ suggestion });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /suggestions/:id/approve {note}
+ * Auth required: moderator or admin
+ * Applies the suggested changes to the trail and marks the suggestion approved.
+ * Returns: {suggestion, trail}
+ * @throws {BadRequestError} If the suggestion has already been reviewed.
+ */
+router.post('/:id/approve', ensureModerator, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, suggestionReviewSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const { suggestion, trail } = await TrailEditSuggestion.approve(req.params.id, res.locals.user.id, req.body.note);
+        return res.json({ suggestion, trail });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /suggestions/:id/reject {note}
+ * Auth required: moderator or admin
+ * Marks the suggestion rejected, the trail is not changed.
+ * Returns: {suggestion}
+ * @throws {BadRequestError} If the suggestion has already been reviewed.
+ */
+router.post('/:id/reject', ensureModerator, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, suggestionReviewSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const suggestion = await TrailEditSuggestion.reject(req.params.id, res.locals.user.id, req.body.note);
+        return res.json({ suggestion });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+
+module.exports = router;
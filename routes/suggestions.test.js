@@ -0,0 +1,124 @@
+const request = require("supertest");
+const app = require("../app");
+const TrailEditSuggestion = require("../models/TrailEditSuggestion");
+const { signToken } = require("./_testCommon");
+const { BadRequestError } = require("../expressError");
+
+jest.mock("../models/TrailEditSuggestion");
+jest.mock("../models/User");
+
+
+let testToken;
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+    testToken = signToken({ id: 2, username: "moduser", role: "moderator" });
+});
+
+afterEach(async () => {
+    jest.clearAllMocks();
+});
+
+describe("GET /suggestions", () => {
+    test("works: lists pending suggestions", async () => {
+        TrailEditSuggestion.findAll.mockResolvedValue([{ id: 1, status: "pending" }]);
+
+        const response = await request(app).get("/suggestions")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.suggestions).toEqual([{ id: 1, status: "pending" }]);
+    });
+
+    test("works: passes status and trailId filters", async () => {
+        TrailEditSuggestion.findAll.mockResolvedValue([]);
+
+        await request(app).get("/suggestions")
+            .set("Authorization", `Bearer ${testToken}`)
+            .query({ status: "approved", trailId: 3 });
+
+        expect(TrailEditSuggestion.findAll).toHaveBeenCalledWith("approved", "3");
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).get("/suggestions");
+        expect(response.statusCode).toBe(401);
+    });
+
+    test("fails: not a moderator", async () => {
+        const userToken = signToken({ id: 3, username: "hiker", role: "user" });
+        const response = await request(app).get("/suggestions")
+            .set("Authorization", `Bearer ${userToken}`);
+        expect(response.statusCode).toBe(403);
+    });
+});
+
+describe("GET /suggestions/:id", () => {
+    test("works: returns suggestion with diff", async () => {
+        const suggestion = {
+            id: 1,
+            changes: { dogs: "Leashed" },
+            diff: [{ field: "dogs", current: "Unknown", proposed: "Leashed", changed: true }]
+        };
+        TrailEditSuggestion.getWithDiff.mockResolvedValue(suggestion);
+
+        const response = await request(app).get("/suggestions/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.suggestion).toEqual(suggestion);
+    });
+});
+
+describe("POST /suggestions/:id/approve", () => {
+    test("works: approves and records reviewer", async () => {
+        TrailEditSuggestion.approve.mockResolvedValue({
+            suggestion: { id: 1, status: "approved", reviewedBy: 2 },
+            trail: { id: 1, dogsAllowed: "Leashed" }
+        });
+
+        const response = await request(app).post("/suggestions/1/approve")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ note: "Confirmed with land manager" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.suggestion.status).toBe("approved");
+        expect(response.body.trail).toEqual({ id: 1, dogsAllowed: "Leashed" });
+        expect(TrailEditSuggestion.approve).toHaveBeenCalledWith("1", 2, "Confirmed with land manager");
+    });
+
+    test("fails: already reviewed", async () => {
+        TrailEditSuggestion.approve.mockRejectedValue(new BadRequestError("Suggestion 1 has already been rejected."));
+
+        const response = await request(app).post("/suggestions/1/approve")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).post("/suggestions/1/approve");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("POST /suggestions/:id/reject", () => {
+    test("works: rejects suggestion", async () => {
+        TrailEditSuggestion.reject.mockResolvedValue({ id: 1, status: "rejected", reviewedBy: 2 });
+
+        const response = await request(app).post("/suggestions/1/reject")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({});
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.suggestion.status).toBe("rejected");
+    });
+
+    test("fails: invalid body", async () => {
+        const response = await request(app).post("/suggestions/1/reject")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ note: 5 });
+
+        expect(response.statusCode).toBe(400);
+    });
+});
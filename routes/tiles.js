@@ -0,0 +1,38 @@
+"use strict";
+
+const express = require("express");
+const router = new express.Router();
+const Trail = require("../models/Trail");
+
+// Vector tiles for the map, an alternative to GET /trails/bbox for large areas.
+
+/**
+ * GET /tiles/trails/:z/:x/:y.mvt
+ * Auth required: None
+ * Mapbox Vector Tile of trail polylines in a single "trails" layer.
+ * Each feature has id, name, difficulty, type, distanceMi and distanceKm attributes.
+ * Tiles are cached on disk until a trail in them changes, X-Tile-Cache reports HIT or MISS.
+ * Browsers and CDNs revalidate every request with the ETag (no-cache), so edits show up right away.
+ * Returns: application/vnd.mapbox-vector-tile, or 204 when the tile has no trails.
+ */
+router.get('/trails/:z/:x/:y.mvt', async function (req, res, next) {
+    try {
+        const { z, x, y } = req.params;
+        const { tile, cached } = await Trail.getTrailTile(z, x, y);
+
+        res.set({
+            "Cache-Control": "public, no-cache",
+            "X-Tile-Cache": cached ? "HIT" : "MISS"
+        });
+        if (tile.length === 0) {
+            return res.status(204).end();
+        }
+
+        // res.send adds an ETag and answers If-None-Match with 304
+        return res.type("application/vnd.mapbox-vector-tile").send(tile);
+    } catch (e) {
+        return next(e);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const request = require("supertest");
+const app = require("../app");
+const Trail = require("../models/Trail");
+const { BadRequestError } = require("../expressError");
+
+jest.mock("../models/Trail");
+
+
+beforeAll(async () => {
+    process.env.NODE_ENV = 'test';
+});
+
+afterEach(async () => {
+    jest.clearAllMocks();
+});
+
+describe("GET /tiles/trails/:z/:x/:y.mvt", () => {
+    const tile = Buffer.from([0x1a, 0x05, 0x0a, 0x03, 0x74, 0x72, 0x6c]);
+
+    test("works: returns a vector tile with caching headers", async () => {
+        Trail.getTrailTile.mockResolvedValue({ tile, cached: false });
+
+        const response = await request(app).get("/tiles/trails/10/265/406.mvt");
+
+        expect(response.statusCode).toBe(200);
+        expect(Trail.getTrailTile).toHaveBeenCalledWith("10", "265", "406");
+        expect(response.headers["content-type"]).toContain("application/vnd.mapbox-vector-tile");
+        expect(response.headers["cache-control"]).toBe("public, no-cache");
+        expect(response.headers["x-tile-cache"]).toBe("MISS");
+        expect(response.headers["etag"]).toBeDefined();
+    });
+
+    test("works: reports cached tiles", async () => {
+        Trail.getTrailTile.mockResolvedValue({ tile, cached: true });
+
+        const response = await request(app).get("/tiles/trails/10/265/406.mvt");
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers["x-tile-cache"]).toBe("HIT");
+    });
+
+    test("works: 304 when the tile has not changed", async () => {
+        Trail.getTrailTile.mockResolvedValue({ tile, cached: true });
+
+        const first = await request(app).get("/tiles/trails/10/265/406.mvt");
+        const response = await request(app).get("/tiles/trails/10/265/406.mvt")
+            .set("If-None-Match", first.headers["etag"]);
+
+        expect(response.statusCode).toBe(304);
+    });
+
+    test("works: revalidation returns the new tile after a trail changes", async () => {
+        Trail.getTrailTile.mockResolvedValue({ tile, cached: true });
+        const first = await request(app).get("/tiles/trails/10/265/406.mvt");
+
+        const changed = Buffer.from([0x1a, 0x05, 0x0a, 0x03, 0x74, 0x72, 0x6d]);
+        Trail.getTrailTile.mockResolvedValue({ tile: changed, cached: false });
+        const response = await request(app).get("/tiles/trails/10/265/406.mvt")
+            .set("If-None-Match", first.headers["etag"]);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers["etag"]).not.toBe(first.headers["etag"]);
+    });
+
+    test("works: 204 for a tile with no trails", async () => {
+        Trail.getTrailTile.mockResolvedValue({ tile: Buffer.alloc(0), cached: false });
+
+        const response = await request(app).get("/tiles/trails/3/0/0.mvt");
+
+        expect(response.statusCode).toBe(204);
+    });
+
+    test("fails: 400 for an invalid tile", async () => {
+        Trail.getTrailTile.mockRejectedValue(new BadRequestError("Tile 3/9/0 is not valid."));
+
+        const response = await request(app).get("/tiles/trails/3/9/0.mvt");
+
+        expect(response.statusCode).toBe(400);
+    });
+});
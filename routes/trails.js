@@ -1,25 +1,54 @@
 const jsonschema = require("jsonschema");
 const express = require("express");
+const multer = require('multer');
 const router = new express.Router();
 const newTrailSchema = require('../schemas/newTrail.json');
 const updateTrailSchema = require('../schemas/updateTrail.json');
+const newSuggestionSchema = require('../schemas/newSuggestion.json');
+const newReviewSchema = require('../schemas/newReview.json');
+const updateReviewSchema = require('../schemas/updateReview.json');
+const newTrailPointSchema = require('../schemas/newTrailPoint.json');
+const updateTrailPointSchema = require('../schemas/updateTrailPoint.json');
 const Trail = require('../models/Trail');
-const { searchTrails } = require('../models/TrailSearch');
-const { ensureCurrUser, ensureLoggedIn } = require("../middleware/auth");
+const TrailEditSuggestion = require('../models/TrailEditSuggestion');
+const Review = require('../models/Review');
+const TrailPoint = require('../models/TrailPoint');
+const { searchTrails, searchFacets, autocomplete } = require('../models/TrailSearch');
+const { BadRequestError, NotFoundError } = require('../expressError');
+const { ensureCurrUser, ensureLoggedIn, requireRole } = require("../middleware/auth");
 const { searchTrailByName } = require('../helpers/maps')
+const { exportTypes, exportFileName, trailsToGpx, trailToKml } = require('../helpers/trailExport');
+const { parseTrack } = require('../helpers/tracks');
+
+// Track files are parsed straight from memory, unlike image uploads they are not kept on disk.
+const trackUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+/** Accepts a single "file" upload, multer errors (e.g. file too large) are returned as 400s. */
+function uploadTrack(req, res, next) {
+    trackUpload.single('file')(req, res, function (err) {
+        if (err instanceof multer.MulterError) {
+            return next(new BadRequestError(err.message));
+        }
+        return next(err);
+    });
+}
 
 /**
  * GET /search
  * Auth required: None
- * Returns a list of trails that meet the search parameters
+ * Returns a list of trails that meet the search parameters.
+ * sort is an option from searchTrails (relevance, nearest, distance, elevationGain, difficulty, rating, name, newest)
+ * with an optional :asc / :desc direction, e.g. sort=distance:desc
+ * Pages with ?limit= (default 10) and ?cursor= (nextCursor from the previous page), ?withCount=true adds totalCount.
+ * Returns: {result: {trails: [...], nextCursor, totalCount}}
  */
 router.get('/search', async function (req, res, next) {
     try {
 
-        const { searchTerm, page, limit } = req.query
+        const { searchTerm, page, limit, sort, cursor, withCount } = req.query
         const filters = req.query.filters ? JSON.parse(req.query.filters) : null
 
-        const result = await searchTrails(searchTerm, page, limit, filters, userId = null)
+        const result = await searchTrails(searchTerm, page, limit, filters, null, res.locals.units, sort, { cursor, withCount: withCount === "true" })
 
 
         return res.json({ result });
@@ -30,19 +59,38 @@ router.get('/search', async function (req, res, next) {
 
 });
 
+/**
+ * GET /search/facets
+ * Auth required: None
+ * Counts for the filter sidebar under the same searchTerm and filters as /search. Each facet is counted
+ * without its own filter so other options show how many trails they would return, features keep the
+ * features filter as they are AND-ed. Histogram buckets are in mi / ft or km / m by units.
+ * Returns: {facets: {features, difficulty, type, state, dogsAllowed: [{value, count}],
+ *  distance, elevationGain: {unit, buckets: [{min, max, count}]}}}
+ */
+router.get('/search/facets', async function (req, res, next) {
+    try {
+        const filters = req.query.filters ? JSON.parse(req.query.filters) : null
+        const facets = await searchFacets(req.query.searchTerm, filters, res.locals.units)
+        return res.json({ facets })
+    } catch (e) {
+        return next(e);
+    }
+});
+
 /**
  * GET /search/username
  * Auth required: current logged in user
  * Passes the current user to searchTrails which adds in wishlist and completed data
- * to the result. 
+ * to the result. Takes the same query parameters as /search.
  */
 router.get('/search/:username', ensureCurrUser, async function (req, res, next) {
     try {
 
-        const { searchTerm, page, limit } = req.query
+        const { searchTerm, page, limit, sort, cursor, withCount } = req.query
         const filters = req.query.filters ? JSON.parse(req.query.filters) : null
         const userId = res.locals.user.id
-        const result = await searchTrails(searchTerm, page, limit, filters, userId)
+        const result = await searchTrails(searchTerm, page, limit, filters, userId, res.locals.units, sort, { cursor, withCount: withCount === "true" })
 
 
         return res.json({ result });
@@ -53,6 +101,88 @@ router.get('/search/:username', ensureCurrUser, async function (req, res, next)
 
 });
 
+/**
+ * POST /trails
+ * Auth required: moderator or admin
+ * Adds a new trail along with its stats and features. Features not already in
+ * the features table are created.
+ * Body: see schemas/newTrail.json
+ * Returns: {trail} - full trail object, same shape as GET /trails/:id
+ * @throws {BadRequestError} If the body is invalid or the trail already exists (name + state).
+ */
+router.post('/', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, newTrailSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const trail = await Trail.addTrail(req.body);
+        return res.status(201).json({ trail });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+
+/**
+ * GET /trails/nearby?lat=34.73&lng=-86.58&radius=10&limit=10&cursor=
+ * Auth required: None
+ * Trails with any part of their polyline within radius (miles, or km with metric units, default 25)
+ * of the point, closest first. Each trail includes distanceAway and distanceAwayUnit.
+ * Pages like /search, ?withCount=true adds totalCount.
+ * Returns: {result: {trails: [...], nextCursor, totalCount}}
+ * @throws {BadRequestError} If lat / lng are missing or out of range, or the radius is not valid.
+ */
+router.get('/nearby', async function (req, res, next) {
+    try {
+        const { lat, lng, radius, page, limit, cursor, withCount } = req.query
+        const result = await searchTrails(null, page, limit, { near: { lat, lng, radius } }, null, res.locals.units, "nearest", { cursor, withCount: withCount === "true" })
+        return res.json({ result })
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/bbox?minLng=-87&minLat=34&maxLng=-86&maxLat=35&zoom=10
+ * Auth required: None
+ * Trails whose polyline intersects the map viewport as a GeoJSON FeatureCollection, with
+ * id, name and difficulty properties. Geometry is simplified for the zoom level. Replaces
+ * looking up coordinates by id with GET /trails/coords/:ids.
+ * Returns: {type: "FeatureCollection", features: [...], tooManyResults, maxResults}
+ * tooManyResults is true, with no features, when the viewport has more than maxResults trails.
+ * @throws {BadRequestError} If the bounding box or zoom are not valid.
+ */
+router.get('/bbox', async function (req, res, next) {
+    try {
+        const { minLng, minLat, maxLng, maxLat, zoom } = req.query
+        const featureCollection = await Trail.getTrailsInBbox({ minLng, minLat, maxLng, maxLat, zoom })
+        return res.json(featureCollection)
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/autocomplete?q=colo&limit=8
+ * Auth required: None
+ * Search box suggestions, best match first: trail names, places ("City, ST" or a state, state names
+ * like "colorado" match their code), land managers and feature names. q shorter than 2 characters returns none.
+ * Each suggestion's filters can be sent as is to /trails/search as ?filters=JSON.
+ * Returns: {suggestions: [{type: "trail" | "place" | "landManager" | "feature", label, filters, trailId (trails only)}]}
+ * @throws {BadRequestError} If q is missing or limit is not 1 to 20.
+ */
+router.get('/autocomplete', async function (req, res, next) {
+    try {
+        const { q, limit } = req.query
+        const suggestions = await autocomplete(q, limit)
+        return res.json({ suggestions })
+    } catch (e) {
+        return next(e);
+    }
+});
 
 /**
  * GET /trails/ids
@@ -61,7 +191,7 @@ router.get('/search/:username', ensureCurrUser, async function (req, res, next)
  */
 router.get('/:id', async function (req, res, next) {
     try {
-        const trail = await Trail.getFullTrailsByIds([req.params.id])
+        const trail = await Trail.getFullTrailsByIds([req.params.id], null, res.locals.units)
         return res.json({ trail })
     } catch (e) {
         console.error(e)
@@ -69,6 +199,329 @@ router.get('/:id', async function (req, res, next) {
     }
 });
 
+/**
+ * PATCH /trails/:id
+ * Auth required: moderator or admin
+ * Partially updates a trail. Any trail field or stat can be updated, if features
+ * are provided they replace the trail's current feature list.
+ * Body: see schemas/updateTrail.json
+ * Returns: {trail} - full updated trail object
+ * @throws {BadRequestError} If the body is invalid or empty.
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.patch('/:id', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, updateTrailSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const trail = await Trail.updateTrail(req.body, req.params.id);
+        return res.json({ trail });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /trails/:id
+ * Auth required: moderator or admin
+ * Deletes a trail along with its stats, images, features, polyline, ratings,
+ * and any wishlist / completed entries for it.
+ * Returns: {deleted: trailId}
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.delete('/:id', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const deletedTrail = await Trail.deleteTrail(req.params.id);
+        return res.json({ deleted: deletedTrail.id });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * PUT /trails/:id/polyline
+ * Auth required: moderator or admin
+ * Creates or replaces the trail's polyline from an uploaded GPX, KML or GeoJSON file (multipart field "file", 10MB max).
+ * The file must hold a single line / track segment. Distance is recomputed from the track, and elevation high, low,
+ * gain, loss and average / max grade too when the track has elevation.
+ * Returns: {trail} - full updated trail object
+ * @throws {BadRequestError} If no file is uploaded, or it is malformed or has more than one line.
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.put('/:id/polyline', requireRole("moderator", "admin"), uploadTrack, async function (req, res, next) {
+    try {
+        if (!req.file) {
+            throw new BadRequestError("No file uploaded");
+        }
+        const coordinates = parseTrack(req.file.buffer, req.file.originalname);
+        const trail = await Trail.savePolyline(req.params.id, coordinates, res.locals.units);
+        return res.json({ trail });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /trails/:id/suggestions {changes, note}
+ * Auth required: Logged in
+ * Suggests an edit to a trail. changes can contain any trail field, stat or the
+ * feature list (see schemas/updateTrail.json). The suggestion is stored as pending
+ * until a moderator approves or rejects it.
+ * Returns: {suggestion}
+ * @throws {BadRequestError} If the body or changes are invalid.
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.post('/:id/suggestions', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, newSuggestionSchema);
+        const changesValidator = jsonschema.validate(req.body.changes || {}, updateTrailSchema);
+        if (!validator.valid || !changesValidator.valid) {
+            const errors = [...validator.errors, ...changesValidator.errors].map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const suggestion = await TrailEditSuggestion.create(req.params.id, res.locals.user.id, req.body.changes, req.body.note);
+        return res.status(201).json({ suggestion });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/:id/reviews?page=1&limit=10&sort=newest
+ * Auth required: None
+ * Lists a trail's reviews, sort is newest (default) or helpful.
+ * Returns: {totalCount, reviews: [{id, trailId, userId, username, profileImagePath, body, visitDate, conditions, helpfulCount, createdAt, updatedAt}]}
+ */
+router.get('/:id/reviews', async function (req, res, next) {
+    try {
+        const { page, limit, sort } = req.query;
+        const result = await Review.findByTrail(req.params.id, { page, limit, sort });
+        return res.json(result);
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /trails/:id/reviews {body, visitDate, conditions}
+ * Auth required: Logged in
+ * Adds a review of the trail (see schemas/newReview.json for the condition tags).
+ * Returns: {review}
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.post('/:id/reviews', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, newReviewSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const review = await Review.create(req.params.id, res.locals.user.id, req.body);
+        return res.status(201).json({ review });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * PATCH /trails/:id/reviews/:reviewId {body, visitDate, conditions}
+ * Auth required: Logged in, author of the review
+ * Returns: {review}
+ * @throws {ForbiddenError} If the review belongs to another user.
+ * @throws {NotFoundError} If the review is not on trail :id.
+ */
+router.patch('/:id/reviews/:reviewId', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, updateReviewSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const review = await Review.update(req.params.id, req.params.reviewId, res.locals.user.id, req.body);
+        return res.json({ review });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /trails/:id/reviews/:reviewId
+ * Auth required: Logged in, author of the review
+ * Returns: {deleted: reviewId}
+ * @throws {ForbiddenError} If the review belongs to another user.
+ * @throws {NotFoundError} If the review is not on trail :id.
+ */
+router.delete('/:id/reviews/:reviewId', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const deleted = await Review.remove(req.params.id, req.params.reviewId, res.locals.user.id);
+        return res.json({ deleted });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /trails/:id/reviews/:reviewId/helpful
+ * Auth required: Logged in
+ * Marks a review as helpful, used for sort=helpful.
+ * Returns: {review}
+ */
+router.post('/:id/reviews/:reviewId/helpful', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const review = await Review.addHelpfulVote(req.params.reviewId, res.locals.user.id);
+        return res.json({ review });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /trails/:id/reviews/:reviewId/helpful
+ * Auth required: Logged in
+ * Removes the user's helpful vote.
+ * Returns: {review}
+ */
+router.delete('/:id/reviews/:reviewId/helpful', ensureLoggedIn, async function (req, res, next) {
+    try {
+        const review = await Review.removeHelpfulVote(req.params.reviewId, res.locals.user.id);
+        return res.json({ review });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/:id/points
+ * Auth required: None
+ * Lists the trail's trailheads, parking, water sources, campsites, viewpoints and hazards, trailheads first.
+ * Trailhead and parking points include directions links for Google Maps, Apple Maps and Waze.
+ * Returns: {type: "FeatureCollection", features: [{type: "Feature", id, geometry: {type: "Point", coordinates: [lng, lat]},
+ *  properties: {id, trailId, type, name, notes, createdAt, directions: {google, apple, waze}}}]}
+ */
+router.get('/:id/points', async function (req, res, next) {
+    try {
+        const points = await TrailPoint.findByTrail(req.params.id);
+        return res.json(points);
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /trails/:id/points {type, name, notes, lat, lng}
+ * Auth required: moderator or admin
+ * Adds a point to the trail, type is trailhead, parking, water, campsite, viewpoint or hazard.
+ * Returns: {point} - GeoJSON Feature
+ * @throws {BadRequestError} If the body is invalid.
+ * @throws {NotFoundError} If the trail id is not found.
+ */
+router.post('/:id/points', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, newTrailPointSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const point = await TrailPoint.create(req.params.id, req.body);
+        return res.status(201).json({ point });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * PATCH /trails/:id/points/:pointId {type, name, notes, lat, lng}
+ * Auth required: moderator or admin
+ * Edits a point, lat and lng must be sent together.
+ * Returns: {point} - GeoJSON Feature
+ * @throws {NotFoundError} If the point is not found on the trail.
+ */
+router.patch('/:id/points/:pointId', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, updateTrailPointSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const point = await TrailPoint.update(req.params.id, req.params.pointId, req.body);
+        return res.json({ point });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /trails/:id/points/:pointId
+ * Auth required: moderator or admin
+ * Returns: {deleted: pointId}
+ * @throws {NotFoundError} If the point is not found on the trail.
+ */
+router.delete('/:id/points/:pointId', requireRole("moderator", "admin"), async function (req, res, next) {
+    try {
+        const deletedId = await TrailPoint.remove(req.params.id, req.params.pointId);
+        return res.json({ deleted: deletedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/:id/export.gpx
+ * GET /trails/:id/export.kml
+ * Auth required: None
+ * Downloads the trail's polyline with its name, description and stats for GPS devices.
+ * Stats in the description use the requested units.
+ * Returns: GPX 1.1 or KML 2.2 file as an attachment.
+ * @throws {NotFoundError} If the trail is not found or has no polyline.
+ */
+router.get('/:id/export.:format(gpx|kml)', async function (req, res, next) {
+    try {
+        const [trail] = await Trail.getFullTrailsByIds([req.params.id], null, res.locals.units)
+        if (!trail.coordinates || trail.coordinates.length === 0) {
+            throw new NotFoundError(`Trail ${req.params.id} has no map data to export.`);
+        }
+
+        const { format } = req.params;
+        const file = format === "gpx" ? trailsToGpx([trail]) : trailToKml(trail);
+        res.attachment(exportFileName(trail.name, format));
+        return res.type(exportTypes[format]).send(file);
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/:id/elevation-profile?samples=200
+ * Auth required: None
+ * Distance vs elevation along the trail's polyline at evenly spaced samples (2 - 1000, default 200),
+ * with the grade of each segment between samples, in the requested units.
+ * Elevation comes from the polyline when it has elevation, otherwise from the elevation model (source: "dem").
+ * Returns: {trailId, unit, units: {distance, elevation, grade}, source, totalDistance,
+ *  profile: [{distance, elevation}], segments: [{fromDistance, toDistance, grade}]}
+ * @throws {NotFoundError} If the trail has no polyline or no elevation data.
+ */
+router.get('/:id/elevation-profile', async function (req, res, next) {
+    try {
+        const profile = await Trail.getElevationProfile(req.params.id, req.query.samples, res.locals.units);
+        return res.json(profile);
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /trails/coords/:ids
+ * Auth required: None
+ * Deprecated, map viewports should use GET /trails/bbox.
+ */
 router.get('/coords/:ids', async function (req, res, next) {
     try {
         const coords = await Trail.getTrailCoordsByIds([req.params.ids])
@@ -81,7 +534,7 @@ router.get('/coords/:ids', async function (req, res, next) {
 router.get('/:id/:username', ensureCurrUser, async function (req, res, next) {
     try {
         const userId = res.locals.user.id
-        const trail = await Trail.getFullTrailsByIds([req.params.id], userId)
+        const trail = await Trail.getFullTrailsByIds([req.params.id], userId, res.locals.units)
         return res.json({ trail })
     } catch (e) {
         console.error(e)
@@ -89,9 +542,20 @@ router.get('/:id/:username', ensureCurrUser, async function (req, res, next) {
     }
 });
 
+/**
+ * POST /trails/map {trailName, state}
+ * Auth required: None
+ * Geocodes a trail name, optionally narrowed to a state. Lookups are cached and throttled, see helpers/geocoder.
+ * Returns: {resp: [{name, displayName, lat, lng, category, type, city, county, state, country, boundingBox, sourceId}]}
+ * @throws {BadRequestError} If trailName is missing.
+ * @throws {BadGatewayError} If the geocoding service fails.
+ */
 router.post('/map', async function (req, res, next) {
     try {
         const { trailName, state } = req.body
+        if (!trailName) {
+            throw new BadRequestError("trailName is required.");
+        }
         const resp = await searchTrailByName(trailName, state);
         return res.json({ resp })
     } catch (e) {
@@ -1,14 +1,21 @@
 const request = require("supertest");
 const app = require("../app");
 const Trail = require("../models/Trail");
-const { searchTrails } = require("../models/TrailSearch");
+const TrailEditSuggestion = require("../models/TrailEditSuggestion");
+const Review = require("../models/Review");
+const TrailPoint = require("../models/TrailPoint");
+const { searchTrails, searchFacets, autocomplete } = require("../models/TrailSearch");
 const { searchTrailByName } = require("../helpers/maps");
-const jwt = require("jsonwebtoken");
-const { SECRET_KEY } = require("../config");
+const { signToken } = require("./_testCommon");
+const { ForbiddenError, BadRequestError, NotFoundError, BadGatewayError } = require("../expressError");
 
 jest.mock("../models/Trail");
+jest.mock("../models/TrailEditSuggestion");
+jest.mock("../models/Review");
+jest.mock("../models/TrailPoint");
 jest.mock("../models/TrailSearch");
 jest.mock("../helpers/maps");
+jest.mock("../models/User");
 
 
 beforeAll(async () => {
@@ -41,6 +48,191 @@ describe("GET /trails/search", () => {
         expect(response.statusCode).toBe(200);
         expect(response.body.result).toEqual([{ id: 1, name: "Filtered Trail" }]);
     });
+
+    test("works: minRating filter sorted by rating", async () => {
+        const filters = { minRating: 4 };
+        searchTrails.mockResolvedValue([{ id: 2, name: "Top Rated Trail", avgRating: 4.5 }]);
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", page: 1, limit: 10, filters: JSON.stringify(filters), sort: "rating" });
+
+        expect(response.statusCode).toBe(200);
+        expect(searchTrails).toHaveBeenLastCalledWith("Trail", "1", "10", filters, null, "imperial", "rating", { cursor: undefined, withCount: false });
+        expect(response.body.result).toEqual([{ id: 2, name: "Top Rated Trail", avgRating: 4.5 }]);
+    });
+
+    test("works: passes the sort direction", async () => {
+        searchTrails.mockResolvedValue({ totalCount: 0, trails: [] });
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", sort: "elevationGain:desc" });
+
+        expect(response.statusCode).toBe(200);
+        expect(searchTrails).toHaveBeenLastCalledWith("Trail", undefined, undefined, null, null, "imperial", "elevationGain:desc", { cursor: undefined, withCount: false });
+    });
+
+    test("works: passes the cursor and withCount", async () => {
+        searchTrails.mockResolvedValue({ totalCount: 12, nextCursor: "eyJpZCI6Mn0", trails: [{ id: 3 }] });
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", limit: 1, cursor: "eyJpZCI6Mn0", withCount: true });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.result.nextCursor).toBe("eyJpZCI6Mn0");
+        expect(searchTrails).toHaveBeenLastCalledWith(
+            "Trail", undefined, "1", null, null, "imperial", undefined, { cursor: "eyJpZCI6Mn0", withCount: true }
+        );
+    });
+
+    test("fails: invalid cursor", async () => {
+        searchTrails.mockRejectedValue(new BadRequestError("Invalid cursor."));
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", cursor: "not-a-cursor" });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: unknown sort", async () => {
+        searchTrails.mockRejectedValue(new BadRequestError("sort must be one of: relevance, nearest, distance"));
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", sort: "popularity" });
+
+        expect(response.statusCode).toBe(400);
+    });
+});
+
+describe("GET /trails/search/facets", () => {
+    const facets = {
+        features: [{ value: "Waterfall", count: 3 }],
+        difficulty: [{ value: "Easy", count: 2 }, { value: "Moderate", count: 1 }],
+        type: [{ value: "Loop", count: 3 }],
+        state: [{ value: "AL", count: 3 }],
+        dogsAllowed: [{ value: "Unknown", count: 3 }],
+        distance: { unit: "km", buckets: [{ min: 0, max: 3, count: 1 }, { min: 30, max: null, count: 0 }] },
+        elevationGain: { unit: "m", buckets: [{ min: 0, max: 75, count: 3 }] }
+    };
+
+    test("works: counts under the search term and filters", async () => {
+        searchFacets.mockResolvedValue(facets);
+        const filters = { difficulty: ["Easy"], features: ["Waterfall"] };
+
+        const response = await request(app).get("/trails/search/facets")
+            .query({ searchTerm: "Trail", filters: JSON.stringify(filters), units: "metric" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.facets).toEqual(facets);
+        expect(searchFacets).toHaveBeenCalledWith("Trail", filters, "metric");
+        expect(searchTrails).not.toHaveBeenCalled();
+    });
+
+    test("works: no auth needed, not treated as a username", async () => {
+        searchFacets.mockResolvedValue(facets);
+
+        const response = await request(app).get("/trails/search/facets");
+
+        expect(response.statusCode).toBe(200);
+        expect(searchFacets).toHaveBeenCalledWith(undefined, null, "imperial");
+    });
+
+    test("fails: invalid near filter", async () => {
+        searchFacets.mockRejectedValue(new BadRequestError("Near searches require a numeric lat and lng."));
+
+        const response = await request(app).get("/trails/search/facets")
+            .query({ filters: JSON.stringify({ near: { lat: "north" } }) });
+
+        expect(response.statusCode).toBe(400);
+    });
+});
+
+describe("GET /trails/autocomplete", () => {
+    test("works: returns suggestions with search filters", async () => {
+        const suggestions = [
+            { type: "place", label: "Colorado", filters: { state: "CO" } },
+            { type: "place", label: "Denver, CO", filters: { city: "Denver", state: "CO" } }
+        ];
+        autocomplete.mockResolvedValue(suggestions);
+
+        const response = await request(app).get("/trails/autocomplete").query({ q: "colorado", limit: 5 });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ suggestions });
+        expect(autocomplete).toHaveBeenCalledWith("colorado", "5");
+        expect(Trail.getFullTrailsByIds).not.toHaveBeenCalled();
+    });
+
+    test("fails: missing q", async () => {
+        autocomplete.mockRejectedValue(new BadRequestError("q is required."));
+
+        const response = await request(app).get("/trails/autocomplete");
+
+        expect(response.statusCode).toBe(400);
+        expect(autocomplete).toHaveBeenCalledWith(undefined, undefined);
+    });
+});
+
+describe("GET /trails/nearby", () => {
+    test("works: near filter sorted by distance", async () => {
+        searchTrails.mockResolvedValue({ totalCount: 1, trails: [{ id: 1, distanceAway: 1.2, distanceAwayUnit: "mi" }] });
+
+        const response = await request(app).get("/trails/nearby")
+            .query({ lat: 34.73, lng: -86.58, radius: 10 });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.result.trails[0]).toEqual({ id: 1, distanceAway: 1.2, distanceAwayUnit: "mi" });
+        expect(searchTrails).toHaveBeenCalledWith(
+            null, undefined, undefined, { near: { lat: "34.73", lng: "-86.58", radius: "10" } }, null, "imperial", "nearest", { cursor: undefined, withCount: false }
+        );
+        expect(Trail.getFullTrailsByIds).not.toHaveBeenCalled();
+    });
+
+    test("fails: invalid location", async () => {
+        searchTrails.mockRejectedValue(new BadRequestError("Near searches require a numeric lat and lng."));
+
+        const response = await request(app).get("/trails/nearby").query({ lat: "north" });
+
+        expect(response.statusCode).toBe(400);
+    });
+});
+
+describe("Units for trail responses", () => {
+    test("works: units query parameter", async () => {
+        searchTrails.mockResolvedValue({ totalCount: 0, trails: [] });
+
+        const response = await request(app).get("/trails/search")
+            .query({ searchTerm: "Trail", units: "metric" });
+
+        expect(response.statusCode).toBe(200);
+        expect(searchTrails).toHaveBeenLastCalledWith("Trail", undefined, undefined, null, null, "metric", undefined, { cursor: undefined, withCount: false });
+    });
+
+    test("works: user's current unit preference over the one in the token", async () => {
+        const testToken = signToken({ id: 1, username: "testuser", role: "user", units: "imperial" }, { unitPreference: "metric" });
+        Trail.getFullTrailsByIds.mockResolvedValue([{ id: 1 }]);
+
+        const response = await request(app).get("/trails/1/testuser")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(Trail.getFullTrailsByIds).toHaveBeenCalledWith(["1"], 1, "metric");
+    });
+
+    test("works: query parameter overrides the preference", async () => {
+        Trail.getFullTrailsByIds.mockResolvedValue([{ id: 1 }]);
+
+        const response = await request(app).get("/trails/1").query({ units: "imperial" });
+
+        expect(response.statusCode).toBe(200);
+        expect(Trail.getFullTrailsByIds).toHaveBeenCalledWith(["1"], null, "imperial");
+    });
+
+    test("fails: unknown units", async () => {
+        const response = await request(app).get("/trails/1").query({ units: "furlongs" });
+
+        expect(response.statusCode).toBe(400);
+        expect(Trail.getFullTrailsByIds).not.toHaveBeenCalled();
+    });
 });
 
 describe("GET /trails/search/:username", () => {
@@ -48,7 +240,7 @@ describe("GET /trails/search/:username", () => {
 
     beforeAll(() => {
         const testUser = { id: 1, username: "testuser", isAdmin: false };
-        testToken = jwt.sign(testUser, SECRET_KEY); // Generate a test token
+        testToken = signToken(testUser); // Generate a test token
     });
 
     test("works: valid user", async () => {
@@ -76,7 +268,7 @@ describe("GET /trails/:id/:username", () => {
 
     beforeAll(() => {
         const testUser = { id: 1, username: "testuser", isAdmin: false };
-        testToken = jwt.sign(testUser, SECRET_KEY); // Generate a test token
+        testToken = signToken(testUser); // Generate a test token
     });
 
     test("works: get trail by id and username", async () => {
@@ -116,6 +308,127 @@ describe("GET /trails/:id", () => {
     });
 });
 
+describe("GET /trails/:id/export", () => {
+    const trail = {
+        id: 1,
+        name: "Bear Creek & Falls",
+        description: "Loop past the falls",
+        difficulty: "Moderate",
+        stats: { type: "Loop", distance: 4.2, elevationGain: 500, units: { distance: "mi", elevationGain: "ft" } },
+        coordinates: [[-86.5, 34.7], [-86.4, 34.8]]
+    };
+
+    test("works: GPX with one track for the trail", async () => {
+        Trail.getFullTrailsByIds.mockResolvedValue([trail]);
+
+        const response = await request(app).get("/trails/1/export.gpx");
+
+        expect(response.statusCode).toBe(200);
+        expect(Trail.getFullTrailsByIds).toHaveBeenCalledWith(["1"], null, "imperial");
+        expect(response.headers["content-type"]).toContain("application/gpx+xml");
+        expect(response.headers["content-disposition"]).toBe('attachment; filename="bear-creek-falls.gpx"');
+        expect(response.text).toContain("<name>Bear Creek &amp; Falls</name>");
+        expect(response.text).toContain("Distance: 4.2 mi, Elevation gain: 500 ft, Type: Loop, Difficulty: Moderate");
+        expect(response.text).toContain('<trkpt lat="34.7" lon="-86.5"/>');
+        expect(response.text.match(/<trk>/g)).toHaveLength(1);
+    });
+
+    test("works: KML with the trail as a LineString", async () => {
+        Trail.getFullTrailsByIds.mockResolvedValue([trail]);
+
+        const response = await request(app).get("/trails/1/export.kml");
+
+        expect(response.statusCode).toBe(200);
+        expect(response.headers["content-type"]).toContain("application/vnd.google-earth.kml+xml");
+        expect(response.headers["content-disposition"]).toBe('attachment; filename="bear-creek-falls.kml"');
+        expect(response.text).toContain("<coordinates>-86.5,34.7 -86.4,34.8</coordinates>");
+        expect(response.text).toContain('<Data name="distance"><value>4.2 mi</value></Data>');
+    });
+
+    test("works: keeps elevation from 3D polylines", async () => {
+        Trail.getFullTrailsByIds.mockResolvedValue([{ ...trail, coordinates: [[-86.5, 34.7, 210.5], [-86.4, 34.8, 245]] }]);
+
+        const gpx = await request(app).get("/trails/1/export.gpx");
+        const kml = await request(app).get("/trails/1/export.kml");
+
+        expect(gpx.text).toContain('<trkpt lat="34.7" lon="-86.5"><ele>210.5</ele></trkpt>');
+        expect(kml.text).toContain("<coordinates>-86.5,34.7,210.5 -86.4,34.8,245</coordinates>");
+    });
+
+    test("fails: 404 for a trail without a polyline", async () => {
+        Trail.getFullTrailsByIds.mockResolvedValue([{ ...trail, coordinates: undefined }]);
+
+        const response = await request(app).get("/trails/1/export.gpx");
+
+        expect(response.statusCode).toBe(404);
+    });
+});
+
+describe("GET /trails/:id/elevation-profile", () => {
+    test("works: returns the profile in the requested units", async () => {
+        const profile = {
+            trailId: 1,
+            unit: "metric",
+            units: { distance: "km", elevation: "m", grade: "%" },
+            source: "polyline",
+            totalDistance: 0.91,
+            profile: [{ distance: 0, elevation: 200 }, { distance: 0.91, elevation: 300 }],
+            segments: [{ fromDistance: 0, toDistance: 0.91, grade: 10.97 }]
+        };
+        Trail.getElevationProfile.mockResolvedValue(profile);
+
+        const response = await request(app).get("/trails/1/elevation-profile")
+            .query({ samples: 2, units: "metric" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual(profile);
+        expect(Trail.getElevationProfile).toHaveBeenCalledWith("1", "2", "metric");
+    });
+
+    test("fails: 404 when the trail has no elevation data", async () => {
+        Trail.getElevationProfile.mockRejectedValue(new NotFoundError("No elevation data found for trail 1."));
+
+        const response = await request(app).get("/trails/1/elevation-profile");
+
+        expect(response.statusCode).toBe(404);
+        expect(Trail.getElevationProfile).toHaveBeenCalledWith("1", undefined, "imperial");
+    });
+});
+
+describe("GET /trails/bbox", () => {
+    test("works: returns a FeatureCollection for the viewport", async () => {
+        const featureCollection = {
+            type: "FeatureCollection",
+            features: [{
+                type: "Feature",
+                id: 1,
+                geometry: { type: "LineString", coordinates: [[-86.5, 34.7], [-86.4, 34.8]] },
+                properties: { id: 1, name: "Trail 1", difficulty: "Easy" }
+            }],
+            tooManyResults: false,
+            maxResults: 500
+        };
+        Trail.getTrailsInBbox.mockResolvedValue(featureCollection);
+
+        const response = await request(app).get("/trails/bbox")
+            .query({ minLng: -87, minLat: 34, maxLng: -86, maxLat: 35, zoom: 10 });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual(featureCollection);
+        expect(Trail.getTrailsInBbox).toHaveBeenCalledWith({ minLng: "-87", minLat: "34", maxLng: "-86", maxLat: "35", zoom: "10" });
+        expect(Trail.getFullTrailsByIds).not.toHaveBeenCalled();
+    });
+
+    test("fails: invalid bounding box", async () => {
+        Trail.getTrailsInBbox.mockRejectedValue(new BadRequestError("zoom must be a whole number from 0 to 22."));
+
+        const response = await request(app).get("/trails/bbox")
+            .query({ minLng: -87, minLat: 34, maxLng: -86, maxLat: 35, zoom: 40 });
+
+        expect(response.statusCode).toBe(400);
+    });
+});
+
 describe("GET /trails/coords/:ids", () => {
     test("works: get trail coords by ids", async () => {
         Trail.getTrailCoordsByIds.mockResolvedValue([{ trail_id: 1, geojson: {} }]);
@@ -138,13 +451,32 @@ describe("GET /trails/coords/:ids", () => {
 
 describe("POST /trails/map", () => {
     test("works: valid trail search", async () => {
-        searchTrailByName.mockResolvedValue({ name: "Found Trail", state: "CA" });
+        const results = [{ name: "Found Trail", displayName: "Found Trail, California", lat: 34.7, lng: -118.2, state: "California" }];
+        searchTrailByName.mockResolvedValue(results);
 
         const response = await request(app).post("/trails/map")
             .send({ trailName: "Trail", state: "CA" });
 
         expect(response.statusCode).toBe(200);
-        expect(response.body.resp).toEqual({ name: "Found Trail", state: "CA" });
+        expect(response.body.resp).toEqual(results);
+        expect(searchTrailByName).toHaveBeenCalledWith("Trail", "CA");
+    });
+
+    test("fails: geocoding service unavailable", async () => {
+        searchTrailByName.mockRejectedValue(new BadGatewayError("Geocoding service error: timeout"));
+
+        const response = await request(app).post("/trails/map")
+            .send({ trailName: "Trail", state: "CA" });
+
+        expect(response.statusCode).toBe(502);
+    });
+
+    test("fails: missing trailName", async () => {
+        const response = await request(app).post("/trails/map")
+            .send({ state: "CA" });
+
+        expect(response.statusCode).toBe(400);
+        expect(searchTrailByName).not.toHaveBeenCalled();
     });
 
     test("fails: no trail found", async () => {
@@ -159,3 +491,514 @@ describe("POST /trails/map", () => {
 
 
 
+
+describe("POST /trails", () => {
+    let testToken;
+    const newTrail = {
+        trailName: "New Trail",
+        difficulty: "Easy",
+        city: "Pike Creek",
+        state: "DE",
+        dogs: "Leashed",
+        description: "A new trail",
+        features: ["Views", "Fall Colors"],
+        landManager: "DE State Parks",
+        stats: {
+            type: "Loop",
+            distance: { imperial: 1.5, metric: 2.4 },
+            elevationHigh: { imperial: 300, metric: 91 },
+            elevationLow: { imperial: 200, metric: 61 },
+            elevationGain: { imperial: 100, metric: 30 },
+            elevationLoss: { imperial: 100, metric: 30 },
+            avgGrade: { percent: 2, degree: 1 },
+            maxGrade: { percent: 8, degree: 5 }
+        }
+    };
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser", role: "moderator" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: creates trail", async () => {
+        Trail.addTrail.mockResolvedValue({ id: 51, name: "New Trail" });
+
+        const response = await request(app).post("/trails")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(newTrail);
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.trail).toEqual({ id: 51, name: "New Trail" });
+        expect(Trail.addTrail).toHaveBeenCalledWith(newTrail);
+    });
+
+    test("fails: invalid body", async () => {
+        const response = await request(app).post("/trails")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ trailName: "Missing Everything" });
+
+        expect(response.statusCode).toBe(400);
+        expect(Trail.addTrail).not.toHaveBeenCalled();
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).post("/trails").send(newTrail);
+
+        expect(response.statusCode).toBe(401);
+    });
+
+    test("fails: logged in without moderator role", async () => {
+        const userToken = signToken({ id: 2, username: "hiker", role: "user" });
+        const response = await request(app).post("/trails")
+            .set("Authorization", `Bearer ${userToken}`)
+            .send(newTrail);
+
+        expect(response.statusCode).toBe(403);
+        expect(Trail.addTrail).not.toHaveBeenCalled();
+    });
+});
+
+describe("PATCH /trails/:id", () => {
+    let testToken;
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser", role: "moderator" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: updates trail", async () => {
+        Trail.updateTrail.mockResolvedValue({ id: 1, name: "Renamed Trail" });
+
+        const response = await request(app).patch("/trails/1")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ trailName: "Renamed Trail", features: ["Views"] });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.trail).toEqual({ id: 1, name: "Renamed Trail" });
+        expect(Trail.updateTrail).toHaveBeenCalledWith({ trailName: "Renamed Trail", features: ["Views"] }, "1");
+    });
+
+    test("fails: invalid body", async () => {
+        const response = await request(app).patch("/trails/1")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ stats: { distance: { imperial: "far" } } });
+
+        expect(response.statusCode).toBe(400);
+        expect(Trail.updateTrail).not.toHaveBeenCalled();
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).patch("/trails/1").send({ trailName: "Renamed Trail" });
+
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("DELETE /trails/:id", () => {
+    let testToken;
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser", role: "moderator" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: deletes trail", async () => {
+        Trail.deleteTrail.mockResolvedValue({ id: 1, name: "Trail 1" });
+
+        const response = await request(app).delete("/trails/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deleted: 1 });
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).delete("/trails/1");
+
+        expect(response.statusCode).toBe(401);
+    });
+
+    test("fails: logged in without moderator role", async () => {
+        const userToken = signToken({ id: 2, username: "hiker", role: "user" });
+        const response = await request(app).delete("/trails/1")
+            .set("Authorization", `Bearer ${userToken}`);
+
+        expect(response.statusCode).toBe(403);
+        expect(Trail.deleteTrail).not.toHaveBeenCalled();
+    });
+});
+
+describe("PUT /trails/:id/polyline", () => {
+    let testToken;
+
+    const gpx = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><name>Trail 1</name><trkseg>
+    <trkpt lat="34.70" lon="-86.60"><ele>200</ele></trkpt>
+    <trkpt lat="34.71" lon="-86.59"><ele>260</ele></trkpt>
+  </trkseg></trk>
+</gpx>`;
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser", role: "moderator" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: saves the polyline parsed from a GPX file", async () => {
+        Trail.savePolyline.mockResolvedValue({ id: 1, name: "Trail 1" });
+
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${testToken}`)
+            .attach("file", Buffer.from(gpx), "trail-1.gpx");
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.trail).toEqual({ id: 1, name: "Trail 1" });
+        expect(Trail.savePolyline).toHaveBeenCalledWith("1", [[-86.6, 34.7, 200], [-86.59, 34.71, 260]], "imperial");
+    });
+
+    test("works: saves the polyline from a GeoJSON file", async () => {
+        Trail.savePolyline.mockResolvedValue({ id: 1, name: "Trail 1" });
+        const geojson = { type: "Feature", geometry: { type: "LineString", coordinates: [[-86.6, 34.7], [-86.5, 34.8]] } };
+
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${testToken}`)
+            .attach("file", Buffer.from(JSON.stringify(geojson)), "trail-1.geojson");
+
+        expect(response.statusCode).toBe(200);
+        expect(Trail.savePolyline).toHaveBeenCalledWith("1", [[-86.6, 34.7], [-86.5, 34.8]], "imperial");
+    });
+
+    test("fails: multi-segment GPX file", async () => {
+        const multiSegment = gpx.replace("</trkseg>", "</trkseg><trkseg><trkpt lat=\"34.72\" lon=\"-86.58\"/></trkseg>");
+
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${testToken}`)
+            .attach("file", Buffer.from(multiSegment), "trail-1.gpx");
+
+        expect(response.statusCode).toBe(400);
+        expect(response.body.error.message).toContain("2 track segments");
+        expect(Trail.savePolyline).not.toHaveBeenCalled();
+    });
+
+    test("fails: malformed KML file", async () => {
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${testToken}`)
+            .attach("file", Buffer.from("<kml><Document><LineString><coordinates>abc</coordinates>"), "trail-1.kml");
+
+        expect(response.statusCode).toBe(400);
+        expect(Trail.savePolyline).not.toHaveBeenCalled();
+    });
+
+    test("fails: no file uploaded", async () => {
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: logged in without moderator role", async () => {
+        const userToken = signToken({ id: 2, username: "hiker", role: "user" });
+        const response = await request(app).put("/trails/1/polyline")
+            .set("Authorization", `Bearer ${userToken}`)
+            .attach("file", Buffer.from(gpx), "trail-1.gpx");
+
+        expect(response.statusCode).toBe(403);
+        expect(Trail.savePolyline).not.toHaveBeenCalled();
+    });
+});
+
+describe("Trail points", () => {
+    let testToken;
+
+    const trailhead = {
+        type: "Feature",
+        id: 1,
+        geometry: { type: "Point", coordinates: [-86.59, 34.7] },
+        properties: { id: 1, trailId: 1, type: "trailhead", name: "Main Lot", notes: null }
+    };
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser", role: "moderator" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: lists points as a FeatureCollection", async () => {
+        TrailPoint.findByTrail.mockResolvedValue({ type: "FeatureCollection", features: [trailhead] });
+
+        const response = await request(app).get("/trails/1/points");
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ type: "FeatureCollection", features: [trailhead] });
+        expect(TrailPoint.findByTrail).toHaveBeenCalledWith("1");
+    });
+
+    test("works: moderator adds a point", async () => {
+        TrailPoint.create.mockResolvedValue(trailhead);
+        const body = { type: "trailhead", name: "Main Lot", lat: 34.7, lng: -86.59 };
+
+        const response = await request(app).post("/trails/1/points")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(body);
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.point).toEqual(trailhead);
+        expect(TrailPoint.create).toHaveBeenCalledWith("1", body);
+    });
+
+    test("fails: unknown point type", async () => {
+        const response = await request(app).post("/trails/1/points")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ type: "restroom", lat: 34.7, lng: -86.59 });
+
+        expect(response.statusCode).toBe(400);
+        expect(TrailPoint.create).not.toHaveBeenCalled();
+    });
+
+    test("fails: logged in without moderator role", async () => {
+        const userToken = signToken({ id: 2, username: "hiker", role: "user" });
+        const response = await request(app).post("/trails/1/points")
+            .set("Authorization", `Bearer ${userToken}`)
+            .send({ type: "trailhead", lat: 34.7, lng: -86.59 });
+
+        expect(response.statusCode).toBe(403);
+        expect(TrailPoint.create).not.toHaveBeenCalled();
+    });
+
+    test("works: moves a point", async () => {
+        TrailPoint.update.mockResolvedValue(trailhead);
+
+        const response = await request(app).patch("/trails/1/points/1")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ lat: 34.7, lng: -86.59 });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.point).toEqual(trailhead);
+        expect(TrailPoint.update).toHaveBeenCalledWith("1", "1", { lat: 34.7, lng: -86.59 });
+    });
+
+    test("fails: lat without lng", async () => {
+        const response = await request(app).patch("/trails/1/points/1")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ lat: 34.7 });
+
+        expect(response.statusCode).toBe(400);
+        expect(TrailPoint.update).not.toHaveBeenCalled();
+    });
+
+    test("works: deletes a point", async () => {
+        TrailPoint.remove.mockResolvedValue(1);
+
+        const response = await request(app).delete("/trails/1/points/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deleted: 1 });
+    });
+
+    test("fails: point not on the trail", async () => {
+        TrailPoint.remove.mockRejectedValue(new NotFoundError("Point 1 not found on trail 2."));
+
+        const response = await request(app).delete("/trails/2/points/1")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(404);
+    });
+});
+
+describe("POST /trails/:id/suggestions", () => {
+    let testToken;
+
+    beforeAll(() => {
+        const testUser = { id: 1, username: "testuser" };
+        testToken = signToken(testUser);
+    });
+
+    test("works: stores a pending suggestion", async () => {
+        TrailEditSuggestion.create.mockResolvedValue({ id: 1, trailId: 1, status: "pending" });
+
+        const response = await request(app).post("/trails/1/suggestions")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ changes: { dogs: "Leashed" }, note: "Signs at the trailhead say leashed" });
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.suggestion).toEqual({ id: 1, trailId: 1, status: "pending" });
+        expect(TrailEditSuggestion.create).toHaveBeenCalledWith("1", 1, { dogs: "Leashed" }, "Signs at the trailhead say leashed");
+    });
+
+    test("fails: changes do not match updateTrail schema", async () => {
+        const response = await request(app).post("/trails/1/suggestions")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ changes: { features: "Views" } });
+
+        expect(response.statusCode).toBe(400);
+        expect(TrailEditSuggestion.create).not.toHaveBeenCalled();
+    });
+
+    test("fails: empty changes", async () => {
+        const response = await request(app).post("/trails/1/suggestions")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ changes: {} });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).post("/trails/1/suggestions")
+            .send({ changes: { dogs: "Leashed" } });
+
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+
+describe("GET /trails/:id/reviews", () => {
+    test("works: no auth, passes paging and sort", async () => {
+        Review.findByTrail.mockResolvedValue({ totalCount: 1, reviews: [{ id: 1, body: "Great views" }] });
+
+        const response = await request(app).get("/trails/1/reviews")
+            .query({ page: 2, limit: 5, sort: "helpful" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ totalCount: 1, reviews: [{ id: 1, body: "Great views" }] });
+        expect(Review.findByTrail).toHaveBeenCalledWith("1", { page: "2", limit: "5", sort: "helpful" });
+        expect(Trail.getFullTrailsByIds).not.toHaveBeenCalled();
+    });
+});
+
+describe("POST /trails/:id/reviews", () => {
+    let testToken;
+    beforeAll(() => {
+        testToken = signToken({ id: 1, username: "testuser", role: "user" });
+    });
+
+    test("works: creates a review", async () => {
+        const review = { body: "Muddy after the rain", visitDate: "2024-05-01", conditions: ["muddy", "downed trees"] };
+        Review.create.mockResolvedValue({ id: 1, trailId: 1, ...review });
+
+        const response = await request(app).post("/trails/1/reviews")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send(review);
+
+        expect(response.statusCode).toBe(201);
+        expect(response.body.review).toEqual({ id: 1, trailId: 1, ...review });
+        expect(Review.create).toHaveBeenCalledWith("1", 1, review);
+    });
+
+    test("fails: unknown condition tag", async () => {
+        const response = await request(app).post("/trails/1/reviews")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ body: "Nice", conditions: ["sunny"] });
+
+        expect(response.statusCode).toBe(400);
+        expect(Review.create).not.toHaveBeenCalled();
+    });
+
+    test("fails: invalid visit date", async () => {
+        const response = await request(app).post("/trails/1/reviews")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ body: "Nice", visitDate: "yesterday" });
+
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).post("/trails/1/reviews")
+            .send({ body: "Nice" });
+
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("PATCH /trails/:id/reviews/:reviewId", () => {
+    let testToken;
+    beforeAll(() => {
+        testToken = signToken({ id: 1, username: "testuser", role: "user" });
+    });
+
+    test("works: edits own review", async () => {
+        Review.update.mockResolvedValue({ id: 3, body: "Updated" });
+
+        const response = await request(app).patch("/trails/1/reviews/3")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ body: "Updated" });
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.review).toEqual({ id: 3, body: "Updated" });
+        expect(Review.update).toHaveBeenCalledWith("1", "3", 1, { body: "Updated" });
+    });
+
+    test("fails: another user's review", async () => {
+        Review.update.mockRejectedValue(new ForbiddenError("You can only change your own reviews."));
+
+        const response = await request(app).patch("/trails/1/reviews/3")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ body: "Updated" });
+
+        expect(response.statusCode).toBe(403);
+    });
+
+    test("fails: empty body", async () => {
+        const response = await request(app).patch("/trails/1/reviews/3")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({});
+
+        expect(response.statusCode).toBe(400);
+    });
+});
+
+describe("DELETE /trails/:id/reviews/:reviewId", () => {
+    test("works: deletes own review", async () => {
+        const testToken = signToken({ id: 1, username: "testuser", role: "user" });
+        Review.remove.mockResolvedValue(3);
+
+        const response = await request(app).delete("/trails/1/reviews/3")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deleted: 3 });
+        expect(Review.remove).toHaveBeenCalledWith("1", "3", 1);
+    });
+
+    test("fails: review on another trail", async () => {
+        const testToken = signToken({ id: 1, username: "testuser", role: "user" });
+        Review.remove.mockRejectedValue(new NotFoundError("Review 3 not found on trail 2."));
+
+        const response = await request(app).delete("/trails/2/reviews/3")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(404);
+    });
+
+    test("fails: not logged in", async () => {
+        const response = await request(app).delete("/trails/1/reviews/3");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+describe("POST and DELETE /trails/:id/reviews/:reviewId/helpful", () => {
+    let testToken;
+    beforeAll(() => {
+        testToken = signToken({ id: 2, username: "hiker", role: "user" });
+    });
+
+    test("works: adds a helpful vote", async () => {
+        Review.addHelpfulVote.mockResolvedValue({ id: 3, helpfulCount: 1 });
+
+        const response = await request(app).post("/trails/1/reviews/3/helpful")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.review).toEqual({ id: 3, helpfulCount: 1 });
+        expect(Review.addHelpfulVote).toHaveBeenCalledWith("3", 2);
+    });
+
+    test("works: removes a helpful vote", async () => {
+        Review.removeHelpfulVote.mockResolvedValue({ id: 3, helpfulCount: 0 });
+
+        const response = await request(app).delete("/trails/1/reviews/3/helpful")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        expect(response.statusCode).toBe(200);
+        expect(response.body.review).toEqual({ id: 3, helpfulCount: 0 });
+    });
+});
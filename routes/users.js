@@ -4,9 +4,14 @@ const jsonschema = require("jsonschema");
 const express = require("express");
 const router = new express.Router();
 const userUpdateSchema = require('../schemas/userUpdate.json');
+const ratingSchema = require('../schemas/rating.json');
+const completedTrailSchema = require('../schemas/completedTrail.json');
 const { BadRequestError } = require('../expressError');
 const { ensureCurrUser, ensureLoggedIn } = require("../middleware/auth");
 const User = require("../models/User");
+const Badge = require("../models/Badge");
+const CustomRoute = require("../models/CustomRoute");
+const { exportTypes, exportFileName, trailsToGpx } = require("../helpers/trailExport");
 
 
 
@@ -71,6 +76,89 @@ router.delete('/:username', ensureCurrUser, async function (req, res, next) {
     }
 });
 
+/**
+ * GET /:username/routes
+ * Auth required: Logged in, current user only
+ * Gets the routes the user has saved (see POST /routes), newest first, with their wishlist status and completion log.
+ * Returns: {routes: [{id, name, start, legs: [{trailId, name, reversed}], geometry, distance, elevationGain,
+ *  elevationLoss, elevationSource, units, isWishList, isComplete, log: [{id, dateCompleted, movingTime, notes, companions, isPublic}], createdAt}]}
+ */
+router.get('/:username/routes', ensureCurrUser, async function (req, res, next) {
+    try {
+        const routes = await CustomRoute.getForUser(res.locals.user.id, res.locals.units);
+        return res.json({ routes });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /:username/wishlist/routes/:routeId
+ * Auth required: Logged in, current user only
+ * Adds one of the user's saved routes to their wishlist
+ * Returns: {addedId: routeId}
+ */
+router.post('/:username/wishlist/routes/:routeId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const addedId = await CustomRoute.setWishList(res.locals.user.id, req.params.routeId, true);
+        return res.json({ addedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /:username/wishlist/routes/:routeId
+ * Auth required: Logged in, current user only
+ * Removes a saved route from the user's wishlist, the route stays saved
+ * Returns: {deletedId: routeId}
+ */
+router.delete('/:username/wishlist/routes/:routeId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const deletedId = await CustomRoute.setWishList(res.locals.user.id, req.params.routeId, false);
+        return res.json({ deletedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * POST /:username/completed/routes/:routeId {dateCompleted, movingTime, notes, companions, isPublic}
+ * Auth required: Logged in, current user only
+ * Logs a completion of one of the user's saved routes, the body is the same as completing a trail
+ * (see schemas/completedTrail.json). Route completions do not complete the route's trails.
+ * Returns: {addedId, log: {id, dateCompleted, movingTime, notes, companions, isPublic}}
+ */
+router.post('/:username/completed/routes/:routeId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, completedTrailSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const log = await CustomRoute.addCompleted(res.locals.user.id, req.params.routeId, req.body);
+        return res.json({ addedId: log.id, log });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /:username/completed/routes/:routeId
+ * Auth required: Logged in, current user only
+ * Removes every completion log entry for a saved route.
+ * Returns: {deletedId: routeId}
+ */
+router.delete('/:username/completed/routes/:routeId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const deletedId = await CustomRoute.deleteCompleted(res.locals.user.id, req.params.routeId);
+        return res.json({ deletedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
 /**
  * POST /:username/wishlist/:trailId
  * Auth required: Logged in, current user only
@@ -104,8 +192,10 @@ router.delete('/:username/wishlist/:trailId', ensureCurrUser, async function (re
 /**
  * GET /:username/wishlist
  * Auth required: Logged in, current user only
- * Gets list of trails on the users wishlist
- * @returns {Array of Objects} 
+ * Gets list of trails on the users wishlist, in the order they were added.
+ * Every trail is returned unless ?limit= (1 to 100) is given, the next page is ?cursor=nextCursor.
+ * ?withCount=true adds totalCount.
+ * Returns: {wishlist: [...], nextCursor, totalCount}
  * @example: "wishlist": [
         {
             "id": 2, // Trail id
@@ -141,23 +231,66 @@ router.delete('/:username/wishlist/:trailId', ensureCurrUser, async function (re
 //TESTED
 router.get('/:username/wishlist', ensureCurrUser, async function (req, res, next) {
     try {
-        const wishlist = await User.getWishList(res.locals.user.id)
-        return res.json({ wishlist })
+        const { cursor, limit, withCount } = req.query;
+        const { trails, ...page } = await User.getWishListPage(res.locals.user.id, res.locals.units, { cursor, limit, withCount: withCount === "true" });
+        return res.json({ wishlist: trails, ...page })
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /:username/wishlist/export.gpx
+ * Auth required: Logged in, current user only
+ * Downloads every trail on the users wishlist as one GPX file, one track per trail.
+ * Trails without a polyline are included as a track with no segments.
+ * Returns: GPX 1.1 file as an attachment.
+ */
+router.get('/:username/wishlist/export.gpx', ensureCurrUser, async function (req, res, next) {
+    try {
+        const wishlist = await User.getWishList(res.locals.user.id, res.locals.units)
+        const file = trailsToGpx(wishlist, `${req.params.username} wishlist`);
+        res.attachment(exportFileName(`${req.params.username}-wishlist`, "gpx"));
+        return res.type(exportTypes.gpx).send(file);
     } catch (e) {
         return next(e);
     }
 });
 
 /**
- * POST /:username/completed/:trailId 
+ * POST /:username/completed/:trailId {dateCompleted, movingTime, notes, companions, isPublic}
  * Auth required: Logged in, current user only
- * Adds a trail id / user id to completed_trails table, signifiying a user has completed that trail.
+ * Logs a completion of a trail in the completed_trails table, signifiying a user has completed that trail.
+ * The body is optional (see schemas/completedTrail.json), dateCompleted defaults to today and movingTime is in minutes.
+ * A trail can be completed more than once, each completion is a new log entry.
+ * Returns: {addedId, log: {id, dateCompleted, movingTime, notes, companions, isPublic}, newBadges: [{code, name, description, earnedAt}]}
  */
 //TESTED
 router.post('/:username/completed/:trailId', ensureCurrUser, async function (req, res, next) {
     try {
-        const addedId = await User.addCompleted(res.locals.user.id, req.params.trailId);
-        return res.json({ addedId })
+        const validator = jsonschema.validate(req.body, completedTrailSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const { newBadges, ...log } = await User.addCompleted(res.locals.user.id, req.params.trailId, req.body);
+        return res.json({ addedId: log.id, log, newBadges })
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /:username/completed/:trailId/log/:logId
+ * Auth required: Logged in, current user only
+ * Deletes a single completion log entry, other completions of the trail are kept.
+ * Returns: {deletedId: logId}
+ */
+router.delete('/:username/completed/:trailId/log/:logId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const deletedId = await User.deleteCompletedEntry(res.locals.user.id, req.params.trailId, req.params.logId)
+        return res.json({ deletedId })
     } catch (e) {
         return next(e);
     }
@@ -166,7 +299,7 @@ router.post('/:username/completed/:trailId', ensureCurrUser, async function (req
 /**
  * DELETE /:username/completed/:trailId
  * Auth required: Logged in, current user only
- * Deletes a trail id / user id from completed_trails table. 
+ * Deletes a trail id / user id from completed_trails table, removing every log entry for the trail.
  */
 //TESTED
 router.delete('/:username/completed/:trailId', ensureCurrUser, async function (req, res, next) {
@@ -181,8 +314,9 @@ router.delete('/:username/completed/:trailId', ensureCurrUser, async function (r
 /**
  * GET /:username/completed
  * Auth required: Logged in, current user only
- * Gets trails from a users completed list
- * @returns {Array of Objects}
+ * Gets trails from a users completed list, each with its log of completions newest first.
+ * Trails are ordered by their most recent completion and page like /:username/wishlist.
+ * Returns: {completedList: [...], nextCursor, totalCount}
  * @example "completedList": [
         {
             "id": 5,
@@ -210,22 +344,96 @@ router.delete('/:username/completed/:trailId', ensureCurrUser, async function (r
                 "Views",
                 "Lake"
             ],
-            "imagePaths": []
+            "imagePaths": [],
+            "log": [
+                {
+                    "id": 12,
+                    "dateCompleted": "2024-06-01",
+                    "movingTime": 95,
+                    "notes": "Wildflowers past the second bridge",
+                    "companions": ["Sam"],
+                    "isPublic": false
+                }
+            ]
         },...]
  */
 //TESTED
 router.get('/:username/completed', ensureCurrUser, async function (req, res, next) {
     try {
-        const completedList = await User.getCompleted(res.locals.user.id);
-        return res.json({ completedList })
+        const { cursor, limit, withCount } = req.query;
+        const { trails, ...page } = await User.getCompletedPage(res.locals.user.id, res.locals.units, { cursor, limit, withCount: withCount === "true" });
+        return res.json({ completedList: trails, ...page })
     } catch (e) {
         return next(e);
     }
 });
 
+/**
+ * PUT /:username/ratings/:trailId {rating}
+ * Auth required: Logged in, current user only
+ * Rates a trail from 1 to 5. A user has one rating per trail, rating again replaces it.
+ * Returns: {rating: {trailId, rating}}
+ */
+router.put('/:username/ratings/:trailId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const validator = jsonschema.validate(req.body, ratingSchema);
+        if (!validator.valid) {
+            const errors = validator.errors.map(e => e.stack);
+            throw new BadRequestError(`Incorrect request format: ${errors}`);
+        }
+
+        const rating = await User.rateTrail(res.locals.user.id, req.params.trailId, req.body.rating);
+        return res.json({ rating });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * DELETE /:username/ratings/:trailId
+ * Auth required: Logged in, current user only
+ * Removes the user's rating for a trail.
+ * Returns: {deletedId: trailId}
+ */
+router.delete('/:username/ratings/:trailId', ensureCurrUser, async function (req, res, next) {
+    try {
+        const deletedId = await User.deleteRating(res.locals.user.id, req.params.trailId);
+        return res.json({ deletedId });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /:username/badges
+ * Auth required: Logged in, current user only
+ * Every badge, earned badges first with the date earned, unearned badges with the user's progress toward them.
+ * Returns: {badges: [{code, name, description, earned, earnedAt, progress: {value, threshold}}]}
+ */
+router.get('/:username/badges', ensureCurrUser, async function (req, res, next) {
+    try {
+        const badges = await Badge.getForUser(res.locals.user.id);
+        return res.json({ badges });
+    } catch (e) {
+        return next(e);
+    }
+});
+
+/**
+ * GET /:username/stats?unit=metric&from=2024-01-01&to=2024-12-31&groupBy=month
+ * Auth required: Logged in, current user only
+ * Totals and personal records for the user's completed trails. All query parameters are optional,
+ * from / to filter on completion dates and groupBy (month, year, state or difficulty)
+ * adds a breakdown for year in review style dashboards.
+ * unit (or the shared units query parameter) picks imperial or metric, otherwise the user's unit preference is used.
+ * Returns: {userStats: {totalDistance, highestElevation, totalElevationGain, trailsCompleted, hikes, totalMovingTime,
+ *           unit, units, from, to, personalRecords: {longestHike, biggestDayElevationGain, steepestTrail}, breakdown}}
+ */
 router.get('/:username/stats', ensureCurrUser, async function (req, res, next) {
     try {
-        const userStats = await User.getUserStats(res.locals.user.id);
+        const { from, to, groupBy } = req.query;
+        const unit = req.query.unit !== undefined ? req.query.unit : res.locals.units;
+        const userStats = await User.getUserStats(res.locals.user.id, unit, { from, to, groupBy });
         return res.json({ userStats })
     } catch (e) {
         next(e);
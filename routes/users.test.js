@@ -4,6 +4,7 @@ const db = require("../dbPool");
 const { createToken } = require("../helpers/tokens")
 const User = require("../models/User");
 const Trail = require("../models/Trail");
+const CustomRoute = require("../models/CustomRoute");
 const {
     UnauthorizedError,
     NotFoundError,
@@ -12,6 +13,7 @@ const {
 
 
 let testToken;
+let testUserId;
 
 beforeAll(async () => {
 
@@ -27,6 +29,7 @@ beforeAll(async () => {
     });
 
     testToken = createToken(user)
+    testUserId = user.id
     const trail = await Trail.getFullTrailsByIds([1]);
 
 
@@ -37,6 +40,8 @@ afterAll(async () => {
     await db.query('DELETE FROM users');
     await db.query('DELETE FROM wanted_trails');
     await db.query('DELETE FROM completed_trails');
+    await db.query('DELETE FROM ratings');
+    await db.query('DELETE FROM user_badges');
     db.end();
 });
 
@@ -67,6 +72,33 @@ describe("PATCH /:username", function () {
         expect(response.body.updatedUser.firstName).toBe("Updated");
     });
 
+    test("works: unit preference is stored and applies to the existing token", async function () {
+        const response = await request(app)
+            .patch("/users/testuser")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ unitPreference: "metric" });
+        expect(response.statusCode).toBe(200);
+        expect(response.body.updatedUser.unitPreference).toBe("metric");
+
+        const trail = await request(app)
+            .get("/trails/1/testuser")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(trail.body.trail[0].stats.units.distance).toBe("km");
+
+        await request(app)
+            .patch("/users/testuser")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ unitPreference: "imperial" });
+    });
+
+    test("bad request: unknown unit preference", async function () {
+        const response = await request(app)
+            .patch("/users/testuser")
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ unitPreference: "furlongs" });
+        expect(response.statusCode).toBe(400);
+    });
+
     test("bad request: invalid data", async function () {
         const response = await request(app)
             .patch("/users/testuser")
@@ -118,6 +150,57 @@ describe("GET /:username/wishlist", function () {
     });
 });
 
+/************ GET /:username/wishlist/export.gpx */
+describe("GET /:username/wishlist/export.gpx", function () {
+    test("works: one track per wishlist trail", async function () {
+        await request(app)
+            .post("/users/testuser/wishlist/2")
+            .set("Authorization", `Bearer ${testToken}`);
+
+        const response = await request(app)
+            .get("/users/testuser/wishlist/export.gpx")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.headers["content-type"]).toContain("application/gpx+xml");
+        expect(response.headers["content-disposition"]).toBe('attachment; filename="testuser-wishlist.gpx"');
+        expect(response.text).toContain("<name>Trail 2</name>");
+    });
+
+    test("unauth: not logged in", async function () {
+        const response = await request(app).get("/users/testuser/wishlist/export.gpx");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+/************ GET /:username/wishlist?limit=&cursor= */
+describe("GET /:username/wishlist paging", function () {
+    test("works: pages through the wishlist with nextCursor", async function () {
+        const first = await request(app)
+            .get("/users/testuser/wishlist")
+            .query({ limit: 1, withCount: true })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(first.statusCode).toBe(200);
+        expect(first.body.wishlist.map(trail => trail.id)).toEqual([1]);
+        expect(first.body.totalCount).toBe(2);
+
+        const second = await request(app)
+            .get("/users/testuser/wishlist")
+            .query({ limit: 1, cursor: first.body.nextCursor })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(second.body.wishlist.map(trail => trail.id)).toEqual([2]);
+        expect(second.body.nextCursor).toBeNull();
+        expect(second.body).not.toHaveProperty("totalCount");
+    });
+
+    test("bad request: invalid cursor", async function () {
+        const response = await request(app)
+            .get("/users/testuser/wishlist")
+            .query({ cursor: "not-a-cursor" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
+    });
+});
+
 /************ DELETE /:username/wishlist/:trailId */
 describe("DELETE /:username/wishlist/:trailId", function () {
     test("works: valid remove from wishlist", async function () {
@@ -143,6 +226,39 @@ describe("POST /:username/completed/:trailId", function () {
             .set("Authorization", `Bearer ${testToken}`);
         expect(response.statusCode).toBe(200);
         expect(response.body).toHaveProperty("addedId");
+        expect(response.body.newBadges).toEqual([
+            expect.objectContaining({ code: "first-trail", name: "First Steps" })
+        ]);
+    });
+
+    test("works: add a second completion with a hike log", async function () {
+        const response = await request(app)
+            .post("/users/testuser/completed/1")
+            .send({
+                dateCompleted: "2024-06-01",
+                movingTime: 95,
+                notes: "Wildflowers past the second bridge",
+                companions: ["Sam", "Alex"],
+                isPublic: true
+            })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.log).toEqual({
+            id: response.body.addedId,
+            dateCompleted: "2024-06-01",
+            movingTime: 95,
+            notes: "Wildflowers past the second bridge",
+            companions: ["Sam", "Alex"],
+            isPublic: true
+        });
+    });
+
+    test("bad request: invalid log", async function () {
+        const response = await request(app)
+            .post("/users/testuser/completed/1")
+            .send({ movingTime: -5 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
     });
 
     test("unauth: not logged in", async function () {
@@ -159,6 +275,28 @@ describe("GET /:username/completed", function () {
             .set("Authorization", `Bearer ${testToken}`);
         expect(response.statusCode).toBe(200);
         expect(response.body.completedList).toBeInstanceOf(Array);
+        expect(response.body.completedList).toHaveLength(1);
+        expect(response.body.completedList[0].log).toHaveLength(2);
+        expect(response.body.completedList[0].log[0].dateCompleted >= "2024-06-01").toBeTruthy();
+    });
+
+    test("works: limit and withCount", async function () {
+        const response = await request(app)
+            .get("/users/testuser/completed")
+            .query({ limit: 1, withCount: true })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.completedList).toHaveLength(1);
+        expect(response.body.totalCount).toBe(1);
+        expect(response.body.nextCursor).toBeNull();
+    });
+
+    test("bad request: limit out of range", async function () {
+        const response = await request(app)
+            .get("/users/testuser/completed")
+            .query({ limit: 500 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
     });
 
     test("unauth: not logged in", async function () {
@@ -167,6 +305,95 @@ describe("GET /:username/completed", function () {
     });
 });
 
+/************ PUT /:username/ratings/:trailId */
+describe("PUT /:username/ratings/:trailId", function () {
+    test("works: rate a trail", async function () {
+        const response = await request(app)
+            .put("/users/testuser/ratings/1")
+            .send({ rating: 4 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.rating).toEqual({ trailId: 1, rating: 4 });
+    });
+
+    test("works: rating again replaces the rating", async function () {
+        const response = await request(app)
+            .put("/users/testuser/ratings/1")
+            .send({ rating: 2 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.rating).toEqual({ trailId: 1, rating: 2 });
+
+        const trails = await Trail.getFullTrailsByIds([1]);
+        expect(trails[0].ratingCount).toBe(1);
+        expect(trails[0].avgRating).toBe(2);
+    });
+
+    test("bad request: rating out of range", async function () {
+        const response = await request(app)
+            .put("/users/testuser/ratings/1")
+            .send({ rating: 6 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("not found: trail does not exist", async function () {
+        const response = await request(app)
+            .put("/users/testuser/ratings/9999")
+            .send({ rating: 3 })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(404);
+    });
+
+    test("unauth: not logged in", async function () {
+        const response = await request(app).put("/users/testuser/ratings/1").send({ rating: 3 });
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+/************ DELETE /:username/ratings/:trailId */
+describe("DELETE /:username/ratings/:trailId", function () {
+    test("works: remove rating", async function () {
+        const response = await request(app)
+            .delete("/users/testuser/ratings/1")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deletedId: 1 });
+    });
+
+    test("not found: trail not rated", async function () {
+        const response = await request(app)
+            .delete("/users/testuser/ratings/1")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(404);
+    });
+
+    test("unauth: not logged in", async function () {
+        const response = await request(app).delete("/users/testuser/ratings/1");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+/************ GET /:username/badges */
+describe("GET /:username/badges", function () {
+    test("works: earned badges with dates and progress for the rest", async function () {
+        const response = await request(app)
+            .get("/users/testuser/badges")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+
+        const badges = new Map(response.body.badges.map(b => [b.code, b]));
+        expect(badges.get("first-trail")).toMatchObject({ earned: true, progress: { value: 1, threshold: 1 } });
+        expect(badges.get("first-trail").earnedAt).toBeTruthy();
+        expect(badges.get("states-5")).toMatchObject({ earned: false, earnedAt: null, progress: { value: 1, threshold: 5 } });
+    });
+
+    test("unauth: not logged in", async function () {
+        const response = await request(app).get("/users/testuser/badges");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
 /************ GET /:username/stats */
 describe("GET /:username/stats", function () {
     test("works: get user stats", async function () {
@@ -178,12 +405,100 @@ describe("GET /:username/stats", function () {
         expect(response.body.userStats).toHaveProperty("highestElevation");
     });
 
+    test("works: metric, date window and monthly breakdown", async function () {
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .query({ units: "metric", from: "2024-06-01", to: "2024-06-30", groupBy: "month" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.userStats).toMatchObject({
+            unit: "metric",
+            from: "2024-06-01",
+            to: "2024-06-30",
+            hikes: 1,
+            trailsCompleted: 1
+        });
+        expect(response.body.userStats.breakdown).toEqual([
+            expect.objectContaining({ group: "2024-06", hikes: 1 })
+        ]);
+        expect(response.body.userStats.personalRecords).toHaveProperty("longestHike");
+        expect(response.body.userStats.personalRecords).toHaveProperty("biggestDayElevationGain");
+        expect(response.body.userStats.personalRecords).toHaveProperty("steepestTrail");
+    });
+
+    test("works: ?unit=metric returns metric values", async function () {
+        const imperial = await request(app)
+            .get("/users/testuser/stats")
+            .query({ unit: "imperial" })
+            .set("Authorization", `Bearer ${testToken}`);
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .query({ unit: "metric" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.userStats.unit).toBe("metric");
+        expect(response.body.userStats.totalDistance).not.toEqual(imperial.body.userStats.totalDistance);
+    });
+
+    test("works: uses the user's unit preference", async function () {
+        await db.query(`UPDATE users SET unit_preference = 'metric' WHERE id = $1`, [testUserId]);
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .set("Authorization", `Bearer ${testToken}`);
+        await db.query(`UPDATE users SET unit_preference = 'imperial' WHERE id = $1`, [testUserId]);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.userStats.unit).toBe("metric");
+    });
+
+    test("bad request: invalid unit", async function () {
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .query({ unit: "furlongs" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("bad request: invalid groupBy", async function () {
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .query({ groupBy: "week" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
+    });
+
+    test("bad request: invalid date", async function () {
+        const response = await request(app)
+            .get("/users/testuser/stats")
+            .query({ from: "2024-02-30" })
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(400);
+    });
+
     test("unauth: not logged in", async function () {
         const response = await request(app).get("/users/testuser/stats");
         expect(response.statusCode).toBe(401);
     });
 });
 
+/************ DELETE /:username/completed/:trailId/log/:logId */
+describe("DELETE /:username/completed/:trailId/log/:logId", function () {
+    test("works: remove a single log entry", async function () {
+        const added = await User.addCompleted(testUserId, 1, { dateCompleted: "2023-01-01" });
+        const response = await request(app)
+            .delete(`/users/testuser/completed/1/log/${added.id}`)
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ deletedId: added.id });
+    });
+
+    test("not found: entry does not exist", async function () {
+        const response = await request(app)
+            .delete("/users/testuser/completed/1/log/999999")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(404);
+    });
+});
+
 /************ DELETE /:username/completed/:trailId */
 describe("DELETE /:username/completed/:trailId", function () {
     test("works: remove from completed", async function () {
@@ -201,6 +516,76 @@ describe("DELETE /:username/completed/:trailId", function () {
 });
 
 
+/************ Saved routes */
+describe("Saved routes", function () {
+    let routeId;
+
+    beforeAll(async function () {
+        await db.query(`
+            INSERT INTO trail_polylines (trail_id, polyline)
+            VALUES (1, ST_GeomFromText('LINESTRING(-86.60 34.70, -86.59 34.70)', 4326)),
+                   (2, ST_GeomFromText('LINESTRING(-86.59 34.70, -86.58 34.70)', 4326))
+        `);
+        const route = await CustomRoute.create(testUserId, { name: "Creek loop", start: { lat: 34.7, lng: -86.6 }, trailIds: [1, 2] });
+        routeId = route.id;
+    });
+
+    afterAll(async function () {
+        await db.query('DELETE FROM trail_polylines WHERE trail_id IN (1, 2)');
+    });
+
+    test("works: lists the user's routes", async function () {
+        const response = await request(app)
+            .get("/users/testuser/routes")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body.routes).toHaveLength(1);
+        expect(response.body.routes[0]).toHaveProperty("name", "Creek loop");
+    });
+
+    test("works: adds the route to the wishlist", async function () {
+        const response = await request(app)
+            .post(`/users/testuser/wishlist/routes/${routeId}`)
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(200);
+        expect(response.body).toEqual({ addedId: routeId });
+    });
+
+    test("works: logs a completion of the route", async function () {
+        const response = await request(app)
+            .post(`/users/testuser/completed/routes/${routeId}`)
+            .set("Authorization", `Bearer ${testToken}`)
+            .send({ dateCompleted: "2024-06-01", movingTime: 120 });
+        expect(response.statusCode).toBe(200);
+        expect(response.body.log).toHaveProperty("movingTime", 120);
+    });
+
+    test("works: removes the route from the wishlist and completed list", async function () {
+        const wishlistResponse = await request(app)
+            .delete(`/users/testuser/wishlist/routes/${routeId}`)
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(wishlistResponse.body).toEqual({ deletedId: routeId });
+
+        const completedResponse = await request(app)
+            .delete(`/users/testuser/completed/routes/${routeId}`)
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(completedResponse.body).toEqual({ deletedId: routeId });
+    });
+
+    test("not found: route does not exist", async function () {
+        const response = await request(app)
+            .post("/users/testuser/wishlist/routes/999999")
+            .set("Authorization", `Bearer ${testToken}`);
+        expect(response.statusCode).toBe(404);
+    });
+
+    test("unauth: not logged in", async function () {
+        const response = await request(app).get("/users/testuser/routes");
+        expect(response.statusCode).toBe(401);
+    });
+});
+
+
 /************ DELETE /:username */
 describe("DELETE /:username", function () {
     test("works: valid delete", async function () {
@@ -0,0 +1,60 @@
+"use strict"
+
+/**
+ * Reverse geocodes the trailhead of existing trails to fill or check their city and state,
+ * see Trail.reconcileLocation. Mismatches are left as pending edit suggestions for moderators.
+ * Requests go through the geocoder throttle, so expect about one trail a second against public Nominatim.
+ *
+ * Usage: npm run backfill:locations -- [--missing-only] [--from-id=<id>]
+ *  --missing-only  only trails with a blank city or state
+ *  --from-id       start from this trail id, to resume an interrupted run
+ */
+const pool = require("../dbPool");
+const Trail = require("../models/Trail");
+
+/**
+ * @param {object} [options] - {missingOnly = false, fromId = 0}
+ * @returns {Promise<Object>} Count of trails by outcome {matched, filled, flagged, skipped, failed}
+ */
+async function backfillTrailLocations({ missingOnly = false, fromId = 0 } = {}) {
+    const result = await pool.query(`
+            SELECT t.id
+            FROM trails t
+            JOIN trail_polylines tp ON t.id = tp.trail_id
+            WHERE t.id >= $1
+            AND ($2 = false OR COALESCE(TRIM(t.city), '') = '' OR COALESCE(TRIM(t.state), '') = '')
+            ORDER BY t.id
+        `, [fromId, missingOnly]);
+
+    const summary = { matched: 0, filled: 0, flagged: 0, skipped: 0, failed: 0 };
+    for (const { id } of result.rows) {
+        try {
+            const outcome = await Trail.reconcileLocation(id);
+            summary[outcome.status]++;
+            console.log(`Trail ${id}: ${outcome.status}`, outcome.status === "skipped" ? "" : outcome.geocoded);
+        } catch (e) {
+            summary.failed++;
+            console.error(`Trail ${id}: failed - ${e.message}`);
+        }
+    }
+    return summary;
+}
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const fromIdArg = args.find(arg => arg.startsWith("--from-id="));
+    const options = {
+        missingOnly: args.includes("--missing-only"),
+        fromId: fromIdArg ? Number(fromIdArg.split("=")[1]) : 0
+    };
+
+    backfillTrailLocations(options)
+        .then(summary => console.log("Backfill complete:", summary))
+        .catch(e => {
+            console.error(e);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
+
+module.exports = { backfillTrailLocations };
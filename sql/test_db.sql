@@ -15,7 +15,9 @@ CREATE TABLE "users" (
   "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
   "updated_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
   "active" boolean NOT NULL DEFAULT TRUE,
-  "acct_type" varchar(10)
+  "acct_type" varchar(10),
+  "role" varchar(10) NOT NULL DEFAULT 'user' CHECK ("role" IN ('user', 'moderator', 'admin')),
+  "unit_preference" varchar(10) NOT NULL DEFAULT 'imperial' CHECK ("unit_preference" IN ('imperial', 'metric'))
 );
 
 CREATE TABLE oauth_providers (
@@ -35,9 +37,14 @@ CREATE TABLE "completed_trails" (
   "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
   "user_id" integer NOT NULL,
   "trail_id" integer NOT NULL,
-  "date_completed" date,
+  "date_completed" date NOT NULL DEFAULT CURRENT_DATE,
+  "moving_time" integer CHECK ("moving_time" >= 0), --minutes
+  "notes" text,
+  "companions" text[] NOT NULL DEFAULT '{}',
+  "is_public" boolean NOT NULL DEFAULT FALSE,
   "image_path" text, --remove
-  "is_favorite" boolean NOT NULL DEFAULT FALSE --remove
+  "is_favorite" boolean NOT NULL DEFAULT FALSE, --remove
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
 );
 
 CREATE TABLE "wanted_trails" (
@@ -54,7 +61,10 @@ CREATE TABLE "trails" (
   "difficulty" varchar(50),
   "dogs_allowed" varchar(50),
   "description" text,
-  "land_manager" text
+  "land_manager" text,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  "search_vector" tsvector, --maintained by the trails_search_update trigger
+  "search_text" text --same words unweighted and lower case, for pg_trgm typo matching
 );
 
 CREATE TABLE "trail_images" (
@@ -100,21 +110,142 @@ CREATE TABLE "ratings" (
   "rating" float
 );
 
+CREATE TABLE "reviews" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "trail_id" integer NOT NULL,
+  "user_id" integer NOT NULL,
+  "body" text NOT NULL,
+  "visit_date" date,
+  --trip condition tags, same values as the enum in schemas/newReview.json
+  "conditions" text[] NOT NULL DEFAULT '{}' CHECK ("conditions" <@ ARRAY['muddy', 'snow', 'ice', 'downed trees', 'crowded', 'overgrown', 'flooded', 'bugs', 'dry', 'closed']::text[]),
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  "updated_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE "review_helpful_votes" (
+  "review_id" integer NOT NULL,
+  "user_id" integer NOT NULL,
+  PRIMARY KEY ("review_id", "user_id")
+);
+
+--badge rules are declarative, rule_type picks the evaluator in models/Badge.js
+--and params holds its options, a badge is earned when the evaluated value reaches threshold
+CREATE TABLE "badges" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "code" varchar(50) UNIQUE NOT NULL,
+  "name" varchar(100) NOT NULL,
+  "description" text NOT NULL,
+  "rule_type" varchar(30) NOT NULL CHECK ("rule_type" IN ('trail_count', 'feature_count', 'state_count', 'difficulty_count', 'day_elevation_gain')),
+  "params" jsonb NOT NULL DEFAULT '{}',
+  "threshold" float NOT NULL CHECK ("threshold" > 0)
+);
+
+CREATE TABLE "user_badges" (
+  "user_id" integer NOT NULL,
+  "badge_id" integer NOT NULL,
+  "earned_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("user_id", "badge_id")
+);
+
+CREATE TABLE "trail_edit_suggestions" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "trail_id" integer NOT NULL,
+  "user_id" integer, --null when the user has since been deleted
+  "changes" jsonb NOT NULL, --same shape as schemas/updateTrail.json
+  "note" text,
+  "status" varchar(10) NOT NULL DEFAULT 'pending' CHECK ("status" IN ('pending', 'approved', 'rejected')),
+  "reviewed_by" integer,
+  "reviewed_at" TIMESTAMPTZ,
+  "review_note" text,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+--geocoder lookups by provider and normalized query, see helpers/geocoder.js
+CREATE TABLE "geocode_cache" (
+  "provider" varchar(50) NOT NULL,
+  "query" text NOT NULL,
+  "results" jsonb NOT NULL,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY ("provider", "query")
+);
+
 --postgis must be installed and enabled
 --sudo apt-get install postgresql-postgis-3
 --CREATE EXTENSION postgis;
+--polylines are 2D, or 3D with elevation in meters when imported from a track with elevation
 CREATE TABLE "trail_polylines" (
   trail_id INTEGER PRIMARY KEY,
-  polyline GEOMETRY(LINESTRING, 4326),
+  polyline GEOMETRY(GEOMETRY, 4326) CHECK (GeometryType(polyline) = 'LINESTRING'),
   FOREIGN KEY (trail_id) REFERENCES trails(id) ON DELETE CASCADE
 );
 
+--spatial index for map viewport (bounding box) queries
+CREATE INDEX "trail_polylines_polyline_idx" ON "trail_polylines" USING GIST ("polyline");
+
+--spatial index for near searches, queries must use polyline::geography to match it
+CREATE INDEX "trail_polylines_geography_idx" ON "trail_polylines" USING GIST (("polyline"::geography));
+
+--trailheads, parking and other points of interest along a trail
+CREATE TABLE "trail_points" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "trail_id" integer NOT NULL,
+  "type" varchar(20) NOT NULL CHECK ("type" IN ('trailhead', 'parking', 'water', 'campsite', 'viewpoint', 'hazard')),
+  "name" varchar(255),
+  "notes" text,
+  "location" GEOMETRY(POINT, 4326) NOT NULL,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+--multi-trail routes saved by users, see helpers/routePlanner.js
+--trail_ids and reversed are in route order, the line and stats are stored as planned
+CREATE TABLE "custom_routes" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "user_id" integer NOT NULL,
+  "name" varchar(255) NOT NULL,
+  "trail_ids" integer[] NOT NULL,
+  "reversed" boolean[] NOT NULL,
+  "start_point" GEOMETRY(POINT, 4326) NOT NULL,
+  "route_line" GEOMETRY(GEOMETRY, 4326) NOT NULL CHECK (GeometryType("route_line") = 'LINESTRING'),
+  "distance_imperial" float NOT NULL,
+  "distance_metric" float NOT NULL,
+  "elevation_gain_imperial" float,
+  "elevation_gain_metric" float,
+  "elevation_loss_imperial" float,
+  "elevation_loss_metric" float,
+  "elevation_source" varchar(10) CHECK ("elevation_source" IN ('polyline', 'stats')),
+  "on_wishlist" boolean NOT NULL DEFAULT FALSE,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE "completed_routes" (
+  "id" INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  "route_id" integer NOT NULL,
+  "date_completed" date NOT NULL DEFAULT CURRENT_DATE,
+  "moving_time" integer CHECK ("moving_time" >= 0), --minutes
+  "notes" text,
+  "companions" text[] NOT NULL DEFAULT '{}',
+  "is_public" boolean NOT NULL DEFAULT FALSE,
+  "created_at" TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+);
+
+--elevation model for elevation profiles of trails whose polyline has no elevation, values in meters
+--requires postgis_raster: CREATE EXTENSION postgis_raster;
+--load tiles with: raster2pgsql -s 4326 -t 100x100 -a dem.tif elevation_dem | psql
+CREATE TABLE "elevation_dem" (
+  rid INTEGER GENERATED BY DEFAULT AS IDENTITY PRIMARY KEY,
+  rast raster
+);
+
+CREATE INDEX "elevation_dem_rast_idx" ON "elevation_dem" USING GIST (ST_ConvexHull("rast"));
+
 
 
 ALTER TABLE "completed_trails" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
 
 ALTER TABLE "completed_trails" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id");
 
+CREATE INDEX "completed_trails_user_date_idx" ON "completed_trails" ("user_id", "date_completed");
+
 ALTER TABLE "wanted_trails" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
 
 ALTER TABLE "wanted_trails" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id");
@@ -131,10 +262,121 @@ ALTER TABLE "ratings" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id");
 
 ALTER TABLE "ratings" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
 
+ALTER TABLE "ratings" ADD CONSTRAINT "unique_user_trail_rating" UNIQUE ("user_id", "trail_id");
+
+ALTER TABLE "ratings" ADD CONSTRAINT "rating_range" CHECK ("rating" BETWEEN 1 AND 5);
+
+ALTER TABLE "reviews" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "reviews" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+
+CREATE INDEX "reviews_trail_created_idx" ON "reviews" ("trail_id", "created_at");
+
+ALTER TABLE "review_helpful_votes" ADD FOREIGN KEY ("review_id") REFERENCES "reviews" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "review_helpful_votes" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "user_badges" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "user_badges" ADD FOREIGN KEY ("badge_id") REFERENCES "badges" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "trail_edit_suggestions" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id") ON DELETE CASCADE;
+
+ALTER TABLE "trail_edit_suggestions" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE SET NULL;
+
+ALTER TABLE "trail_edit_suggestions" ADD FOREIGN KEY ("reviewed_by") REFERENCES "users" ("id") ON DELETE SET NULL;
+
+CREATE INDEX "trail_edit_suggestions_status_idx" ON "trail_edit_suggestions" ("status", "created_at");
+
 ALTER TABLE "oauth_providers" ADD CONSTRAINT "unique_user_provider" UNIQUE ("user_id", "provider_name");
 
 ALTER TABLE "users" ADD CONSTRAINT "unique_email" UNIQUE ("email");
 
+ALTER TABLE "trail_points" ADD FOREIGN KEY ("trail_id") REFERENCES "trails" ("id") ON DELETE CASCADE;
+
+CREATE INDEX "trail_points_trail_id_idx" ON "trail_points" ("trail_id");
+
+ALTER TABLE "custom_routes" ADD FOREIGN KEY ("user_id") REFERENCES "users" ("id") ON DELETE CASCADE;
+
+CREATE INDEX "custom_routes_user_idx" ON "custom_routes" ("user_id", "created_at");
+
+--trail_ids has no foreign key, Trail.deleteTrail finds the routes using a trail with this index
+CREATE INDEX "custom_routes_trail_ids_idx" ON "custom_routes" USING GIN ("trail_ids");
+
+ALTER TABLE "completed_routes" ADD FOREIGN KEY ("route_id") REFERENCES "custom_routes" ("id") ON DELETE CASCADE;
+
+CREATE UNIQUE INDEX "trails_name_state_idx" ON "trails" (LOWER("name"), "state");
+
+--search columns, weighted name (A) > feature names (B) > city / state (C) > description / land manager (D)
+CREATE FUNCTION trail_feature_names(p_trail_id integer) RETURNS text LANGUAGE sql STABLE AS $$
+  SELECT string_agg(f.feature_name, ' ' ORDER BY f.feature_name)
+  FROM trail_features tf
+  JOIN features f ON f.id = tf.feature_id
+  WHERE tf.trail_id = p_trail_id
+$$;
+
+CREATE FUNCTION trails_search_update() RETURNS trigger LANGUAGE plpgsql AS $$
+DECLARE
+  feature_names text := trail_feature_names(NEW.id);
+BEGIN
+  NEW.search_vector :=
+    setweight(to_tsvector('english', coalesce(NEW.name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(feature_names, '')), 'B') ||
+    setweight(to_tsvector('english', concat_ws(' ', NEW.city, NEW.state)), 'C') ||
+    setweight(to_tsvector('english', concat_ws(' ', NEW.description, NEW.land_manager)), 'D');
+  NEW.search_text := lower(concat_ws(' ', NEW.name, feature_names, NEW.city, NEW.state));
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER "trails_search_update" BEFORE INSERT OR UPDATE OF "name", "city", "state", "description", "land_manager"
+ON "trails" FOR EACH ROW EXECUTE FUNCTION trails_search_update();
+
+--features are added after their trail, SET name = name fires trails_search_update to pick them up
+CREATE FUNCTION trail_features_search_update() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  IF TG_OP <> 'INSERT' THEN
+    UPDATE trails SET name = name WHERE id = OLD.trail_id;
+  END IF;
+  IF TG_OP <> 'DELETE' THEN
+    UPDATE trails SET name = name WHERE id = NEW.trail_id;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER "trail_features_search_update" AFTER INSERT OR UPDATE OR DELETE
+ON "trail_features" FOR EACH ROW EXECUTE FUNCTION trail_features_search_update();
+
+CREATE FUNCTION features_search_update() RETURNS trigger LANGUAGE plpgsql AS $$
+BEGIN
+  UPDATE trails SET name = name WHERE id IN (SELECT trail_id FROM trail_features WHERE feature_id = NEW.id);
+  RETURN NULL;
+END;
+$$;
+
+CREATE TRIGGER "features_search_update" AFTER UPDATE OF "feature_name"
+ON "features" FOR EACH ROW EXECUTE FUNCTION features_search_update();
+
+--one time backfill of the search columns for trails that existed before the triggers, e.g. when upgrading a database
+UPDATE trails SET name = name;
+
+CREATE INDEX "trails_search_vector_idx" ON "trails" USING GIN ("search_vector");
+
+--requires pg_trgm: CREATE EXTENSION pg_trgm;
+CREATE INDEX "trails_search_text_trgm_idx" ON "trails" USING GIN ("search_text" gin_trgm_ops);
+
+--autocomplete, trigram indexes serve both the prefix and word prefix ILIKE matches
+CREATE INDEX "trails_name_trgm_idx" ON "trails" USING GIN ("name" gin_trgm_ops);
+
+CREATE INDEX "trails_city_trgm_idx" ON "trails" USING GIN ("city" gin_trgm_ops);
+
+CREATE INDEX "trails_land_manager_trgm_idx" ON "trails" USING GIN ("land_manager" gin_trgm_ops);
+
+CREATE INDEX "trails_state_idx" ON "trails" ("state");
+
+CREATE INDEX "features_feature_name_trgm_idx" ON "features" USING GIN ("feature_name" gin_trgm_ops);
+
 INSERT INTO "trails"
 ("name","city","state","difficulty","dogs_allowed","description","land_manager")
 VALUES
@@ -309,4 +551,12 @@ VALUES
 (47, 3), (47, 1), (47, 2),
 (48, 4), (48, 3),
 (49, 5), (49, 4), (49, 6),
-(50, 6), (50, 7); 
\ No newline at end of file
+(50, 6), (50, 7);
+
+INSERT INTO badges (code, name, description, rule_type, params, threshold)
+VALUES
+('first-trail', 'First Steps', 'Complete your first trail.', 'trail_count', '{}', 1),
+('waterfalls-10', 'Waterfall Chaser', 'Complete 10 trails with a waterfall.', 'feature_count', '{"feature": "Waterfall"}', 10),
+('states-5', 'State Hopper', 'Hike in 5 different states.', 'state_count', '{}', 5),
+('day-gain-1000', 'Big Climb', 'Gain 1,000 ft of elevation in a single day.', 'day_elevation_gain', '{"unit": "imperial"}', 1000),
+('first-difficult', 'Up for a Challenge', 'Complete your first Difficult trail.', 'difficulty_count', '{"difficulty": "Difficult"}', 1);